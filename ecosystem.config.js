@@ -53,7 +53,8 @@ module.exports = {
       NODE_ENV: 'production',
       PORT: 7000,
       CLUSTER_ENABLED: false,
-      CLUSTER_WORKERS: 1
+      CLUSTER_WORKERS: 1,
+      SOCKET_ADAPTER: 'redis'
     },
 
     // Auto-restart configuration - Optimized for 8GB VPS
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Generate a JWKS Signing Key for Development
+ * Creates a key pair for offline development with JWT_JWKS_FILE: the public
+ * key is added to deployment/jwks/jwks.json (existing keys are kept, like
+ * during a rotation) and the private key is written next to it to sign
+ * test tokens.
+ *
+ * Usage: node scripts/generate-jwks.js [ES256|RS256] [userId]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const jwksDir = path.join(__dirname, '../deployment/jwks');
+const jwksPath = path.join(jwksDir, 'jwks.json');
+
+/**
+ * Create a key pair for the algorithm
+ */
+function generateKeyPair(alg) {
+  if (alg === 'ES256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  }
+
+  if (alg === 'RS256') {
+    return crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  }
+
+  throw new Error(`Unsupported algorithm: ${alg} (use ES256 or RS256)`);
+}
+
+/**
+ * Add a public key to the JWKS file, keeping the keys already there
+ */
+function addToKeySet(jwk) {
+  const keySet = fs.existsSync(jwksPath)
+    ? JSON.parse(fs.readFileSync(jwksPath, 'utf8'))
+    : { keys: [] };
+
+  keySet.keys.push(jwk);
+  fs.writeFileSync(jwksPath, JSON.stringify(keySet, null, 2) + '\n');
+
+  return keySet.keys.length;
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const alg = (process.argv[2] || 'ES256').toUpperCase();
+  const userId = parseInt(process.argv[3]) || 1;
+
+  console.log(`🔐 Generating ${alg} JWKS key for development\n`);
+
+  try {
+    fs.mkdirSync(jwksDir, { recursive: true });
+
+    const { publicKey, privateKey } = generateKeyPair(alg);
+    const kid = `dev-${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`;
+    const privateKeyPath = path.join(jwksDir, `${kid}.pem`);
+
+    fs.writeFileSync(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    const keyCount = addToKeySet({ ...publicKey.export({ format: 'jwk' }), kid, alg, use: 'sig' });
+
+    const token = jwt.sign({ userId, role: 'member' }, privateKey, {
+      algorithm: alg,
+      keyid: kid,
+      expiresIn: '1h'
+    });
+
+    console.log('✅ Key ID:', kid);
+    console.log('✅ Public key added to:', jwksPath, `(${keyCount} key${keyCount === 1 ? '' : 's'})`);
+    console.log('✅ Private key:', privateKeyPath);
+    console.log('\n📝 Add to .env:');
+    console.log(`   JWT_JWKS_FILE=${path.relative(process.cwd(), jwksPath)}`);
+    console.log(`\n🎫 Test token for user ${userId} (1 hour):`);
+    console.log(`   ${token}`);
+
+  } catch (error) {
+    console.error('\n❌ Failed to generate JWKS key:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main,
+  generateKeyPair,
+  addToKeySet
+};
@@ -0,0 +1,104 @@
+/**
+ * Channel families
+ * Every channel name belongs to the first family whose pattern matches it.
+ * A family declares how subscriptions are authorized and how it behaves:
+ *
+ * - name        – family name, also the channel type in stats
+ * - pattern     – RegExp (or string) matched against the channel name
+ * - authorizer  – { type, ...options }, one of:
+ *     public                      any authenticated user
+ *     role       { minRole }      role at least minRole in `roles`
+ *     owner      { param }        capture group `param` (default 1) is the user's ID
+ *     laravel    { params }       ask Laravel; capture groups are sent under these names
+ *     broadcasting                Laravel's broadcasting auth endpoint, like Laravel Echo
+ *     forum_rules                 per-forum access rules (see ForumAccessService)
+ *     custom     { handler }      async (socket, channel, match) => boolean (plugins)
+ * - presence    – keeps a member list (member_added / member_removed)
+ * - private     – carries data for specific users only
+ * - encrypted   – payloads are encrypted by Laravel with a per-channel key
+ *                 (PUSHER_ENCRYPTION_MASTER_KEY_BASE64); relayed as-is, never logged
+ * - rateLimit   – { max, windowMs }: subscribe attempts per socket
+ * - clientEvents – lets subscribers relay client-* events to each other:
+ *                 true for the defaults in config.clientEvents, or
+ *                 { maxPayloadBytes, rateLimit: { max, windowMs } } per socket
+ *
+ * More families can be declared in a JSON file (CHANNEL_FAMILIES_FILE) or
+ * registered by plugin modules (CHANNEL_PLUGINS), see ChannelRegistry.
+ */
+
+/**
+ * Role hierarchy for permission checking
+ */
+const roles = {
+  'guest': 1,
+  'member': 2,
+  'senior_member': 3,
+  'verified_partner': 4,
+  'manufacturer': 4,
+  'supplier': 4,
+  'brand': 4,
+  'moderator': 5,
+  'admin': 6,
+  'super_admin': 7
+};
+
+const families = [
+  {
+    // Accessible to all authenticated users
+    name: 'public',
+    pattern: /^public\.(.+)$/,
+    authorizer: { type: 'public' }
+  },
+  {
+    // Only accessible to the specific user
+    name: 'private_user',
+    pattern: /^private-user\.(\d+)$/,
+    authorizer: { type: 'owner', param: 1 },
+    private: true
+  },
+  {
+    // Accessible to users who can view the thread
+    name: 'presence_thread',
+    pattern: /^presence-thread\.(\d+)$/,
+    authorizer: { type: 'laravel', params: ['thread_id'] },
+    presence: true,
+    private: true,
+    rateLimit: { max: 30, windowMs: 60 * 1000 },
+    // Typing indicators and the like between thread viewers
+    clientEvents: true
+  },
+  {
+    // End-to-end encrypted (marketplace negotiations); Laravel decides who may subscribe
+    name: 'private_encrypted',
+    pattern: /^private-encrypted-(.+)$/,
+    authorizer: { type: 'laravel' },
+    private: true,
+    encrypted: true
+  },
+  {
+    // Accessible based on forum permissions
+    name: 'forum',
+    pattern: /^forum\.(\d+)$/,
+    authorizer: { type: 'forum_rules' },
+    rateLimit: { max: 60, windowMs: 60 * 1000 }
+  },
+  {
+    // Only accessible to admin users
+    name: 'admin',
+    pattern: /^admin\.(.+)$/,
+    authorizer: { type: 'role', minRole: 'admin' },
+    private: true
+  },
+  {
+    // Accessible to moderators and admins
+    name: 'moderator',
+    pattern: /^moderator\.(.+)$/,
+    authorizer: { type: 'role', minRole: 'moderator' },
+    private: true
+  }
+];
+
+module.exports = {
+  roles,
+  families
+};
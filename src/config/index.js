@@ -40,11 +40,30 @@ const config = {
     prefix: process.env.REDIS_PREFIX || 'mechamap_realtime:'
   },
 
+  // Cluster configuration (Socket.IO adapter shared by all workers)
+  cluster: {
+    nodeId: process.env.NODE_ID || `${require('os').hostname()}:${process.pid}`,
+    adapter: process.env.SOCKET_ADAPTER || 'none', // none | redis | memory
+    heartbeatInterval: parseInt(process.env.SOCKET_ADAPTER_HEARTBEAT_INTERVAL) || 5000,
+    heartbeatTimeout: parseInt(process.env.SOCKET_ADAPTER_HEARTBEAT_TIMEOUT) || 10000,
+    requestTimeout: parseInt(process.env.SOCKET_ADAPTER_REQUEST_TIMEOUT) || 5000
+  },
+
   // JWT configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'your_super_secure_jwt_secret_key_here',
     expiresIn: process.env.JWT_EXPIRES_IN || '1h',
-    algorithm: process.env.JWT_ALGORITHM || 'HS256'
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    // RS256/ES256 tokens are verified with the JWKS key named by their kid;
+    // a local file replaces the URL for offline development
+    jwksUrl: process.env.JWT_JWKS_URL || '',
+    jwksFile: process.env.JWT_JWKS_FILE || '',
+    jwksRefreshInterval: parseInt(process.env.JWT_JWKS_REFRESH_INTERVAL) || 10 * 60 * 1000,
+    jwksMinRefreshInterval: parseInt(process.env.JWT_JWKS_MIN_REFRESH_INTERVAL) || 30 * 1000,
+    jwksTimeout: parseInt(process.env.JWT_JWKS_TIMEOUT) || 5000,
+    asymmetricAlgorithms: (process.env.JWT_ASYMMETRIC_ALGORITHMS || 'RS256,ES256').split(','),
+    // Keep accepting JWT_SECRET tokens next to the JWKS keys (turn off once every issuer has moved)
+    allowSharedSecret: process.env.JWT_ALLOW_SHARED_SECRET !== 'false'
   },
 
   // Laravel integration
@@ -54,6 +73,75 @@ const config = {
     dbConnection: process.env.LARAVEL_DB_CONNECTION === 'true'
   },
 
+  // Pusher-compatible HTTP API (/apps/:appId/...) for Laravel's pusher broadcast driver
+  pusher: {
+    appId: process.env.PUSHER_APP_ID || '',
+    key: process.env.PUSHER_APP_KEY || '',
+    secret: process.env.PUSHER_APP_SECRET || '',
+    // Base64 32-byte key Laravel encrypts private-encrypted-* payloads with (same as
+    // the pusher connection's encryption_master_key_base64)
+    encryptionMasterKey: process.env.PUSHER_ENCRYPTION_MASTER_KEY_BASE64 || '',
+    // Requests signed longer ago than this are refused
+    maxTimestampSkew: parseInt(process.env.PUSHER_MAX_TIMESTAMP_SKEW) || 600, // seconds
+    maxPayloadBytes: parseInt(process.env.PUSHER_MAX_PAYLOAD_BYTES) || 10240,
+    maxChannelsPerEvent: 100,
+    maxBatchSize: parseInt(process.env.PUSHER_MAX_BATCH_SIZE) || 10
+  },
+
+  // Channel authorization decisions from Laravel (thread presence channels, or Echo-style private/presence channels)
+  channelAuthorization: {
+    // families: every channel by its family's authorizer; broadcasting: private-* and
+    // presence-* channels by Laravel's broadcasting auth endpoint, like Laravel Echo
+    mode: process.env.CHANNEL_AUTH_MODE || 'families',
+    broadcastingAuthUrl: process.env.BROADCASTING_AUTH_URL || '', // defaults to {LARAVEL_API_URL}/broadcasting/auth
+    cacheTtlMs: parseInt(process.env.CHANNEL_AUTH_CACHE_TTL_MS) || 60 * 1000,
+    maxCacheEntries: parseInt(process.env.CHANNEL_AUTH_CACHE_MAX_ENTRIES) || 10000,
+    timeout: parseInt(process.env.CHANNEL_AUTH_TIMEOUT) || 5000
+  },
+
+  // client-* events relayed between subscribers of families that allow them
+  clientEvents: {
+    maxPayloadBytes: parseInt(process.env.CLIENT_EVENT_MAX_PAYLOAD_BYTES) || 2048,
+    // Per socket and channel family
+    rateLimit: {
+      max: parseInt(process.env.CLIENT_EVENT_RATE_LIMIT) || 10,
+      windowMs: parseInt(process.env.CLIENT_EVENT_RATE_WINDOW_MS) || 1000
+    }
+  },
+
+  // Subscriptions revoked through the API (bans, ended contracts)
+  channelRevocation: {
+    // How long the user may not subscribe to the channel again
+    cooldownMs: parseInt(process.env.CHANNEL_REVOKE_COOLDOWN_MS) || 15 * 60 * 1000,
+    maxCooldownMs: parseInt(process.env.CHANNEL_REVOKE_MAX_COOLDOWN_MS) || 7 * 24 * 60 * 60 * 1000
+  },
+
+  // Sanctum personal access tokens: verified at handshake, re-checked on live sockets
+  sanctum: {
+    verifier: process.env.SANCTUM_VERIFIER || 'laravel', // laravel | mysql
+    table: process.env.SANCTUM_TOKENS_TABLE || 'personal_access_tokens',
+    userModel: process.env.SANCTUM_USER_MODEL || 'App\\Models\\User',
+    // Laravel's sanctum.expiration in minutes (mysql verifier), unset for none
+    expirationMinutes: parseInt(process.env.SANCTUM_EXPIRATION) || null,
+    revalidateInterval: parseInt(process.env.SANCTUM_REVALIDATE_INTERVAL) || 5 * 60 * 1000,
+    batchSize: parseInt(process.env.SANCTUM_REVALIDATE_BATCH_SIZE) || 100,
+    timeout: parseInt(process.env.SANCTUM_TIMEOUT) || 10000
+  },
+
+  // Live sessions: clients get token_expiring this long before their token's exp
+  // and can send `reauthenticate` with a fresh token
+  sessions: {
+    expiryWarningMs: parseInt(process.env.TOKEN_EXPIRY_WARNING_MS) || 2 * 60 * 1000
+  },
+
+  // Per-forum access rules (forum.{id} channels): allowed roles, allow/deny lists, verified partners
+  forumAccess: {
+    source: process.env.FORUM_ACCESS_SOURCE || 'laravel', // none | laravel | mysql
+    table: process.env.FORUM_ACCESS_TABLE || 'forum_access_rules',
+    refreshInterval: parseInt(process.env.FORUM_ACCESS_REFRESH_INTERVAL) || 5 * 60 * 1000,
+    timeout: parseInt(process.env.FORUM_ACCESS_TIMEOUT) || 10000
+  },
+
   // CORS configuration
   cors: {
     allowedOrigins: (process.env.ALLOWED_ORIGINS || 'https://mechamap.test,https://mechamap.com,https://www.mechamap.com').split(','),
@@ -81,7 +169,152 @@ const config = {
     maxConnections: parseInt(process.env.MAX_CONNECTIONS) || 10000,
     maxConnectionsPerUser: parseInt(process.env.MAX_CONNECTIONS_PER_USER) || 5,
     connectionTimeout: parseInt(process.env.CONNECTION_TIMEOUT) || 30000,
-    heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL) || 25000
+    heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL) || 25000,
+    // Shared registry for per-user limits: memory (single process) | redis (cluster)
+    registry: process.env.CONNECTION_REGISTRY || (process.env.SOCKET_ADAPTER === 'redis' ? 'redis' : 'memory')
+  },
+
+  // Offline notification queue (private-user.{id} events for disconnected users)
+  offlineQueue: {
+    enabled: process.env.OFFLINE_QUEUE_ENABLED !== 'false',
+    driver: process.env.OFFLINE_QUEUE_DRIVER || (process.env.SOCKET_ADAPTER === 'redis' ? 'redis' : 'file'), // memory | file | redis
+    directory: process.env.OFFLINE_QUEUE_DIR || path.join(__dirname, '../../storage/offline-queue'),
+    maxPerUser: parseInt(process.env.OFFLINE_QUEUE_MAX_PER_USER) || 100,
+    retentionMs: parseInt(process.env.OFFLINE_QUEUE_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000,
+    replayLimit: parseInt(process.env.OFFLINE_QUEUE_REPLAY_LIMIT) || 50,
+    pageSize: parseInt(process.env.OFFLINE_QUEUE_PAGE_SIZE) || 20,
+    pruneInterval: parseInt(process.env.OFFLINE_QUEUE_PRUNE_INTERVAL) || 60 * 60 * 1000
+  },
+
+  // Per-channel sequence numbers and replay buffers for resuming after a reconnect
+  channelHistory: {
+    driver: process.env.CHANNEL_HISTORY_DRIVER || (process.env.SOCKET_ADAPTER === 'redis' ? 'redis' : 'memory'), // memory | redis
+    maxEvents: parseInt(process.env.CHANNEL_HISTORY_MAX_EVENTS) || 100,
+    ttlMs: parseInt(process.env.CHANNEL_HISTORY_TTL_MS) || 15 * 60 * 1000
+  },
+
+  // Channel families beyond the built-in ones in config/channels.js
+  channels: {
+    familiesFile: process.env.CHANNEL_FAMILIES_FILE || '', // JSON array of families
+    plugins: (process.env.CHANNEL_PLUGINS || '').split(',').map(plugin => plugin.trim()).filter(Boolean) // module paths
+  },
+
+  // Member lists of presence-* channels
+  presence: {
+    driver: process.env.PRESENCE_DRIVER || (process.env.SOCKET_ADAPTER === 'redis' ? 'redis' : 'memory'), // memory | redis
+    // Entries left by a crashed worker expire this long after the channel's last join
+    ttlMs: parseInt(process.env.PRESENCE_TTL_MS) || 24 * 60 * 60 * 1000
+  },
+
+  // Acknowledged delivery of notification events on private-user.{id} channels.
+  // Opt-in: clients that never call the ack callback would get every retry.
+  delivery: {
+    enabled: process.env.DELIVERY_ACK_ENABLED === 'true',
+    driver: process.env.DELIVERY_STATE_DRIVER || (process.env.SOCKET_ADAPTER === 'redis' ? 'redis' : 'memory'), // memory | redis
+    ackEvents: (process.env.DELIVERY_ACK_EVENTS || 'notification.sent').split(','),
+    ackTimeout: parseInt(process.env.DELIVERY_ACK_TIMEOUT) || 10000,
+    maxAttempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 3,
+    retryDelay: parseInt(process.env.DELIVERY_RETRY_DELAY) || 5000,
+    redeliverLimit: parseInt(process.env.DELIVERY_REDELIVER_LIMIT) || 50,
+    retentionMs: parseInt(process.env.DELIVERY_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000
+  },
+
+  // Idempotency keys for broadcast endpoints (Idempotency-Key header or event_id field)
+  idempotency: {
+    enabled: process.env.IDEMPOTENCY_ENABLED !== 'false',
+    driver: process.env.IDEMPOTENCY_DRIVER || (process.env.SOCKET_ADAPTER === 'redis' ? 'redis' : 'memory'), // memory | redis
+    windowMs: parseInt(process.env.IDEMPOTENCY_WINDOW_MS) || 24 * 60 * 60 * 1000,
+    // How long a key stays locked while its first request is still running
+    lockTimeoutMs: parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS) || 30000
+  },
+
+  // Scheduled and delayed broadcasts (deliver_at / delay_ms)
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    driver: process.env.SCHEDULER_DRIVER || (process.env.SOCKET_ADAPTER === 'redis' ? 'redis' : 'file'), // memory | file | redis
+    file: process.env.SCHEDULER_FILE || path.join(__dirname, '../../storage/scheduled-broadcasts.json'),
+    pollInterval: parseInt(process.env.SCHEDULER_POLL_INTERVAL) || 1000,
+    batchSize: parseInt(process.env.SCHEDULER_BATCH_SIZE) || 100,
+    leaderTtlMs: parseInt(process.env.SCHEDULER_LEADER_TTL_MS) || 10000,
+    // Claimed schedules not finished within this time are fired again (redis driver)
+    leaseMs: parseInt(process.env.SCHEDULER_LEASE_MS) || 60000,
+    maxDelayMs: parseInt(process.env.SCHEDULER_MAX_DELAY_MS) || 30 * 24 * 60 * 60 * 1000,
+    retentionMs: parseInt(process.env.SCHEDULER_RETENTION_MS) || 24 * 60 * 60 * 1000
+  },
+
+  // Notification repository (Laravel's notifications table when the database is shared)
+  notifications: {
+    repository: process.env.NOTIFICATION_REPOSITORY || (process.env.LARAVEL_DB_CONNECTION === 'true' ? 'mysql' : 'memory'), // memory | mysql
+    table: process.env.NOTIFICATION_TABLE || 'notifications',
+    notifiableType: process.env.NOTIFICATION_NOTIFIABLE_TYPE || 'App\\Models\\User'
+  },
+
+  // Per-user notification preferences (type rules, quiet hours, channel opt-outs)
+  preferences: {
+    driver: process.env.PREFERENCES_DRIVER || (process.env.SOCKET_ADAPTER === 'redis' ? 'redis' : 'memory'), // memory | redis
+    defaultTimezone: process.env.PREFERENCES_DEFAULT_TIMEZONE || 'UTC',
+    // Most users accepted by one bulk sync request from Laravel
+    syncBatchLimit: parseInt(process.env.PREFERENCES_SYNC_BATCH_LIMIT) || 1000
+  },
+
+  // Web Push (VAPID) to browsers of users with no connected device.
+  // Generate keys with: node -e "console.log(require('./src/utils/webPush').generateVapidKeys())"
+  webPush: {
+    enabled: !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) && process.env.WEBPUSH_ENABLED !== 'false',
+    driver: process.env.WEBPUSH_SUBSCRIPTION_DRIVER || (process.env.SOCKET_ADAPTER === 'redis' ? 'redis' : 'file'), // memory | file | redis
+    file: process.env.WEBPUSH_SUBSCRIPTION_FILE || path.join(__dirname, '../../storage/push-subscriptions.json'),
+    publicKey: process.env.VAPID_PUBLIC_KEY || '',
+    privateKey: process.env.VAPID_PRIVATE_KEY || '',
+    subject: process.env.VAPID_SUBJECT || 'mailto:admin@mechamap.com',
+    timeout: parseInt(process.env.WEBPUSH_TIMEOUT) || 10000,
+    maxSubscriptionsPerUser: parseInt(process.env.WEBPUSH_MAX_SUBSCRIPTIONS_PER_USER) || 10,
+    // Push services subscription endpoints may point at; *.host matches subdomains
+    allowedHosts: (process.env.WEBPUSH_ALLOWED_HOSTS ||
+      'fcm.googleapis.com,updates.push.services.mozilla.com,*.notify.windows.com,web.push.apple.com')
+      .split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+    // Push notification events for private-user.{id} when nobody is subscribed
+    offlineFallback: process.env.WEBPUSH_OFFLINE_FALLBACK !== 'false'
+  },
+
+  // Notification delivery channels: each channel is served by one driver
+  // (realtime | webpush | log | file | webhook | laravel) with its own retry policy
+  notificationChannels: {
+    // Channel tried when a user has no connected device (none to disable)
+    offlineFallback: process.env.NOTIFICATION_OFFLINE_FALLBACK || 'none',
+    // Where the file driver writes, one JSON-lines file per channel
+    fileDir: process.env.NOTIFICATION_FILE_DIR || path.join(__dirname, '../../storage/outbox'),
+    // Consecutive failures after which a driver reports unhealthy
+    failureThreshold: parseInt(process.env.NOTIFICATION_DRIVER_FAILURE_THRESHOLD) || 5,
+    drivers: {
+      realtime: {
+        driver: 'realtime',
+        maxAttempts: 1,
+        retryDelay: 0
+      },
+      webpush: {
+        driver: process.env.NOTIFICATION_WEBPUSH_DRIVER || (process.env.VAPID_PUBLIC_KEY ? 'webpush' : 'log'),
+        maxAttempts: parseInt(process.env.NOTIFICATION_WEBPUSH_MAX_ATTEMPTS) || 3,
+        retryDelay: parseInt(process.env.NOTIFICATION_WEBPUSH_RETRY_DELAY) || 2000
+      },
+      email: {
+        driver: process.env.NOTIFICATION_EMAIL_DRIVER || 'log',
+        maxAttempts: parseInt(process.env.NOTIFICATION_EMAIL_MAX_ATTEMPTS) || 5,
+        retryDelay: parseInt(process.env.NOTIFICATION_EMAIL_RETRY_DELAY) || 30000
+      },
+      sms: {
+        driver: process.env.NOTIFICATION_SMS_DRIVER || 'log',
+        maxAttempts: parseInt(process.env.NOTIFICATION_SMS_MAX_ATTEMPTS) || 3,
+        retryDelay: parseInt(process.env.NOTIFICATION_SMS_RETRY_DELAY) || 10000
+      },
+      webhook: {
+        driver: process.env.NOTIFICATION_WEBHOOK_DRIVER || 'log',
+        url: process.env.NOTIFICATION_WEBHOOK_URL || '',
+        secret: process.env.NOTIFICATION_WEBHOOK_SECRET || '',
+        timeout: parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT) || 5000,
+        maxAttempts: parseInt(process.env.NOTIFICATION_WEBHOOK_MAX_ATTEMPTS) || 5,
+        retryDelay: parseInt(process.env.NOTIFICATION_WEBHOOK_RETRY_DELAY) || 5000
+      }
+    }
   },
 
   // Logging configuration
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File Driver
+ * Appends each notification as one JSON line to `{dir}/{channel}.jsonl`,
+ * so tests can assert on what a real provider would have received.
+ */
+class FileDriver {
+  constructor(channel, { dir }) {
+    this.type = 'file';
+    this.channel = channel;
+    this.file = path.join(dir, `${channel}.jsonl`);
+
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  async send(notification, { userId, recipient }) {
+    const line = JSON.stringify({
+      channel: this.channel,
+      userId,
+      recipient: recipient || null,
+      notification,
+      deliveredAt: new Date().toISOString()
+    });
+
+    await fs.promises.appendFile(this.file, `${line}\n`);
+    return { file: this.file };
+  }
+
+  async healthCheck() {
+    try {
+      await fs.promises.access(path.dirname(this.file), fs.constants.W_OK);
+      return { healthy: true, file: this.file };
+    } catch (error) {
+      return { healthy: false, file: this.file, error: error.message };
+    }
+  }
+
+  async close() {}
+}
+
+module.exports = FileDriver;
@@ -0,0 +1,42 @@
+const axios = require('axios');
+
+/**
+ * HTTP Driver base
+ * Posts JSON to a provider and classifies failures: client errors other
+ * than 408 and 429 are marked `retryable = false`, because sending the same
+ * request again cannot succeed.
+ */
+class HttpDriver {
+  constructor(channel, { timeout = 5000 } = {}) {
+    this.channel = channel;
+    this.timeout = timeout;
+  }
+
+  async post(url, body, headers = {}) {
+    try {
+      const response = await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          ...headers
+        },
+        timeout: this.timeout
+      });
+
+      return { status: response.status };
+    } catch (error) {
+      const status = error.response && error.response.status;
+
+      if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+        error.retryable = false;
+      }
+      error.status = status;
+
+      throw error;
+    }
+  }
+
+  async close() {}
+}
+
+module.exports = HttpDriver;
@@ -0,0 +1,59 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const LogDriver = require('./logDriver');
+const FileDriver = require('./fileDriver');
+const WebhookDriver = require('./webhookDriver');
+const LaravelDriver = require('./laravelDriver');
+const RealtimeDriver = require('./realtimeDriver');
+const WebPushDriver = require('./webPushDriver');
+
+/**
+ * Notification Delivery Drivers
+ * One driver serves one channel. Every driver exposes:
+ * - type
+ * - send(notification, { userId, recipient, decision }) -> result; throws on
+ *   failure, with `error.retryable = false` when a retry cannot help
+ * - healthCheck() -> { healthy, ... }
+ * - close()
+ */
+
+/**
+ * Create the driver configured for a channel
+ * @param {string} channel - realtime | webpush | email | sms | webhook
+ * @param {Object} options - channel config, plus { io } for realtime
+ */
+function createDriver(channel, options) {
+  switch (options.driver) {
+    case 'realtime':
+      return new RealtimeDriver(channel, options);
+
+    case 'webpush':
+      return new WebPushDriver(channel);
+
+    case 'file':
+      return new FileDriver(channel, { dir: config.notificationChannels.fileDir });
+
+    case 'webhook':
+      return new WebhookDriver(channel, options);
+
+    case 'laravel':
+      return new LaravelDriver(channel, options);
+
+    case 'log':
+      return new LogDriver(channel);
+
+    default:
+      logger.warn('Unknown notification driver, using log', { channel, driver: options.driver });
+      return new LogDriver(channel);
+  }
+}
+
+module.exports = {
+  createDriver,
+  LogDriver,
+  FileDriver,
+  WebhookDriver,
+  LaravelDriver,
+  RealtimeDriver,
+  WebPushDriver
+};
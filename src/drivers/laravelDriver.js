@@ -0,0 +1,37 @@
+const config = require('../config');
+const HttpDriver = require('./httpDriver');
+
+/**
+ * Laravel Driver
+ * Hands email and SMS notifications to Laravel, which already knows the
+ * user's address and has the mail and SMS providers configured.
+ * POST {LARAVEL_API_URL}/api/websocket-api/notifications/deliver
+ */
+class LaravelDriver extends HttpDriver {
+  constructor(channel, { timeout } = {}) {
+    super(channel, { timeout: timeout || 10000 });
+    this.type = 'laravel';
+    this.url = `${config.laravel.apiUrl.replace(/\/$/, '')}/api/websocket-api/notifications/deliver`;
+  }
+
+  async send(notification, { userId, recipient }) {
+    return this.post(this.url, {
+      channel: this.channel,
+      user_id: userId,
+      recipient: recipient || null,
+      notification
+    }, {
+      'X-WebSocket-API-Key': config.laravel.apiKey
+    });
+  }
+
+  async healthCheck() {
+    if (!config.laravel.apiKey) {
+      return { healthy: false, error: 'LARAVEL_API_KEY is not set' };
+    }
+
+    return { healthy: true, url: this.url };
+  }
+}
+
+module.exports = LaravelDriver;
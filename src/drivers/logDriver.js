@@ -0,0 +1,33 @@
+const logger = require('../utils/logger');
+
+/**
+ * Log Driver
+ * Writes the notification to the application log instead of a provider.
+ * Stands in for any channel in development.
+ */
+class LogDriver {
+  constructor(channel) {
+    this.type = 'log';
+    this.channel = channel;
+  }
+
+  async send(notification, { userId }) {
+    logger.info('Notification delivered by log driver', {
+      channel: this.channel,
+      userId,
+      notificationId: notification.id,
+      type: notification.type,
+      title: notification.title
+    });
+
+    return { logged: true };
+  }
+
+  async healthCheck() {
+    return { healthy: true };
+  }
+
+  async close() {}
+}
+
+module.exports = LogDriver;
@@ -0,0 +1,56 @@
+const config = require('../config');
+const { broadcastToChannel } = require('../websocket/broadcaster');
+
+/**
+ * Realtime Driver
+ * Pushes the notification to the user's connected devices over
+ * private-user.{id} (acked and queued for offline users by the broadcaster).
+ * Reports `online: false` when no device was subscribed, which is what
+ * triggers the offline fallback channel. When that channel is webpush, the
+ * broadcaster's own offline push is skipped so the user gets only one.
+ *
+ * Failures are never retried: the broadcast may already have reached some
+ * devices (or other workers) before the error, and a retry would show them
+ * the notification twice.
+ */
+class RealtimeDriver {
+  constructor(channel, { io }) {
+    this.type = 'realtime';
+    this.channel = channel;
+    this.io = io;
+  }
+
+  async send(notification, { userId, decision = {} }) {
+    if (!this.io) {
+      throw new Error('Realtime driver has no Socket.IO server');
+    }
+
+    let subscriberCount, queued;
+    try {
+      ({ subscriberCount, queued } = await broadcastToChannel(
+        this.io,
+        `private-user.${userId}`,
+        'notification.sent',
+        notification,
+        {
+          realtime: decision.realtime,
+          queue: decision.queue,
+          push: config.notificationChannels.offlineFallback !== 'webpush'
+        }
+      ));
+    } catch (error) {
+      error.retryable = false;
+      throw error;
+    }
+
+    return { subscriberCount, queued, online: subscriberCount > 0 };
+  }
+
+  async healthCheck() {
+    return { healthy: !!this.io };
+  }
+
+  async close() {}
+}
+
+module.exports = RealtimeDriver;
@@ -0,0 +1,30 @@
+const webPushService = require('../services/webPushService');
+
+/**
+ * Web Push Driver
+ * Sends the notification as an encrypted Web Push message to every browser
+ * the user subscribed (see WebPushService). A user without subscriptions
+ * counts as delivered with `sent: 0`.
+ */
+class WebPushDriver {
+  constructor(channel) {
+    this.type = 'webpush';
+    this.channel = channel;
+  }
+
+  async send(notification, { userId }) {
+    return webPushService.sendToUser(userId, notification);
+  }
+
+  async healthCheck() {
+    if (!webPushService.isEnabled()) {
+      return { healthy: false, error: 'VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are not set' };
+    }
+
+    return { healthy: true, store: webPushService.getStats().driver };
+  }
+
+  async close() {}
+}
+
+module.exports = WebPushDriver;
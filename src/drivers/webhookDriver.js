@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+const HttpDriver = require('./httpDriver');
+
+/**
+ * Webhook Driver
+ * Posts notifications to a configured URL. With a secret, the body is
+ * signed in `X-Signature: sha256=<hmac>` so the receiver can verify it.
+ */
+class WebhookDriver extends HttpDriver {
+  constructor(channel, { url, secret, timeout }) {
+    super(channel, { timeout });
+    this.type = 'webhook';
+    this.url = url;
+    this.secret = secret;
+  }
+
+  async send(notification, { userId, recipient }) {
+    if (!this.url) {
+      const error = new Error('Webhook URL is not configured');
+      error.retryable = false;
+      throw error;
+    }
+
+    const body = JSON.stringify({
+      event: 'notification',
+      user_id: userId,
+      recipient: recipient || null,
+      notification,
+      sent_at: new Date().toISOString()
+    });
+
+    const headers = {};
+    if (this.secret) {
+      headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+    }
+
+    return this.post(this.url, body, headers);
+  }
+
+  async healthCheck() {
+    if (!this.url) {
+      return { healthy: false, error: 'NOTIFICATION_WEBHOOK_URL is not set' };
+    }
+
+    return { healthy: true, host: new URL(this.url).host, signed: !!this.secret };
+  }
+}
+
+module.exports = WebhookDriver;
@@ -1,8 +1,12 @@
+const crypto = require('crypto')
 const jwt = require('jsonwebtoken')
 const axios = require('axios')
 
 const config = require('../config')
 const logger = require('../utils/logger')
+const sanctumTokenService = require('../services/sanctumTokenService')
+const jwksService = require('../services/jwksService')
+const { parseToken } = require('../stores/sanctumTokens')
 
 /**
  * JWT Authentication Middleware for Socket.IO
@@ -15,26 +19,24 @@ const CACHE_TTL = 5 * 60 * 1000 // 5 minutes
 
 /**
  * Validate Laravel Sanctum token
+ * Checked against Laravel or the personal_access_tokens table (SANCTUM_VERIFIER)
  */
 async function validateSanctumToken (token) {
   try {
-    // Laravel Sanctum tokens have format: {id}|{hash}
-    if (!token.includes('|')) {
+    // Laravel Sanctum tokens have format: {id}|{secret}
+    if (!parseToken(token)) {
       throw new Error('Invalid Sanctum token format')
     }
 
-    const [tokenId, tokenHash] = token.split('|', 2)
+    const { tokenId, userId, expiresAt } = await sanctumTokenService.verify(token)
 
-    if (!tokenId || !tokenHash) {
-      throw new Error('Invalid Sanctum token structure')
-    }
-
-    logger.auth('Sanctum token parsed', {
+    logger.auth('Sanctum token verified', {
       tokenId,
-      hashLength: tokenHash.length
+      userId,
+      expiresAt: expiresAt && new Date(expiresAt).toISOString()
     })
 
-    return { tokenId, tokenHash, type: 'sanctum' }
+    return { tokenId, userId, expiresAt, type: 'sanctum' }
   } catch (error) {
     logger.auth('Sanctum token validation failed', {
       error: error.message,
@@ -44,15 +46,42 @@ async function validateSanctumToken (token) {
   }
 }
 
+/**
+ * Key and algorithm to verify a JWT with: the JWKS key named by the token's
+ * kid for RS256/ES256 tokens, the shared secret otherwise
+ */
+async function resolveJwtKey (token) {
+  const decoded = jwt.decode(token, { complete: true })
+
+  if (!decoded || !decoded.header) {
+    throw new Error('jwt malformed')
+  }
+
+  if (config.jwt.asymmetricAlgorithms.includes(decoded.header.alg)) {
+    if (!jwksService.isEnabled()) {
+      throw new Error('Asymmetric tokens are not configured')
+    }
+
+    // The key's own algorithm, so a token cannot pick another one
+    const { key, alg } = await jwksService.getKey(decoded.header.kid)
+    return { key, algorithms: [alg] }
+  }
+
+  if (jwksService.isEnabled() && !config.jwt.allowSharedSecret) {
+    throw new Error('Shared secret tokens are disabled')
+  }
+
+  return { key: config.jwt.secret, algorithms: [config.jwt.algorithm] }
+}
+
 /**
  * Validate JWT token
  */
 async function validateJwtToken (token) {
   try {
     // Verify JWT signature
-    const decoded = jwt.verify(token, config.jwt.secret, {
-      algorithms: [config.jwt.algorithm]
-    })
+    const { key, algorithms } = await resolveJwtKey(token)
+    const decoded = jwt.verify(token, key, { algorithms })
 
     // Check expiration
     if (decoded.exp && decoded.exp < Math.floor(Date.now() / 1000)) {
@@ -105,8 +134,8 @@ function getLaravelApiUrl () {
  */
 async function validateUserWithLaravel (userId, token) {
   try {
-    // Check cache first (use token hash for cache key)
-    const cacheKey = `user_${userId || 'sanctum'}_${token.substring(0, 20)}`
+    // Check cache first (use token hash for cache key; JWTs share their first characters)
+    const cacheKey = `user_${userId || 'sanctum'}_${crypto.createHash('sha256').update(token).digest('hex')}`
     const cached = tokenCache.get(cacheKey)
 
     if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
@@ -193,7 +222,7 @@ async function validateUserWithLaravel (userId, token) {
     const user = userFromDoubleNested || userFromSingleNested || userFromDirect
 
     if (response.status === 200 && response.data.success && user) {
-      // For JWT tokens, validate user ID matches
+      // The user must own the token (JWT subject or Sanctum tokenable_id)
       if (userId && user.id !== userId) {
         throw new Error('User ID mismatch')
       }
@@ -261,6 +290,100 @@ function mockUserValidation (userId) {
   }
 }
 
+/**
+ * Validate a token (Sanctum or JWT) and load its user
+ * Shared by the handshake and in-band reauthentication
+ * @returns {Promise<{user: Object, tokenType: string, tokenId: number|null, expiresAt: number|null}>}
+ *   expiresAt in ms, null when the token does not expire
+ */
+async function authenticateToken (token) {
+  // Validate token (Sanctum or JWT)
+  const tokenData = await validateToken(token)
+  let identity
+
+  if (tokenData.type === 'sanctum') {
+    // For Sanctum tokens, we need to validate with Laravel to get user ID
+    logger.auth('Sanctum token detected, validating with Laravel', {
+      tokenId: tokenData.tokenId
+    })
+
+    // Call Laravel API to get user info or use mock
+    let user
+    if (config.development.mockLaravelApi) {
+      // Use mock user for Sanctum tokens
+      user = {
+        id: 22,
+        email: "user22@mechamap.test",
+        role: "member",
+        name: "Test User 22",
+        permissions: ["read_notifications", "receive_notifications"]
+      }
+    } else {
+      user = await validateUserWithLaravel(tokenData.userId, token)
+    }
+
+    identity = { user, tokenType: 'sanctum', tokenId: tokenData.tokenId, expiresAt: tokenData.expiresAt }
+  } else {
+    // JWT token
+    const userId = tokenData.userId || tokenData.sub || tokenData.user_id
+
+    if (!userId) {
+      logger.auth('Authentication failed: No user ID in JWT token', {
+        decoded: { ...tokenData, iat: undefined, exp: undefined }
+      })
+      throw new Error('Invalid token payload')
+    }
+
+    // Validate user with Laravel backend or use mock in development
+    let user
+
+    if (config.development.mockLaravelApi) {
+      user = mockUserValidation(userId)
+    } else {
+      user = await validateUserWithLaravel(userId, token)
+    }
+
+    identity = { user, tokenType: 'jwt', tokenId: null, expiresAt: tokenData.exp ? tokenData.exp * 1000 : null }
+  }
+
+  // Check if user has required permissions
+  const permissions = identity.user.permissions || ['receive_notifications']
+  const requiredPermissions = ['receive_notifications']
+  const hasPermissions = requiredPermissions.every(permission =>
+    permissions.includes(permission)
+  )
+
+  if (!hasPermissions) {
+    logger.auth('Authentication failed: Insufficient permissions', {
+      userId: identity.user.id,
+      role: identity.user.role,
+      permissions,
+      required: requiredPermissions
+    })
+    throw new Error('Insufficient permissions')
+  }
+
+  return identity
+}
+
+/**
+ * Attach user information from authenticateToken() to a socket
+ */
+function applyIdentity (socket, { user, tokenType, tokenId, expiresAt }, token) {
+  socket.userId = user.id
+  socket.userEmail = user.email
+  socket.userRole = user.role
+  socket.userName = user.name
+  socket.userPermissions = user.permissions || ['receive_notifications']
+  socket.userVerifiedPartner = !!user.is_verified_partner
+  socket.userAvatar = user.avatar || null
+  socket.authToken = token
+  socket.authTime = new Date()
+  socket.tokenType = tokenType
+  socket.tokenId = tokenId
+  socket.tokenExpiresAt = expiresAt
+}
+
 /**
  * Socket.IO Authentication Middleware
  */
@@ -293,6 +416,8 @@ async function authMiddleware (socket, next) {
       socket.authToken = 'mock-token'
       socket.authTime = new Date()
       socket.tokenType = 'mock'
+      socket.tokenId = null
+      socket.tokenExpiresAt = null
 
       logger.info('Authentication successful (development mode)', {
         userId: mockUserId,
@@ -316,88 +441,8 @@ async function authMiddleware (socket, next) {
       return next(new Error('Authentication failed: No token provided'))
     }
 
-    // Validate token (Sanctum or JWT)
-    const tokenData = await validateToken(token)
-    let userId
-
-    if (tokenData.type === 'sanctum') {
-      // For Sanctum tokens, we need to validate with Laravel to get user ID
-      logger.auth('Sanctum token detected, validating with Laravel', {
-        tokenId: tokenData.tokenId
-      })
-
-      // Call Laravel API to get user info or use mock
-      let user
-      if (config.development.mockLaravelApi) {
-        // Use mock user for Sanctum tokens
-        user = {
-          id: 22,
-          email: "user22@mechamap.test",
-          role: "member",
-          name: "Test User 22",
-          permissions: ["read_notifications", "receive_notifications"]
-        }
-      } else {
-        user = await validateUserWithLaravel(null, token)
-      }
-      userId = user.id
-
-      // Attach user information to socket
-      socket.userId = user.id
-      socket.userEmail = user.email
-      socket.userRole = user.role
-      socket.userName = user.name
-      socket.userPermissions = user.permissions || ['receive_notifications']
-      socket.authToken = token
-      socket.authTime = new Date()
-      socket.tokenType = 'sanctum'
-    } else {
-      // JWT token
-      userId = tokenData.userId || tokenData.sub || tokenData.user_id
-
-      if (!userId) {
-        logger.auth('Authentication failed: No user ID in JWT token', {
-          socketId: socket.id,
-          decoded: { ...tokenData, iat: undefined, exp: undefined }
-        })
-        return next(new Error('Authentication failed: Invalid token payload'))
-      }
-
-      // Validate user with Laravel backend or use mock in development
-      let user
-
-      if (config.development.mockLaravelApi) {
-        user = mockUserValidation(userId)
-      } else {
-        user = await validateUserWithLaravel(userId, token)
-      }
-
-      // Attach user information to socket
-      socket.userId = user.id
-      socket.userEmail = user.email
-      socket.userRole = user.role
-      socket.userName = user.name
-      socket.userPermissions = user.permissions || ['receive_notifications']
-      socket.authToken = token
-      socket.authTime = new Date()
-      socket.tokenType = 'jwt'
-    }
-
-    // Check if user has required permissions
-    const requiredPermissions = ['receive_notifications']
-    const hasPermissions = requiredPermissions.every(permission =>
-      socket.userPermissions.includes(permission)
-    )
-
-    if (!hasPermissions) {
-      logger.auth('Authentication failed: Insufficient permissions', {
-        userId: socket.userId,
-        role: socket.userRole,
-        permissions: socket.userPermissions,
-        required: requiredPermissions
-      })
-      return next(new Error('Authentication failed: Insufficient permissions'))
-    }
+    const identity = await authenticateToken(token)
+    applyIdentity(socket, identity, token)
 
     logger.auth('Authentication successful', {
       userId: socket.userId,
@@ -433,27 +478,80 @@ function expressAuthMiddleware (req, res, next) {
     })
   }
 
-  try {
-    const decoded = jwt.verify(token, config.jwt.secret, {
-      algorithms: [config.jwt.algorithm]
-    })
-
+  validateJwtToken(token).then((decoded) => {
     req.userId = decoded.userId || decoded.sub || decoded.user_id
     req.userRole = decoded.role
     req.authToken = token
 
     next()
-  } catch (error) {
+  }, (error) => {
     logger.auth('Express auth failed', {
       error: error.message,
       token: token.substring(0, 20) + '...'
     })
 
-    return res.status(401).json({
+    res.status(401).json({
       error: 'Unauthorized',
       message: 'Invalid or expired token'
     })
+  })
+}
+
+/**
+ * Express middleware for server-to-server calls from Laravel
+ * Requires the shared key (LARAVEL_API_KEY) in the X-WebSocket-API-Key header.
+ */
+function apiKeyMiddleware (req, res, next) {
+  const provided = req.get('X-WebSocket-API-Key') || ''
+  const expected = config.laravel.apiKey
+
+  if (!expected) {
+    logger.security('API key request rejected: LARAVEL_API_KEY is not configured', {
+      path: req.originalUrl,
+      requestId: req.id
+    })
+
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'API key authentication is not configured'
+    })
+  }
+
+  // Compare digests so the check takes the same time for any key
+  const matches = crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(provided).digest(),
+    crypto.createHash('sha256').update(expected).digest()
+  )
+
+  if (!matches) {
+    logger.security('API key authentication failed', {
+      path: req.originalUrl,
+      ip: req.ip,
+      requestId: req.id
+    })
+
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing API key'
+    })
   }
+
+  next()
+}
+
+/**
+ * Express middleware rejecting tokens that do not identify a user
+ * Use after expressAuthMiddleware on routes that act on the caller's own data.
+ */
+function requireUser (req, res, next) {
+  if (req.userId === undefined || req.userId === null) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Token does not identify a user'
+    })
+  }
+
+  next()
 }
 
 /**
@@ -488,8 +586,12 @@ function clearTokenCache () {
 module.exports = {
   authMiddleware,
   expressAuthMiddleware,
+  apiKeyMiddleware,
+  requireUser,
   generateTestToken,
   clearTokenCache,
   validateJwtToken,
-  validateUserWithLaravel
+  validateUserWithLaravel,
+  authenticateToken,
+  applyIdentity
 }
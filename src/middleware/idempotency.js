@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { StatusCodes } = require('http-status-codes');
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { MemoryIdempotencyStore, createIdempotencyStore } = require('../stores/idempotency');
+
+/**
+ * Idempotency Middleware
+ * Broadcast requests carrying an `Idempotency-Key` header (or an `event_id`
+ * body field) are answered once: a repeat within the window gets the stored
+ * response and nothing is emitted again. Every request gets a stable
+ * `req.eventId` (the key, or a fresh UUID) that routes attach to the payload
+ * so clients can dedupe as well.
+ *
+ * Keys are scoped to the caller and endpoint, so two senders cannot collide.
+ * Reusing a key for a different broadcast is rejected; the fingerprint covers
+ * the whole body (multi broadcasts and scheduling fields included) but leaves
+ * out the send-time fields senders rebuild on every attempt, so a genuine
+ * retry still matches.
+ */
+
+const MAX_KEY_LENGTH = 255;
+
+// Fields that change between attempts of the same broadcast
+// (RealtimeNotificationService stamps them on each send), at any depth
+const VOLATILE_FIELDS = ['timestamp', 'server_time'];
+
+/**
+ * Copy a body without its volatile fields, with object keys sorted so the
+ * fingerprint does not depend on the sender's key order
+ */
+function stableValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(stableValue);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .filter(field => !VOLATILE_FIELDS.includes(field))
+      .sort()
+      .reduce((stable, field) => {
+        stable[field] = stableValue(value[field]);
+        return stable;
+      }, {});
+  }
+
+  return value;
+}
+
+class IdempotencyMiddleware {
+  constructor() {
+    // Memory store until initialize() selects the configured driver
+    this.store = new MemoryIdempotencyStore();
+  }
+
+  /**
+   * Switch to the configured store
+   */
+  async initialize() {
+    const store = await createIdempotencyStore();
+    const previous = this.store;
+
+    this.store = store;
+    await previous.close();
+
+    logger.info('Idempotency initialized', {
+      enabled: config.idempotency.enabled,
+      driver: store.type,
+      windowMs: config.idempotency.windowMs
+    });
+  }
+
+  /**
+   * Get the client-supplied idempotency key, if any
+   */
+  getKey(req) {
+    const key = req.get('Idempotency-Key') || (req.body && req.body.event_id);
+    return key === undefined || key === null || key === '' ? null : String(key);
+  }
+
+  /**
+   * Fingerprint the broadcast a request describes, to catch a key reused for
+   * a different one
+   */
+  fingerprint(req) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify(stableValue(req.body || {})))
+      .digest('hex');
+  }
+
+  /**
+   * Who sent the request: the authenticated user, or the API key presented
+   */
+  getCaller(req) {
+    if (req.userId !== undefined && req.userId !== null) {
+      return `user:${req.userId}`;
+    }
+
+    const apiKey = req.get('X-WebSocket-API-Key');
+    return apiKey
+      ? `key:${crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16)}`
+      : 'anonymous';
+  }
+
+  /**
+   * Express middleware for broadcast routes
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const key = this.getKey(req);
+      req.eventId = key || uuidv4();
+
+      if (!key || !config.idempotency.enabled) {
+        return next();
+      }
+
+      if (key.length > MAX_KEY_LENGTH) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: `Idempotency key must be at most ${MAX_KEY_LENGTH} characters`
+        });
+      }
+
+      // Keys are scoped to the caller and the endpoint they were used on
+      const scopedKey = `${this.getCaller(req)}:${req.method}:${req.baseUrl}${req.path}:${key}`;
+      const fingerprint = this.fingerprint(req);
+
+      let existing;
+      try {
+        existing = await this.store.reserve(scopedKey, fingerprint, config.idempotency.lockTimeoutMs);
+      } catch (error) {
+        // Fail open: a duplicate toast is better than a lost broadcast
+        logger.errorWithStack('Idempotency store unavailable', error, { requestId: req.id });
+        return next();
+      }
+
+      if (existing) {
+        return this.replay(req, res, key, fingerprint, existing);
+      }
+
+      // Store the response once the route sends it; server errors free the key for a retry
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const persisted = res.statusCode < StatusCodes.INTERNAL_SERVER_ERROR
+          ? this.store.complete(scopedKey, {
+            state: 'completed',
+            fingerprint,
+            status: res.statusCode,
+            body
+          }, config.idempotency.windowMs)
+          : this.store.release(scopedKey);
+
+        persisted.catch((error) => {
+          logger.errorWithStack('Failed to store idempotent response', error, { requestId: req.id });
+        });
+
+        return json(body);
+      };
+
+      next();
+    };
+  }
+
+  /**
+   * Answer a repeated request from the stored entry
+   */
+  replay(req, res, key, fingerprint, existing) {
+    if (existing.fingerprint !== fingerprint) {
+      logger.api('Idempotency key reused with a different body', {
+        idempotencyKey: key,
+        path: req.originalUrl,
+        requestId: req.id
+      });
+
+      return res.status(StatusCodes.UNPROCESSABLE_ENTITY).json({
+        error: 'Idempotency Key Reused',
+        message: 'This idempotency key was already used for a different request'
+      });
+    }
+
+    if (existing.state !== 'completed') {
+      res.set('Retry-After', '1');
+      return res.status(StatusCodes.CONFLICT).json({
+        error: 'Request In Progress',
+        message: 'A request with this idempotency key is still being processed'
+      });
+    }
+
+    logger.api('Duplicate broadcast ignored', {
+      idempotencyKey: key,
+      path: req.originalUrl,
+      requestId: req.id
+    });
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.status).json(existing.body);
+  }
+
+  /**
+   * Close the store
+   */
+  async close() {
+    await this.store.close();
+  }
+}
+
+// Export singleton instance
+module.exports = new IdempotencyMiddleware();
@@ -1,23 +1,145 @@
 const express = require('express');
 const { StatusCodes } = require('http-status-codes');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 
+const config = require('../config');
 const logger = require('../utils/logger');
-const { expressAuthMiddleware } = require('../middleware/auth');
+const { expressAuthMiddleware, apiKeyMiddleware, requireUser } = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 const channelManager = require('../websocket/channelManager');
+const { broadcastToChannel, validatePayload, describePayload } = require('../websocket/broadcaster');
+const deliveryTracker = require('../services/deliveryTracker');
+const broadcastScheduler = require('../services/broadcastScheduler');
+const channelAuthorizationService = require('../services/channelAuthorizationService');
+const forumAccessService = require('../services/forumAccessService');
+const sanctumTokenService = require('../services/sanctumTokenService');
 
 const router = express.Router();
 
+/**
+ * Optional delayed delivery: deliver_at (ISO 8601) or delay_ms
+ */
+const scheduleValidation = [
+  body('deliver_at')
+    .optional()
+    .isISO8601()
+    .withMessage('deliver_at must be a valid ISO 8601 date')
+    .custom(value => Date.parse(value) - Date.now() <= config.scheduler.maxDelayMs)
+    .withMessage('deliver_at is too far in the future'),
+
+  body('delay_ms')
+    .optional()
+    .isInt({ min: 0, max: config.scheduler.maxDelayMs })
+    .withMessage(`delay_ms must be between 0 and ${config.scheduler.maxDelayMs}`)
+];
+
+/**
+ * Custom validator: data for encrypted channels must be an encrypted payload
+ * @param {Function} channelsOf - (req) => channels the data goes to
+ */
+function encryptedPayload(channelsOf) {
+  return (data, { req }) => {
+    for (const channel of channelsOf(req)) {
+      const invalid = typeof channel === 'string' && validatePayload(channel, data);
+      if (invalid) {
+        throw new Error(invalid);
+      }
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Request body for error logs, without the data of encrypted channels
+ */
+function loggableBody(body) {
+  const channels = [].concat(body.channels || [], body.channel || []);
+  const encrypted = channels.some(channel => typeof channel === 'string' && channelManager.isEncryptedChannel(channel));
+
+  return encrypted ? { ...body, data: '[encrypted]' } : body;
+}
+
+/**
+ * Get the requested delivery time, or null to broadcast right away
+ */
+function getDeliverAt(body) {
+  if (body.deliver_at) {
+    return new Date(body.deliver_at);
+  }
+  if (body.delay_ms !== undefined) {
+    return new Date(Date.now() + parseInt(body.delay_ms));
+  }
+  return null;
+}
+
+/**
+ * Require the API key for scheduled sends: schedules are persisted for up to
+ * SCHEDULER_MAX_DELAY_MS, so the open Laravel route only sends right away
+ * for callers without it
+ */
+function apiKeyForScheduling(req, res, next) {
+  if (req.body && (req.body.deliver_at !== undefined || req.body.delay_ms !== undefined)) {
+    return apiKeyMiddleware(req, res, next);
+  }
+
+  next();
+}
+
+/**
+ * Hand broadcasts to the scheduler and answer 202 Accepted
+ */
+async function respondScheduled(req, res, broadcasts, deliverAt) {
+  if (!config.scheduler.enabled) {
+    return res.status(StatusCodes.SERVICE_UNAVAILABLE).json({
+      error: 'Scheduler Disabled',
+      message: 'Scheduled broadcasts are not enabled on this server'
+    });
+  }
+
+  const schedule = await broadcastScheduler.schedule({
+    broadcasts,
+    deliverAt,
+    eventId: req.eventId,
+    source: req.path
+  });
+
+  logger.api('Broadcast scheduled', {
+    scheduleId: schedule.id,
+    deliverAt: schedule.deliverAt,
+    broadcastCount: broadcasts.length,
+    requestId: req.id
+  });
+
+  return res.status(StatusCodes.ACCEPTED).json({
+    success: true,
+    message: 'Broadcast scheduled',
+    scheduleId: schedule.id,
+    eventId: req.eventId,
+    deliverAt: schedule.deliverAt,
+    broadcastCount: broadcasts.length
+  });
+}
+
 /**
  * Broadcast from Laravel (no auth required)
  * POST /api/laravel-broadcast
  */
 router.post('/laravel-broadcast',
+  // Scheduling needs the API key
+  apiKeyForScheduling,
+
+  // Answer retried requests once (Idempotency-Key header or event_id)
+  idempotency.middleware(),
+
   // Input validation
   [
     body('channels')
       .isArray({ min: 1 })
-      .withMessage('Channels must be a non-empty array'),
+      .withMessage('Channels must be a non-empty array')
+      .custom(channels => channels.length === 1 ||
+        !channels.some(channel => typeof channel === 'string' && channelManager.isEncryptedChannel(channel)))
+      .withMessage('Encrypted channels must be broadcast to one channel at a time'),
 
     body('event')
       .notEmpty()
@@ -29,12 +151,15 @@ router.post('/laravel-broadcast',
       .notEmpty()
       .withMessage('Data is required')
       .isObject()
-      .withMessage('Data must be an object'),
+      .withMessage('Data must be an object')
+      .custom(encryptedPayload(req => Array.isArray(req.body.channels) ? req.body.channels : [])),
 
     body('timestamp')
       .optional()
       .isISO8601()
-      .withMessage('Timestamp must be a valid ISO 8601 date')
+      .withMessage('Timestamp must be a valid ISO 8601 date'),
+
+    ...scheduleValidation
   ],
 
   async (req, res) => {
@@ -52,10 +177,20 @@ router.post('/laravel-broadcast',
       const { channels, event, data, timestamp } = req.body;
       const broadcastData = {
         ...data,
+        event_id: req.eventId,
         timestamp: timestamp || new Date().toISOString(),
         source: 'laravel'
       };
 
+      const deliverAt = getDeliverAt(req.body);
+      if (deliverAt) {
+        return respondScheduled(req, res, channels.map(channel => ({
+          channel,
+          event,
+          data: broadcastData
+        })), deliverAt);
+      }
+
       // Get Socket.IO instance from app
       const io = req.app.get('socketio');
       if (!io) {
@@ -66,35 +201,31 @@ router.post('/laravel-broadcast',
         });
       }
 
-      let totalSubscribers = 0;
-      const results = [];
-
-      // Broadcast to each channel
-      channels.forEach(channel => {
-        const subscriberCount = channelManager.getChannelSubscribers(channel).size;
-        totalSubscribers += subscriberCount;
-
-        if (subscriberCount > 0) {
-          io.to(channel).emit(event, broadcastData);
-        }
-
-        results.push({
-          channel,
-          subscriberCount
-        });
+      // Broadcast to each channel across all workers
+      const results = await Promise.all(channels.map(async channel => {
+        const { subscriberCount, queued } = await broadcastToChannel(io, channel, event, broadcastData);
 
         logger.api('Laravel broadcast sent', {
           channel,
           event,
           subscriberCount,
-          dataSize: JSON.stringify(broadcastData).length
+          ...describePayload(channel, broadcastData)
         });
-      });
+
+        return {
+          channel,
+          subscriberCount,
+          queued
+        };
+      }));
+
+      const totalSubscribers = results.reduce((sum, r) => sum + r.subscriberCount, 0);
 
       res.json({
         success: true,
         message: 'Laravel broadcast sent successfully',
         event,
+        eventId: req.eventId,
         channelCount: channels.length,
         totalSubscribers,
         results,
@@ -103,7 +234,7 @@ router.post('/laravel-broadcast',
 
     } catch (error) {
       logger.errorWithStack('Laravel broadcast error', error, {
-        body: req.body
+        body: loggableBody(req.body)
       });
 
       res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
@@ -122,6 +253,9 @@ router.post('/broadcast',
   // Authentication middleware
   expressAuthMiddleware,
 
+  // Answer retried requests once (Idempotency-Key header or event_id)
+  idempotency.middleware(),
+
   // Input validation
   [
     body('channel')
@@ -140,12 +274,15 @@ router.post('/broadcast',
       .notEmpty()
       .withMessage('Data is required')
       .isObject()
-      .withMessage('Data must be an object'),
+      .withMessage('Data must be an object')
+      .custom(encryptedPayload(req => [req.body.channel])),
 
     body('timestamp')
       .optional()
       .isISO8601()
-      .withMessage('Timestamp must be a valid ISO 8601 date')
+      .withMessage('Timestamp must be a valid ISO 8601 date'),
+
+    ...scheduleValidation
   ],
 
   async (req, res) => {
@@ -163,10 +300,16 @@ router.post('/broadcast',
       const { channel, event, data, timestamp } = req.body;
       const broadcastData = {
         ...data,
+        event_id: req.eventId,
         timestamp: timestamp || new Date().toISOString(),
         source: 'laravel'
       };
 
+      const deliverAt = getDeliverAt(req.body);
+      if (deliverAt) {
+        return respondScheduled(req, res, [{ channel, event, data: broadcastData }], deliverAt);
+      }
+
       // Get Socket.IO instance from app
       const io = req.app.get('socketio');
       if (!io) {
@@ -177,17 +320,15 @@ router.post('/broadcast',
         });
       }
 
-      // Broadcast to channel
-      const subscriberCount = channelManager.getChannelSubscribers(channel).size;
+      // Broadcast to channel across all workers
+      const { subscriberCount, queued } = await broadcastToChannel(io, channel, event, broadcastData);
 
       if (subscriberCount > 0) {
-        io.to(channel).emit(event, broadcastData);
-
         logger.api('Notification broadcasted', {
           channel,
           event,
           subscriberCount,
-          dataSize: JSON.stringify(broadcastData).length,
+          ...describePayload(channel, broadcastData),
           requestId: req.id
         });
       } else {
@@ -203,14 +344,16 @@ router.post('/broadcast',
         message: 'Broadcast sent successfully',
         channel,
         event,
+        eventId: req.eventId,
         subscriberCount,
+        queued,
         timestamp: broadcastData.timestamp
       });
 
     } catch (error) {
       logger.errorWithStack('Broadcast error', error, {
         requestId: req.id,
-        body: req.body
+        body: loggableBody(req.body)
       });
 
       res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
@@ -227,6 +370,7 @@ router.post('/broadcast',
  */
 router.post('/broadcast/multi',
   expressAuthMiddleware,
+  idempotency.middleware(),
   [
     body('broadcasts')
       .isArray({ min: 1 })
@@ -242,7 +386,24 @@ router.post('/broadcast/multi',
 
     body('broadcasts.*.data')
       .isObject()
-      .withMessage('Each broadcast must have data object')
+      .withMessage('Each broadcast must have data object'),
+
+    body('broadcasts.*')
+      .custom((broadcast) => {
+        const invalid = typeof broadcast.channel === 'string' && validatePayload(broadcast.channel, broadcast.data);
+        if (invalid) {
+          throw new Error(invalid);
+        }
+
+        return true;
+      }),
+
+    body('broadcasts.*.event_id')
+      .optional()
+      .isString()
+      .withMessage('Event ID must be a string'),
+
+    ...scheduleValidation
   ],
 
   async (req, res) => {
@@ -256,7 +417,25 @@ router.post('/broadcast/multi',
         });
       }
 
-      const { broadcasts } = req.body;
+      const timestamp = new Date().toISOString();
+
+      const items = req.body.broadcasts.map((broadcast, index) => ({
+        channel: broadcast.channel,
+        event: broadcast.event,
+        data: {
+          ...broadcast.data,
+          // Stable per item, so a replayed request yields the same IDs
+          event_id: broadcast.event_id || `${req.eventId}:${index}`,
+          timestamp,
+          source: 'laravel'
+        }
+      }));
+
+      const deliverAt = getDeliverAt(req.body);
+      if (deliverAt) {
+        return respondScheduled(req, res, items, deliverAt);
+      }
+
       const io = req.app.get('socketio');
 
       if (!io) {
@@ -267,32 +446,22 @@ router.post('/broadcast/multi',
       }
 
       const results = [];
-      const timestamp = new Date().toISOString();
-
-      for (const broadcast of broadcasts) {
-        const { channel, event, data } = broadcast;
-        const broadcastData = {
-          ...data,
-          timestamp,
-          source: 'laravel'
-        };
 
-        const subscriberCount = channelManager.getChannelSubscribers(channel).size;
-
-        if (subscriberCount > 0) {
-          io.to(channel).emit(event, broadcastData);
-        }
+      for (const { channel, event, data } of items) {
+        const { subscriberCount, queued } = await broadcastToChannel(io, channel, event, data);
 
         results.push({
           channel,
           event,
+          eventId: data.event_id,
           subscriberCount,
+          queued,
           success: true
         });
       }
 
       logger.api('Multi-broadcast completed', {
-        broadcastCount: broadcasts.length,
+        broadcastCount: items.length,
         totalSubscribers: results.reduce((sum, r) => sum + r.subscriberCount, 0),
         requestId: req.id
       });
@@ -300,6 +469,7 @@ router.post('/broadcast/multi',
       res.json({
         success: true,
         message: 'Multi-broadcast completed',
+        eventId: req.eventId,
         results,
         timestamp
       });
@@ -323,6 +493,7 @@ router.post('/broadcast/multi',
  */
 router.post('/broadcast/user/:userId',
   expressAuthMiddleware,
+  idempotency.middleware(),
   [
     body('event')
       .notEmpty()
@@ -330,7 +501,9 @@ router.post('/broadcast/user/:userId',
 
     body('data')
       .isObject()
-      .withMessage('Data must be an object')
+      .withMessage('Data must be an object'),
+
+    ...scheduleValidation
   ],
 
   async (req, res) => {
@@ -345,28 +518,30 @@ router.post('/broadcast/user/:userId',
 
       const { userId } = req.params;
       const { event, data } = req.body;
-      const io = req.app.get('socketio');
-
-      if (!io) {
-        return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-          error: 'Server Error',
-          message: 'WebSocket server not available'
-        });
-      }
-
       const channel = `private-user.${userId}`;
       const broadcastData = {
         ...data,
+        event_id: req.eventId,
         timestamp: new Date().toISOString(),
         source: 'laravel'
       };
 
-      const subscriberCount = channelManager.getChannelSubscribers(channel).size;
+      const deliverAt = getDeliverAt(req.body);
+      if (deliverAt) {
+        return respondScheduled(req, res, [{ channel, event, data: broadcastData }], deliverAt);
+      }
 
-      if (subscriberCount > 0) {
-        io.to(channel).emit(event, broadcastData);
+      const io = req.app.get('socketio');
+
+      if (!io) {
+        return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+          error: 'Server Error',
+          message: 'WebSocket server not available'
+        });
       }
 
+      const { subscriberCount, queued } = await broadcastToChannel(io, channel, event, broadcastData);
+
       logger.api('User broadcast sent', {
         userId,
         event,
@@ -379,7 +554,9 @@ router.post('/broadcast/user/:userId',
         message: 'User broadcast sent successfully',
         userId,
         event,
+        eventId: req.eventId,
         subscriberCount,
+        queued,
         timestamp: broadcastData.timestamp
       });
 
@@ -397,6 +574,36 @@ router.post('/broadcast/user/:userId',
   }
 );
 
+/**
+ * Get channel statistics
+ * GET /api/channels/stats
+ */
+router.get('/channels/stats',
+  expressAuthMiddleware,
+
+  async (req, res) => {
+    try {
+      const stats = await channelManager.getChannelStats();
+
+      res.json({
+        success: true,
+        stats,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Channel stats error', error, {
+        requestId: req.id
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Channel Stats Failed',
+        message: 'Failed to get channel statistics'
+      });
+    }
+  }
+);
+
 /**
  * Get channel information
  * GET /api/channels/:channel
@@ -407,12 +614,17 @@ router.get('/channels/:channel',
   async (req, res) => {
     try {
       const { channel } = req.params;
-      const subscribers = channelManager.getChannelSubscribers(channel);
+      const { subscriberCount, nodes, complete } = await channelManager.getClusterChannelSubscribers(channel);
 
       res.json({
         channel,
-        subscriberCount: subscribers.size,
-        subscribers: Array.from(subscribers),
+        subscriberCount,
+        subscribers: nodes.flatMap(node => node.subscribers),
+        nodes: nodes.map(node => ({
+          nodeId: node.nodeId,
+          subscriberCount: node.subscriberCount
+        })),
+        complete,
         metadata: channelManager.channelMetadata.get(channel) || null
       });
 
@@ -431,30 +643,664 @@ router.get('/channels/:channel',
 );
 
 /**
- * Get channel statistics
- * GET /api/channels/stats
+ * Get the members of a presence channel (one entry per user). The caller
+ * must be allowed to join the channel, the same way a socket subscribing to
+ * it is authorized.
+ * GET /api/channels/:channel/members
  */
-router.get('/channels/stats',
+router.get('/channels/:channel/members',
   expressAuthMiddleware,
+  requireUser,
 
   async (req, res) => {
     try {
-      const stats = channelManager.getChannelStats();
+      const { channel } = req.params;
+
+      if (!channelManager.isPresenceChannel(channel)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Only presence channels have members'
+        });
+      }
+
+      // The requester stands in for a socket in the channel authorizers
+      const requester = {
+        id: `http:${req.id}`,
+        userId: req.userId,
+        userRole: req.userRole,
+        authToken: req.authToken
+      };
+
+      const allowed = !channelManager.getRevocationCooldown(req.userId, channel) &&
+        await channelManager.authorize(requester, channel);
+
+      if (!allowed) {
+        return res.status(StatusCodes.FORBIDDEN).json({
+          error: 'Forbidden',
+          message: 'Not authorized for this channel'
+        });
+      }
+
+      const members = await channelManager.getPresenceMembers(channel);
 
       res.json({
         success: true,
-        stats,
+        channel,
+        count: members.length,
+        members,
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
-      logger.errorWithStack('Channel stats error', error, {
+      logger.errorWithStack('Channel members error', error, {
+        requestId: req.id,
+        channel: req.params.channel
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Channel Members Failed',
+        message: 'Failed to get channel members'
+      });
+    }
+  }
+);
+
+/**
+ * Forget cached channel authorization decisions after permissions changed
+ * in Laravel (thread made private, user banned, role changed)
+ * POST /api/channels/authorization/invalidate
+ */
+router.post('/channels/authorization/invalidate',
+  apiKeyMiddleware,
+  [
+    body('user_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('user_id must be a positive integer'),
+
+    body('thread_ids')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('thread_ids must be a non-empty array'),
+
+    body('thread_ids.*')
+      .isInt({ min: 1 })
+      .withMessage('thread_ids must contain thread IDs'),
+
+    body('channels')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('channels must be a non-empty array'),
+
+    body('all')
+      .optional()
+      .isBoolean()
+      .withMessage('all must be a boolean'),
+
+    body()
+      .custom(value => value.all === true || value.user_id !== undefined ||
+        value.thread_ids !== undefined || value.channels !== undefined)
+      .withMessage('Provide user_id, thread_ids, channels or all')
+  ],
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Invalid input data',
+          details: errors.array()
+        });
+      }
+
+      const { user_id: userId, thread_ids: threadIds = [], channels = [], all = false } = req.body;
+      const targetChannels = channels.concat(threadIds.map(threadId => `presence-thread.${threadId}`));
+
+      const removed = channelAuthorizationService.invalidate({
+        userId: userId !== undefined ? userId : null,
+        channels: targetChannels.length > 0 ? targetChannels : null,
+        all
+      });
+
+      logger.api('Channel authorization invalidated', {
+        userId,
+        channels: targetChannels,
+        all,
+        removed,
+        requestId: req.id
+      });
+
+      res.json({
+        success: true,
+        removed,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Channel authorization invalidation error', error, {
         requestId: req.id
       });
 
       res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-        error: 'Channel Stats Failed',
-        message: 'Failed to get channel statistics'
+        error: 'Invalidation Failed',
+        message: 'Failed to invalidate channel authorization'
+      });
+    }
+  }
+);
+
+/**
+ * Revocation reason and cooldown shared by both revoke endpoints
+ */
+const revocationValidation = [
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('reason must be a string of at most 100 characters'),
+
+  body('cooldown_ms')
+    .optional()
+    .isInt({ min: 0, max: config.channelRevocation.maxCooldownMs })
+    .withMessage(`cooldown_ms must be between 0 and ${config.channelRevocation.maxCooldownMs}`)
+];
+
+/**
+ * Revoke subscriptions on every worker and answer with the count
+ */
+async function respondRevoked(req, res, { userIds, channels }) {
+  const reason = req.body.reason || 'revoked';
+  const cooldownMs = req.body.cooldown_ms !== undefined
+    ? parseInt(req.body.cooldown_ms)
+    : config.channelRevocation.cooldownMs;
+
+  const { revoked, complete } = await channelManager.revokeSubscriptions({
+    userIds,
+    channels,
+    reason,
+    cooldownMs
+  });
+
+  logger.api('Channel subscriptions revoked', {
+    userIds,
+    channels,
+    reason,
+    cooldownMs,
+    revoked,
+    requestId: req.id
+  });
+
+  res.json({
+    success: true,
+    revoked,
+    cooldownMs,
+    complete,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Remove users from a channel (ban, ended contract). Their sockets leave the
+ * room and get `subscription_revoked`; subscribing again fails until the
+ * cooldown ends.
+ * POST /api/channels/:channel/revoke
+ */
+router.post('/channels/:channel/revoke',
+  apiKeyMiddleware,
+  [
+    body('user_ids')
+      .isArray({ min: 1, max: 1000 })
+      .withMessage('user_ids must be an array of 1 to 1000 user IDs'),
+
+    body('user_ids.*')
+      .isInt({ min: 1 })
+      .withMessage('user_ids must contain user IDs'),
+
+    ...revocationValidation
+  ],
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Invalid input data',
+          details: errors.array()
+        });
+      }
+
+      await respondRevoked(req, res, {
+        userIds: req.body.user_ids.map(userId => parseInt(userId)),
+        channels: [req.params.channel]
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Channel revoke error', error, {
+        requestId: req.id,
+        channel: req.params.channel
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Revoke Failed',
+        message: 'Failed to revoke channel subscriptions'
+      });
+    }
+  }
+);
+
+/**
+ * Remove a user from several channels, or from every channel but their own
+ * private channel when `channels` is left out
+ * POST /api/users/:userId/channels/revoke
+ */
+router.post('/users/:userId/channels/revoke',
+  apiKeyMiddleware,
+  [
+    param('userId')
+      .isInt({ min: 1 })
+      .withMessage('userId must be a positive integer'),
+
+    body('channels')
+      .optional()
+      .isArray({ min: 1, max: 1000 })
+      .withMessage('channels must be an array of 1 to 1000 channels'),
+
+    body('channels.*')
+      .isString()
+      .notEmpty()
+      .withMessage('channels must contain channel names'),
+
+    ...revocationValidation
+  ],
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Invalid input data',
+          details: errors.array()
+        });
+      }
+
+      await respondRevoked(req, res, {
+        userIds: [parseInt(req.params.userId)],
+        channels: req.body.channels || null
+      });
+
+    } catch (error) {
+      logger.errorWithStack('User channel revoke error', error, {
+        requestId: req.id,
+        userId: req.params.userId
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Revoke Failed',
+        message: 'Failed to revoke channel subscriptions'
+      });
+    }
+  }
+);
+
+/**
+ * End sessions at once (logout, password change, token deleted): sockets
+ * using one of the Sanctum tokens, or any socket of the users, get
+ * `session_expired` and are disconnected on every worker
+ * POST /api/sessions/revoke
+ */
+router.post('/sessions/revoke',
+  apiKeyMiddleware,
+  [
+    body('token_ids')
+      .optional()
+      .isArray({ min: 1, max: 1000 })
+      .withMessage('token_ids must be an array of 1 to 1000 token IDs'),
+
+    body('token_ids.*')
+      .isInt({ min: 1 })
+      .withMessage('token_ids must contain token IDs'),
+
+    body('user_ids')
+      .optional()
+      .isArray({ min: 1, max: 1000 })
+      .withMessage('user_ids must be an array of 1 to 1000 user IDs'),
+
+    body('user_ids.*')
+      .isInt({ min: 1 })
+      .withMessage('user_ids must contain user IDs'),
+
+    body()
+      .custom(value => !!(value.token_ids || value.user_ids))
+      .withMessage('token_ids or user_ids is required'),
+
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('reason must be a string of at most 100 characters')
+  ],
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Invalid input data',
+          details: errors.array()
+        });
+      }
+
+      const criteria = {
+        tokenIds: (req.body.token_ids || []).map(tokenId => parseInt(tokenId)),
+        userIds: (req.body.user_ids || []).map(userId => parseInt(userId)),
+        reason: req.body.reason || 'revoked'
+      };
+
+      const { disconnected, complete } = await sanctumTokenService.revoke(criteria);
+
+      logger.api('Sessions revoked', {
+        requestId: req.id,
+        ...criteria,
+        disconnected,
+        complete
+      });
+
+      res.json({
+        success: true,
+        disconnected,
+        complete,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Session revoke error', error, {
+        requestId: req.id
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Revoke Failed',
+        message: 'Failed to revoke sessions'
+      });
+    }
+  }
+);
+
+/**
+ * Replace the access rule of one forum (sent by Laravel when it changes).
+ * Subscribers who lost access are removed from forum.{id} at once.
+ * PUT /api/forums/:forumId/access-rules
+ */
+router.put('/forums/:forumId/access-rules',
+  apiKeyMiddleware,
+  [
+    param('forumId')
+      .isInt({ min: 1 })
+      .withMessage('forumId must be a positive integer'),
+
+    body('allowed_roles')
+      .optional()
+      .isArray()
+      .withMessage('allowed_roles must be an array'),
+
+    body('allowed_user_ids')
+      .optional()
+      .isArray()
+      .withMessage('allowed_user_ids must be an array'),
+
+    body('denied_user_ids')
+      .optional()
+      .isArray()
+      .withMessage('denied_user_ids must be an array'),
+
+    body('verified_partners_only')
+      .optional()
+      .isBoolean()
+      .withMessage('verified_partners_only must be a boolean'),
+
+    body('restricted')
+      .optional()
+      .isBoolean()
+      .withMessage('restricted must be a boolean')
+  ],
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Invalid input data',
+          details: errors.array()
+        });
+      }
+
+      const forumId = parseInt(req.params.forumId);
+
+      // restricted: false lifts every restriction of the forum
+      const rule = forumAccessService.setRule(forumId, req.body.restricted === false ? null : req.body);
+
+      logger.api('Forum access rule updated', {
+        forumId,
+        restricted: !!rule,
+        requestId: req.id
+      });
+
+      res.json({
+        success: true,
+        forumId,
+        rule,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Forum access rule update error', error, {
+        requestId: req.id,
+        forumId: req.params.forumId
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Forum Rule Update Failed',
+        message: 'Failed to update forum access rule'
+      });
+    }
+  }
+);
+
+/**
+ * Reload every forum access rule from the configured source now, on every worker
+ * POST /api/forums/access-rules/refresh
+ */
+router.post('/forums/access-rules/refresh',
+  apiKeyMiddleware,
+
+  async (req, res) => {
+    try {
+      await forumAccessService.refreshAll();
+
+      res.json({
+        success: true,
+        ...forumAccessService.getStats(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Forum access refresh error', error, {
+        requestId: req.id
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Forum Rule Refresh Failed',
+        message: 'Failed to refresh forum access rules'
+      });
+    }
+  }
+);
+
+/**
+ * List pending scheduled broadcasts
+ * GET /api/broadcasts/scheduled
+ */
+router.get('/broadcasts/scheduled',
+  apiKeyMiddleware,
+
+  async (req, res) => {
+    try {
+      const schedules = await broadcastScheduler.list({ limit: req.query.limit });
+
+      res.json({
+        success: true,
+        schedules,
+        count: schedules.length,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Scheduled broadcast list error', error, {
+        requestId: req.id
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Schedule List Failed',
+        message: 'Failed to list scheduled broadcasts'
+      });
+    }
+  }
+);
+
+/**
+ * Get a scheduled broadcast
+ * GET /api/broadcasts/scheduled/:id
+ */
+router.get('/broadcasts/scheduled/:id',
+  apiKeyMiddleware,
+
+  async (req, res) => {
+    try {
+      const schedule = await broadcastScheduler.get(req.params.id);
+
+      if (!schedule) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          error: 'Not Found',
+          message: 'Scheduled broadcast not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        schedule
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Scheduled broadcast lookup error', error, {
+        requestId: req.id,
+        scheduleId: req.params.id
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Schedule Lookup Failed',
+        message: 'Failed to get scheduled broadcast'
+      });
+    }
+  }
+);
+
+/**
+ * Cancel a pending scheduled broadcast
+ * DELETE /api/broadcasts/scheduled/:id
+ */
+router.delete('/broadcasts/scheduled/:id',
+  apiKeyMiddleware,
+
+  async (req, res) => {
+    try {
+      const cancelled = await broadcastScheduler.cancel(req.params.id);
+
+      if (!cancelled) {
+        const schedule = await broadcastScheduler.get(req.params.id);
+
+        return schedule
+          ? res.status(StatusCodes.CONFLICT).json({
+            error: 'Not Cancellable',
+            message: `Scheduled broadcast is already ${schedule.status}`,
+            status: schedule.status
+          })
+          : res.status(StatusCodes.NOT_FOUND).json({
+            error: 'Not Found',
+            message: 'Scheduled broadcast not found'
+          });
+      }
+
+      logger.api('Scheduled broadcast cancelled', {
+        scheduleId: req.params.id,
+        requestId: req.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Scheduled broadcast cancelled',
+        schedule: cancelled
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Scheduled broadcast cancel error', error, {
+        requestId: req.id,
+        scheduleId: req.params.id
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Schedule Cancel Failed',
+        message: 'Failed to cancel scheduled broadcast'
+      });
+    }
+  }
+);
+
+/**
+ * Get the delivery receipt of one of the user's notifications
+ * GET /api/notifications/:id/delivery
+ */
+router.get('/notifications/:id/delivery',
+  expressAuthMiddleware,
+  requireUser,
+
+  async (req, res) => {
+    try {
+      const record = await deliveryTracker.getStatus(req.params.id);
+
+      // Other users' notifications are reported as unknown
+      if (!record || String(record.userId) !== String(req.userId)) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          error: 'Not Found',
+          message: 'No delivery record for this notification'
+        });
+      }
+
+      res.json({
+        notificationId: record.id,
+        userId: record.userId,
+        event: record.event,
+        state: record.state,
+        attempts: record.attempts,
+        queued: record.queued,
+        devices: record.devices || 0,
+        createdAt: record.createdAt,
+        deliveredAt: record.deliveredAt || null,
+        readAt: record.readAt || null
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Delivery receipt error', error, {
+        requestId: req.id,
+        notificationId: req.params.id
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Delivery Receipt Failed',
+        message: 'Failed to get delivery receipt'
       });
     }
   }
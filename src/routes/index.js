@@ -4,6 +4,9 @@ const { StatusCodes } = require('http-status-codes');
 const config = require('../config');
 const logger = require('../utils/logger');
 const broadcastRoutes = require('./broadcast');
+const notificationRoutes = require('./notifications');
+const pushRoutes = require('./push');
+const pusherRoutes = require('./pusher');
 const monitoringRoutes = require('./monitoring');
 
 // Translation services
@@ -211,65 +214,107 @@ function setupRoutes(app, monitoring = null) {
   });
 
   // Connection management endpoints
-  apiRouter.get('/connections/stats', (req, res) => {
-    const connectionManager = require('../services/ConnectionManager');
-    const stats = connectionManager.getStats();
-
-    res.json({
-      success: true,
-      message: 'Connection statistics',
-      data: stats
-    });
-  });
+  apiRouter.get('/connections/stats', async (req, res) => {
+    try {
+      const connectionManager = require('../services/ConnectionManager');
+      const stats = await connectionManager.getStats();
 
-  apiRouter.get('/connections/user/:userId', (req, res) => {
-    const connectionManager = require('../services/ConnectionManager');
-    const { userId } = req.params;
-    const connection = connectionManager.getUserConnection(userId);
+      res.json({
+        success: true,
+        message: 'Connection statistics',
+        data: stats
+      });
+    } catch (error) {
+      logger.errorWithStack('Connection stats error', error, { requestId: req.id });
 
-    if (!connection) {
-      return res.status(404).json({
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
         success: false,
-        message: 'User connection not found'
+        message: 'Failed to get connection statistics'
       });
     }
-
-    res.json({
-      success: true,
-      message: 'User connection info',
-      data: connection
-    });
   });
 
-  apiRouter.post('/connections/disconnect/:userId', (req, res) => {
-    const connectionManager = require('../services/ConnectionManager');
-    const { userId } = req.params;
-    const { reason = 'admin_disconnect' } = req.body;
+  apiRouter.get('/connections/user/:userId', async (req, res) => {
+    try {
+      const connectionManager = require('../services/ConnectionManager');
+      const { userId } = req.params;
+      const connection = await connectionManager.getUserConnection(userId);
 
-    const disconnected = connectionManager.forceDisconnect(userId, reason);
+      if (!connection) {
+        return res.status(404).json({
+          success: false,
+          message: 'User connection not found'
+        });
+      }
 
-    if (disconnected) {
       res.json({
         success: true,
-        message: 'User disconnected successfully'
+        message: 'User connection info',
+        data: connection
       });
-    } else {
-      res.status(404).json({
+    } catch (error) {
+      logger.errorWithStack('User connection lookup error', error, {
+        requestId: req.id,
+        userId: req.params.userId
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
         success: false,
-        message: 'User connection not found'
+        message: 'Failed to get user connection'
+      });
+    }
+  });
+
+  apiRouter.post('/connections/disconnect/:userId', async (req, res) => {
+    try {
+      const connectionManager = require('../services/ConnectionManager');
+      const { userId } = req.params;
+      const { reason = 'admin_disconnect' } = req.body;
+
+      const disconnected = await connectionManager.forceDisconnect(userId, reason);
+
+      if (disconnected) {
+        res.json({
+          success: true,
+          message: 'User disconnected successfully'
+        });
+      } else {
+        res.status(404).json({
+          success: false,
+          message: 'User connection not found'
+        });
+      }
+    } catch (error) {
+      logger.errorWithStack('Force disconnect error', error, {
+        requestId: req.id,
+        userId: req.params.userId
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: 'Failed to disconnect user'
       });
     }
   });
 
   // Clear all connections (for testing)
-  apiRouter.post('/connections/clear-all', (req, res) => {
-    const connectionManager = require('../services/ConnectionManager');
-    connectionManager.clearAll();
+  apiRouter.post('/connections/clear-all', async (req, res) => {
+    try {
+      const connectionManager = require('../services/ConnectionManager');
+      await connectionManager.clearAll();
 
-    res.json({
-      success: true,
-      message: 'All connections cleared'
-    });
+      res.json({
+        success: true,
+        message: 'All connections cleared'
+      });
+    } catch (error) {
+      logger.errorWithStack('Clear connections error', error, { requestId: req.id });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: 'Failed to clear connections'
+      });
+    }
   });
 
   // Performance metrics endpoint
@@ -445,6 +490,15 @@ function setupRoutes(app, monitoring = null) {
   // Mount broadcast routes
   app.use('/api', broadcastRoutes);
 
+  // Mount notification inbox routes
+  app.use('/api', notificationRoutes);
+
+  // Mount Web Push subscription routes
+  app.use('/api', pushRoutes);
+
+  // Mount the Pusher-compatible HTTP API (/apps/:appId/...)
+  app.use(pusherRoutes);
+
   // Mount monitoring routes if monitoring instance is provided
   if (monitoring) {
     app.use('/api/monitoring', monitoringRoutes(monitoring));
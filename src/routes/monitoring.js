@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const notificationService = require('../services/notificationService');
+const driverRegistry = require('../services/driverRegistry');
 
 // Monitoring routes
 module.exports = (monitoring) => {
@@ -127,6 +129,34 @@ module.exports = (monitoring) => {
         }
     });
 
+    // Notification delivery driver health and statistics
+    router.get('/drivers', async (req, res) => {
+        try {
+            const startTime = Date.now();
+            const health = await driverRegistry.healthCheck();
+            const healthy = Object.values(health).every(channel => channel.healthy);
+
+            monitoring.trackResponseTime(startTime, '/drivers');
+
+            res.status(healthy ? 200 : 503).json({
+                success: true,
+                data: {
+                    healthy,
+                    channels: health,
+                    stats: driverRegistry.getStats()
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            monitoring.trackError(error, { endpoint: '/drivers' });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve driver health',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
     // Reset metrics endpoint (admin only)
     router.post('/reset', (req, res) => {
         try {
@@ -243,10 +273,11 @@ module.exports = (monitoring) => {
     });
 
     // Prometheus-style metrics endpoint
-    router.get('/prometheus', (req, res) => {
+    router.get('/prometheus', async (req, res) => {
         try {
             const startTime = Date.now();
             const metrics = monitoring.getMetrics();
+            const delivery = await notificationService.getDeliveryStats();
             
             // Convert metrics to Prometheus format
             let prometheusMetrics = '';
@@ -279,10 +310,45 @@ module.exports = (monitoring) => {
             prometheusMetrics += `auth_attempts_total{result="success"} ${metrics.authentication.successful}\n`;
             prometheusMetrics += `auth_attempts_total{result="failure"} ${metrics.authentication.failed}\n\n`;
             
-            // Notification metrics
+            // Notification metrics (acknowledged delivery)
             prometheusMetrics += `# HELP notifications_total Total notifications sent\n`;
             prometheusMetrics += `# TYPE notifications_total counter\n`;
-            prometheusMetrics += `notifications_total ${metrics.notifications.sent}\n\n`;
+            prometheusMetrics += `notifications_total ${delivery.sent}\n\n`;
+
+            prometheusMetrics += `# HELP notifications_delivered_total Notifications acknowledged by at least one device\n`;
+            prometheusMetrics += `# TYPE notifications_delivered_total counter\n`;
+            prometheusMetrics += `notifications_delivered_total ${delivery.delivered}\n\n`;
+
+            prometheusMetrics += `# HELP notifications_read_total Notifications marked as read\n`;
+            prometheusMetrics += `# TYPE notifications_read_total counter\n`;
+            prometheusMetrics += `notifications_read_total ${delivery.read}\n\n`;
+
+            prometheusMetrics += `# HELP notifications_failed_total Notifications not acknowledged after all retries\n`;
+            prometheusMetrics += `# TYPE notifications_failed_total counter\n`;
+            prometheusMetrics += `notifications_failed_total ${delivery.failed}\n\n`;
+
+            prometheusMetrics += `# HELP notifications_redelivered_total Notification redelivery attempts\n`;
+            prometheusMetrics += `# TYPE notifications_redelivered_total counter\n`;
+            prometheusMetrics += `notifications_redelivered_total ${delivery.redelivered}\n\n`;
+
+            prometheusMetrics += `# HELP notifications_retrying Notifications waiting for a retry on this worker\n`;
+            prometheusMetrics += `# TYPE notifications_retrying gauge\n`;
+            prometheusMetrics += `notifications_retrying ${delivery.retrying}\n\n`;
+
+            // Notification channel driver metrics
+            const drivers = driverRegistry.getStats();
+
+            prometheusMetrics += `# HELP notification_channel_sends_total Notification driver sends by channel and result\n`;
+            prometheusMetrics += `# TYPE notification_channel_sends_total counter\n`;
+            for (const [channel, stats] of Object.entries(drivers.channels)) {
+                prometheusMetrics += `notification_channel_sends_total{channel="${channel}",driver="${stats.driver}",result="success"} ${stats.sent}\n`;
+                prometheusMetrics += `notification_channel_sends_total{channel="${channel}",driver="${stats.driver}",result="failure"} ${stats.failed}\n`;
+            }
+            prometheusMetrics += `\n`;
+
+            prometheusMetrics += `# HELP notification_channel_retrying Notification driver sends waiting for a retry on this worker\n`;
+            prometheusMetrics += `# TYPE notification_channel_retrying gauge\n`;
+            prometheusMetrics += `notification_channel_retrying ${drivers.retrying}\n\n`;
             
             monitoring.trackResponseTime(startTime, '/prometheus');
             
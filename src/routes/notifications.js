@@ -0,0 +1,331 @@
+const express = require('express');
+const { StatusCodes } = require('http-status-codes');
+const { query, validationResult } = require('express-validator');
+
+const logger = require('../utils/logger');
+const { expressAuthMiddleware, apiKeyMiddleware, requireUser } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const {
+  validatePreferencesUpdate,
+  validatePreferencesSync
+} = require('../validation/preferencesValidation');
+
+const router = express.Router();
+
+/**
+ * Notification Inbox Routes
+ * A user's own notification history, for loading the inbox when a page opens.
+ * Every mutation is pushed to all of the user's devices over private-user.{id}
+ * by notificationService, so open tabs stay in sync with the REST caller.
+ */
+
+/**
+ * List the authenticated user's notifications
+ * GET /api/notifications?cursor=&limit=&type=&priority=&status=&from=&to=
+ */
+router.get('/notifications',
+  expressAuthMiddleware,
+  requireUser,
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+
+    query('status')
+      .optional()
+      .isIn(['all', 'read', 'unread'])
+      .withMessage('Status must be all, read or unread'),
+
+    query('type')
+      .optional()
+      .isString()
+      .withMessage('Type must be a comma-separated list'),
+
+    query('priority')
+      .optional()
+      .isString()
+      .withMessage('Priority must be a string'),
+
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from must be a valid ISO 8601 date'),
+
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to must be a valid ISO 8601 date')
+  ],
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Invalid query parameters',
+          details: errors.array()
+        });
+      }
+
+      const { cursor, limit, type, priority, status = 'all', from, to } = req.query;
+
+      let page;
+      try {
+        page = await notificationService.listNotifications(req.userId, {
+          cursor,
+          limit: limit ? parseInt(limit) : 20,
+          type: type ? type.split(',').map(value => value.trim()).filter(Boolean) : undefined,
+          priority,
+          read: status === 'all' ? undefined : status === 'read',
+          from: from ? new Date(from) : undefined,
+          to: to ? new Date(to) : undefined
+        });
+      } catch (error) {
+        if (error.message !== 'Invalid cursor') throw error;
+
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Invalid cursor'
+        });
+      }
+
+      res.json({
+        success: true,
+        ...page
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Notification list error', error, {
+        requestId: req.id,
+        userId: req.userId
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Notification List Failed',
+        message: 'Failed to list notifications'
+      });
+    }
+  }
+);
+
+/**
+ * Get the authenticated user's notification preferences
+ * GET /api/notifications/preferences
+ */
+router.get('/notifications/preferences',
+  expressAuthMiddleware,
+  requireUser,
+
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        preferences: await notificationService.getPreferences(req.userId)
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Get preferences error', error, {
+        requestId: req.id,
+        userId: req.userId
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Preferences Lookup Failed',
+        message: 'Failed to get notification preferences'
+      });
+    }
+  }
+);
+
+/**
+ * Update the authenticated user's notification preferences (partial update)
+ * PATCH /api/notifications/preferences
+ */
+router.patch('/notifications/preferences',
+  expressAuthMiddleware,
+  requireUser,
+
+  async (req, res) => {
+    try {
+      const validation = validatePreferencesUpdate(req.body);
+      if (!validation.isValid) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Invalid preferences',
+          details: validation.errors
+        });
+      }
+
+      const preferences = await notificationService.updatePreferences(req.userId, validation.data);
+
+      res.json({
+        success: true,
+        preferences
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Update preferences error', error, {
+        requestId: req.id,
+        userId: req.userId
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Preferences Update Failed',
+        message: 'Failed to update notification preferences'
+      });
+    }
+  }
+);
+
+/**
+ * Replace the preferences of many users (Laravel is the source of truth)
+ * POST /api/notifications/preferences/sync
+ */
+router.post('/notifications/preferences/sync',
+  apiKeyMiddleware,
+
+  async (req, res) => {
+    try {
+      const validation = validatePreferencesSync(req.body);
+      if (!validation.isValid) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Invalid preferences sync request',
+          details: validation.errors
+        });
+      }
+
+      const synced = await notificationService.syncPreferences(validation.data.users);
+
+      logger.api('Notification preferences synced', {
+        synced,
+        requestId: req.id
+      });
+
+      res.json({
+        success: true,
+        synced,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Preferences sync error', error, {
+        requestId: req.id
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Preferences Sync Failed',
+        message: 'Failed to sync notification preferences'
+      });
+    }
+  }
+);
+
+/**
+ * Mark all of the authenticated user's notifications as read
+ * POST /api/notifications/read-all
+ */
+router.post('/notifications/read-all',
+  expressAuthMiddleware,
+  requireUser,
+
+  async (req, res) => {
+    try {
+      const result = await notificationService.markAllAsRead(req.userId);
+
+      logger.api('Notifications marked as read', {
+        userId: req.userId,
+        count: result.count,
+        requestId: req.id
+      });
+
+      res.json(result);
+
+    } catch (error) {
+      logger.errorWithStack('Mark all notifications read error', error, {
+        requestId: req.id,
+        userId: req.userId
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Mark Read Failed',
+        message: 'Failed to mark notifications as read'
+      });
+    }
+  }
+);
+
+/**
+ * Mark one notification as read
+ * POST /api/notifications/:id/read
+ */
+router.post('/notifications/:id/read',
+  expressAuthMiddleware,
+  requireUser,
+
+  async (req, res) => {
+    try {
+      const result = await notificationService.markAsRead(req.params.id, req.userId);
+
+      res.json(result);
+
+    } catch (error) {
+      logger.errorWithStack('Mark notification read error', error, {
+        requestId: req.id,
+        userId: req.userId,
+        notificationId: req.params.id
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Mark Read Failed',
+        message: 'Failed to mark notification as read'
+      });
+    }
+  }
+);
+
+/**
+ * Delete one notification
+ * DELETE /api/notifications/:id
+ */
+router.delete('/notifications/:id',
+  expressAuthMiddleware,
+  requireUser,
+
+  async (req, res) => {
+    try {
+      const result = await notificationService.deleteNotification(req.params.id, req.userId);
+
+      if (!result) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          error: 'Not Found',
+          message: 'Notification not found'
+        });
+      }
+
+      logger.api('Notification deleted', {
+        userId: req.userId,
+        notificationId: req.params.id,
+        requestId: req.id
+      });
+
+      res.json(result);
+
+    } catch (error) {
+      logger.errorWithStack('Delete notification error', error, {
+        requestId: req.id,
+        userId: req.userId,
+        notificationId: req.params.id
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Delete Failed',
+        message: 'Failed to delete notification'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const { StatusCodes } = require('http-status-codes');
+const { body, validationResult } = require('express-validator');
+
+const logger = require('../utils/logger');
+const { expressAuthMiddleware, requireUser } = require('../middleware/auth');
+const webPushService = require('../services/webPushService');
+
+const router = express.Router();
+
+/**
+ * Web Push Routes
+ * Browsers register the PushSubscription they got from
+ * pushManager.subscribe() so the user can be notified while no tab is open.
+ */
+
+/**
+ * Reject requests while VAPID keys are not configured
+ */
+function requireWebPush(req, res, next) {
+  if (!webPushService.isEnabled()) {
+    return res.status(StatusCodes.SERVICE_UNAVAILABLE).json({
+      error: 'Service Unavailable',
+      message: 'Web Push is not configured'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Get the VAPID public key (applicationServerKey)
+ * GET /api/push/vapid-public-key
+ */
+router.get('/push/vapid-public-key', requireWebPush, (req, res) => {
+  res.json({
+    success: true,
+    publicKey: webPushService.getPublicKey()
+  });
+});
+
+/**
+ * Register a push subscription for the authenticated user's device
+ * POST /api/push/subscriptions
+ */
+router.post('/push/subscriptions',
+  expressAuthMiddleware,
+  requireUser,
+  requireWebPush,
+  [
+    body('subscription.endpoint')
+      .isURL({ protocols: ['https'], require_protocol: true })
+      .withMessage('subscription.endpoint must be an https URL')
+      .custom(endpoint => webPushService.isAllowedEndpoint(endpoint))
+      .withMessage('subscription.endpoint must belong to a known push service (WEBPUSH_ALLOWED_HOSTS)'),
+
+    body('subscription.keys.p256dh')
+      .isBase64({ urlSafe: true })
+      .isLength({ min: 80, max: 100 })
+      .withMessage('subscription.keys.p256dh must be a base64url P-256 public key'),
+
+    body('subscription.keys.auth')
+      .isBase64({ urlSafe: true })
+      .isLength({ min: 16, max: 32 })
+      .withMessage('subscription.keys.auth must be a base64url secret'),
+
+    body('device_id')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('device_id must be a string of at most 100 characters')
+  ],
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Invalid push subscription',
+          details: errors.array()
+        });
+      }
+
+      const subscription = await webPushService.subscribe(req.userId, {
+        subscription: req.body.subscription,
+        deviceId: req.body.device_id || null,
+        userAgent: req.get('User-Agent') || null
+      });
+
+      logger.api('Push subscription registered', {
+        userId: req.userId,
+        subscriptionId: subscription.id,
+        requestId: req.id
+      });
+
+      res.status(StatusCodes.CREATED).json({
+        success: true,
+        id: subscription.id,
+        deviceId: subscription.deviceId,
+        createdAt: subscription.createdAt
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Push subscription error', error, {
+        requestId: req.id,
+        userId: req.userId
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Push Subscription Failed',
+        message: 'Failed to save push subscription'
+      });
+    }
+  }
+);
+
+/**
+ * List the authenticated user's push subscriptions
+ * GET /api/push/subscriptions
+ */
+router.get('/push/subscriptions',
+  expressAuthMiddleware,
+  requireUser,
+
+  async (req, res) => {
+    try {
+      const subscriptions = await webPushService.list(req.userId);
+
+      // Keys stay on the server
+      res.json({
+        success: true,
+        subscriptions: subscriptions.map(({ id, deviceId, userAgent, endpoint, createdAt, updatedAt }) => ({
+          id,
+          deviceId,
+          userAgent,
+          pushService: new URL(endpoint).host,
+          createdAt,
+          updatedAt
+        }))
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Push subscription list error', error, {
+        requestId: req.id,
+        userId: req.userId
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Push Subscription List Failed',
+        message: 'Failed to list push subscriptions'
+      });
+    }
+  }
+);
+
+/**
+ * Remove a push subscription (the browser unsubscribed or the user logged out)
+ * DELETE /api/push/subscriptions/:id
+ */
+router.delete('/push/subscriptions/:id',
+  expressAuthMiddleware,
+  requireUser,
+
+  async (req, res) => {
+    try {
+      const removed = await webPushService.unsubscribe(req.userId, req.params.id);
+
+      if (!removed) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          error: 'Not Found',
+          message: 'Push subscription not found'
+        });
+      }
+
+      logger.api('Push subscription removed', {
+        userId: req.userId,
+        subscriptionId: req.params.id,
+        requestId: req.id
+      });
+
+      res.json({
+        success: true,
+        id: req.params.id
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Push unsubscribe error', error, {
+        requestId: req.id,
+        userId: req.userId,
+        subscriptionId: req.params.id
+      });
+
+      res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Push Unsubscribe Failed',
+        message: 'Failed to remove push subscription'
+      });
+    }
+  }
+);
+
+module.exports = router;
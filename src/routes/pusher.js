@@ -0,0 +1,339 @@
+const express = require('express');
+const { StatusCodes } = require('http-status-codes');
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { md5, signRequest, signaturesMatch } = require('../utils/pusher');
+const channelManager = require('../websocket/channelManager');
+const { broadcastToChannel, validatePayload, describePayload } = require('../websocket/broadcaster');
+
+const router = express.Router();
+
+/**
+ * Pusher-compatible HTTP API
+ * Lets Laravel's built-in `pusher` broadcast driver publish to this server:
+ *
+ *   'pusher' => [
+ *       'driver' => 'pusher',
+ *       'key' => env('PUSHER_APP_KEY'), 'secret' => env('PUSHER_APP_SECRET'), 'app_id' => env('PUSHER_APP_ID'),
+ *       'options' => ['host' => 'realtime.mechamap.com', 'port' => 443, 'scheme' => 'https'],
+ *   ],
+ *
+ * Requests are signed with the app secret (auth_key, auth_timestamp,
+ * auth_version, body_md5, auth_signature query parameters). Events go
+ * through the same broadcaster as /api/laravel-broadcast: sequenced,
+ * replayable, queued for offline users.
+ */
+
+// Channel names Pusher accepts
+const CHANNEL_NAME = /^[A-Za-z0-9_\-=@,.;]{1,164}$/;
+
+/**
+ * Reject requests while no Pusher app is configured
+ */
+function requirePusherApp(req, res, next) {
+  if (!config.pusher.appId || !config.pusher.key || !config.pusher.secret) {
+    return res.status(StatusCodes.SERVICE_UNAVAILABLE).json({
+      error: 'Service Unavailable',
+      message: 'Pusher API is not configured'
+    });
+  }
+
+  if (req.params.appId !== String(config.pusher.appId)) {
+    return res.status(StatusCodes.NOT_FOUND).json({
+      error: 'Not Found',
+      message: 'Unknown app'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Check the request signature, timestamp and body hash
+ */
+function verifySignature(req, res, next) {
+  const path = req.originalUrl.split('?')[0];
+  const params = Object.fromEntries(new URLSearchParams(req.originalUrl.split('?')[1] || ''));
+
+  const reject = (message) => {
+    logger.security('Pusher API request rejected', {
+      path,
+      reason: message,
+      ip: req.ip,
+      requestId: req.id
+    });
+
+    return res.status(StatusCodes.UNAUTHORIZED).json({
+      error: 'Unauthorized',
+      message
+    });
+  };
+
+  if (params.auth_key !== config.pusher.key) {
+    return reject('Unknown auth_key');
+  }
+
+  const timestamp = parseInt(params.auth_timestamp);
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > config.pusher.maxTimestampSkew) {
+    return reject('Timestamp expired');
+  }
+
+  if (req.rawBody && req.rawBody.length > 0 && params.body_md5 !== md5(req.rawBody)) {
+    return reject('Body hash does not match');
+  }
+
+  const expected = signRequest(config.pusher.secret, req.method, path, params);
+  if (!signaturesMatch(expected, params.auth_signature || '')) {
+    return reject('Invalid signature');
+  }
+
+  next();
+}
+
+/**
+ * Validate one event ({ name, data, channels | channel, socket_id })
+ * @returns {string|null} Error message
+ */
+function validateEvent(event, { multiChannel }) {
+  if (!event || typeof event !== 'object') {
+    return 'Event must be an object';
+  }
+
+  if (typeof event.name !== 'string' || event.name.length === 0 || event.name.length > 200) {
+    return 'name must be a string of at most 200 characters';
+  }
+
+  if (typeof event.data !== 'string') {
+    return 'data must be a string';
+  }
+
+  if (Buffer.byteLength(event.data) > config.pusher.maxPayloadBytes) {
+    return `data must be at most ${config.pusher.maxPayloadBytes} bytes`;
+  }
+
+  const channels = multiChannel && event.channels ? event.channels : [event.channel];
+  if (!Array.isArray(channels) || channels.length === 0 || channels.length > config.pusher.maxChannelsPerEvent) {
+    return `An event needs between 1 and ${config.pusher.maxChannelsPerEvent} channels`;
+  }
+
+  if (!channels.every(channel => typeof channel === 'string' && CHANNEL_NAME.test(channel))) {
+    return 'Invalid channel name';
+  }
+
+  // Each encrypted payload is encrypted with its own channel's key
+  if (channels.length > 1 && channels.some(channel => channelManager.isEncryptedChannel(channel))) {
+    return 'Encrypted channels must be triggered one channel at a time';
+  }
+
+  for (const channel of channels) {
+    const invalid = validatePayload(channel, parseEventData(event.data));
+    if (invalid) {
+      return invalid;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Event data as the object our clients receive. Laravel sends a JSON
+ * object; anything else is wrapped.
+ */
+function parseEventData(data) {
+  try {
+    const parsed = JSON.parse(data);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : { data: parsed };
+  } catch (error) {
+    return { data };
+  }
+}
+
+/**
+ * Requested channel attributes (`info=subscription_count,user_count`)
+ */
+function parseInfo(info) {
+  return typeof info === 'string' ? info.split(',').map(attribute => attribute.trim()) : [];
+}
+
+/**
+ * Broadcast one event and describe its channels when `info` asks for it
+ */
+async function triggerEvent(io, event, channels, info) {
+  const data = parseEventData(event.data);
+
+  const results = await Promise.all(channels.map(channel => broadcastToChannel(
+    io, channel, event.name, data, { except: event.socket_id || null }
+  )));
+
+  logger.api('Pusher event triggered', {
+    event: event.name,
+    channels,
+    ...describePayload(channels[0], data)
+  });
+
+  if (info.length === 0) {
+    return null;
+  }
+
+  const attributes = {};
+  for (const { channel, subscriberCount } of results) {
+    attributes[channel] = await describeChannel(channel, subscriberCount, info);
+  }
+
+  return attributes;
+}
+
+/**
+ * Channel attributes in Pusher's shape
+ */
+async function describeChannel(channel, subscriberCount, info) {
+  const attributes = {};
+
+  if (info.includes('subscription_count')) {
+    attributes.subscription_count = subscriberCount;
+  }
+
+  if (info.includes('user_count') && channelManager.isPresenceChannel(channel)) {
+    attributes.user_count = (await channelManager.getPresenceMembers(channel)).length;
+  }
+
+  return attributes;
+}
+
+/**
+ * Send the error response of a failed API call
+ */
+function sendFailure(req, res, message, error) {
+  logger.errorWithStack(message, error, { requestId: req.id });
+
+  res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+    error: 'Pusher API Failed',
+    message
+  });
+}
+
+/**
+ * Trigger an event on one or more channels
+ * POST /apps/:appId/events
+ */
+router.post('/apps/:appId/events', requirePusherApp, verifySignature, async (req, res) => {
+  try {
+    const event = req.body;
+    const invalid = validateEvent(event, { multiChannel: true });
+    if (invalid) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: invalid
+      });
+    }
+
+    const channels = event.channels || [event.channel];
+    const attributes = await triggerEvent(req.app.get('socketio'), event, channels, parseInfo(event.info));
+
+    res.json(attributes ? { channels: attributes } : {});
+
+  } catch (error) {
+    sendFailure(req, res, 'Failed to trigger event', error);
+  }
+});
+
+/**
+ * Trigger several events, one channel each
+ * POST /apps/:appId/batch_events
+ */
+router.post('/apps/:appId/batch_events', requirePusherApp, verifySignature, async (req, res) => {
+  try {
+    const { batch } = req.body;
+
+    if (!Array.isArray(batch) || batch.length === 0 || batch.length > config.pusher.maxBatchSize) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: `batch must hold between 1 and ${config.pusher.maxBatchSize} events`
+      });
+    }
+
+    for (const event of batch) {
+      const invalid = validateEvent(event, { multiChannel: false });
+      if (invalid) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: invalid
+        });
+      }
+    }
+
+    const io = req.app.get('socketio');
+    const described = [];
+
+    for (const event of batch) {
+      const attributes = await triggerEvent(io, event, [event.channel], parseInfo(event.info));
+      described.push(attributes ? attributes[event.channel] : {});
+    }
+
+    res.json(batch.some(event => event.info) ? { batch: described } : {});
+
+  } catch (error) {
+    sendFailure(req, res, 'Failed to trigger batch', error);
+  }
+});
+
+/**
+ * List occupied channels, optionally by prefix
+ * GET /apps/:appId/channels?filter_by_prefix=presence-&info=user_count
+ */
+router.get('/apps/:appId/channels', requirePusherApp, verifySignature, async (req, res) => {
+  try {
+    const prefix = typeof req.query.filter_by_prefix === 'string' ? req.query.filter_by_prefix : '';
+    const info = parseInfo(req.query.info);
+
+    if (info.includes('user_count') && !prefix.startsWith('presence-')) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'user_count is only available with filter_by_prefix=presence-'
+      });
+    }
+
+    const { channels } = await channelManager.getClusterChannels();
+    const listed = {};
+
+    for (const [channel, subscriberCount] of channels.entries()) {
+      if (subscriberCount > 0 && channel.startsWith(prefix)) {
+        listed[channel] = await describeChannel(channel, subscriberCount, info);
+      }
+    }
+
+    res.json({ channels: listed });
+
+  } catch (error) {
+    sendFailure(req, res, 'Failed to list channels', error);
+  }
+});
+
+/**
+ * List the users of a presence channel
+ * GET /apps/:appId/channels/:channel/users
+ */
+router.get('/apps/:appId/channels/:channel/users', requirePusherApp, verifySignature, async (req, res) => {
+  try {
+    const { channel } = req.params;
+
+    if (!channelManager.isPresenceChannel(channel)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        error: 'Validation Error',
+        message: 'Only presence channels have users'
+      });
+    }
+
+    const members = await channelManager.getPresenceMembers(channel);
+
+    res.json({
+      users: members.map(member => ({ id: member.user_id }))
+    });
+
+  } catch (error) {
+    sendFailure(req, res, 'Failed to list channel users', error);
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,21 @@ const logger = require('./utils/logger');
 const setupMiddleware = require('./middleware');
 const setupRoutes = require('./routes');
 const socketHandler = require('./websocket/socketHandler');
+const { createClusterAdapter } = require('./websocket/clusterAdapter');
+const notificationService = require('./services/notificationService');
+const preferencesService = require('./services/preferencesService');
+const driverRegistry = require('./services/driverRegistry');
+const webPushService = require('./services/webPushService');
+const channelAuthorizationService = require('./services/channelAuthorizationService');
+const forumAccessService = require('./services/forumAccessService');
+const sanctumTokenService = require('./services/sanctumTokenService');
+const jwksService = require('./services/jwksService');
+const deliveryTracker = require('./services/deliveryTracker');
+const idempotency = require('./middleware/idempotency');
+const broadcastScheduler = require('./services/broadcastScheduler');
+const connectionManager = require('./services/ConnectionManager');
+const channelManager = require('./websocket/channelManager');
+const offlineQueueService = require('./services/offlineQueueService');
 const { authMiddleware } = require('./middleware/auth');
 const MonitoringMiddleware = require('./middleware/monitoring');
 const { getCorsConfig, socketCorsConfig, corsLogger } = require('./config/cors');
@@ -25,6 +40,7 @@ class RealtimeServer {
     this.app = express();
     this.server = null;
     this.io = null;
+    this.clusterAdapter = null;
     this.connections = new Map();
     this.userConnections = new Map();
     this.monitoring = new MonitoringMiddleware();
@@ -137,6 +153,19 @@ class RealtimeServer {
     }
   }
 
+  /**
+   * Create the cluster adapter so broadcasts reach every PM2 worker
+   */
+  async setupClusterAdapter() {
+    this.clusterAdapter = await createClusterAdapter();
+
+    if (this.clusterAdapter) {
+      logger.info('Socket.IO cluster adapter ready', { adapter: this.clusterAdapter.type });
+    } else {
+      logger.info('Socket.IO cluster adapter disabled, broadcasts are local to this process');
+    }
+  }
+
   /**
    * Setup Socket.IO server
    */
@@ -144,6 +173,7 @@ class RealtimeServer {
     logger.info('Setting up Socket.IO server...');
 
     this.io = new Server(this.server, {
+      ...(this.clusterAdapter && { adapter: this.clusterAdapter.adapter }),
       cors: {
         origin: config.cors.allowedOrigins,
         credentials: config.cors.credentials,
@@ -159,6 +189,10 @@ class RealtimeServer {
 
     // Make Socket.IO instance available to Express routes
     this.app.set('socketio', this.io);
+    channelManager.initialize(this.io);
+    channelAuthorizationService.initialize(this.io);
+    notificationService.initialize(this.io);
+    driverRegistry.initialize(this.io);
 
     // Debug Socket.IO events
     this.io.engine.on('connection_error', (err) => {
@@ -192,6 +226,21 @@ class RealtimeServer {
       }
     });
 
+    // Connection admission against the shared registry; socketHandler
+    // reports rejections to the client once the socket is connected
+    this.io.use(async (socket, next) => {
+      try {
+        socket.connectionResult = await connectionManager.addConnection(socket.userId, socket);
+        next();
+      } catch (error) {
+        logger.errorWithStack('Connection admission failed', error, {
+          socketId: socket.id,
+          userId: socket.userId
+        });
+        next(new Error('Connection registry unavailable'));
+      }
+    });
+
     // Connection handler
     this.io.on('connection', (socket) => {
       this.handleConnection(socket);
@@ -366,8 +415,22 @@ class RealtimeServer {
       // Create HTTP server
       this.createHttpServer();
 
-      // Setup Socket.IO
+      // Setup cluster adapter, shared stores and Socket.IO
+      await this.setupClusterAdapter();
+      await connectionManager.initialize();
+      await offlineQueueService.initialize();
+      await channelManager.initializeHistory();
+      await channelManager.initializePresence();
+      await deliveryTracker.initialize();
+      await notificationService.initializeRepository();
+      await preferencesService.initialize();
+      await webPushService.initialize();
+      await idempotency.initialize();
+      await jwksService.initialize();
       this.setupSocketIO();
+      await forumAccessService.initialize(this.io);
+      await sanctumTokenService.initialize(this.io);
+      await broadcastScheduler.initialize(this.io);
 
       // Start listening
       await new Promise((resolve, reject) => {
@@ -394,6 +457,9 @@ class RealtimeServer {
   async stop() {
     logger.info('Stopping server...');
 
+    // Stop firing schedules before Socket.IO goes away
+    await broadcastScheduler.close();
+
     if (this.io) {
       this.io.close();
     }
@@ -404,6 +470,23 @@ class RealtimeServer {
       });
     }
 
+    if (this.clusterAdapter) {
+      await this.clusterAdapter.close();
+    }
+
+    await connectionManager.close();
+    await offlineQueueService.close();
+    await channelManager.close();
+    await deliveryTracker.close();
+    await notificationService.close();
+    await preferencesService.close();
+    await driverRegistry.close();
+    await webPushService.close();
+    await forumAccessService.close();
+    await sanctumTokenService.close();
+    await jwksService.close();
+    await idempotency.close();
+
     logger.info('Server stopped');
   }
 }
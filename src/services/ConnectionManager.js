@@ -1,5 +1,6 @@
 const logger = require('../utils/logger');
 const config = require('../config');
+const { MemoryConnectionRegistry, createConnectionRegistry } = require('../stores/connectionRegistry');
 
 /**
  * Connection Manager - Handles WebSocket connection limits and optimization
@@ -9,14 +10,17 @@ const config = require('../config');
  * - Connection pooling/reuse mechanisms
  * - Connection throttling to prevent spam
  * - Monitoring and alerting for connection thresholds
+ *
+ * Session ownership and attempt counters live in a connection registry
+ * (memory or Redis) so limits apply per user across every cluster worker.
  */
 class ConnectionManager {
   constructor() {
-    // Track active connections by user ID
-    this.userConnections = new Map(); // userId -> { socketId, socket, connectedAt, lastActivity }
+    // Sockets owned by this worker, by user ID
+    this.userConnections = new Map(); // userId -> { socketId, socket, connectedAt, lastActivity, lastRefresh }
 
-    // Track connection attempts for throttling
-    this.connectionAttempts = new Map(); // userId -> { count, firstAttempt, lastAttempt }
+    // Shared session/attempt registry - memory until initialize() selects the configured backend
+    this.registry = new MemoryConnectionRegistry();
 
     // Connection statistics
     this.stats = {
@@ -33,6 +37,10 @@ class ConnectionManager {
     this.maxConnectionAttemptsPerWindow = config.maxConnectionAttemptsPerWindow || 5; // Reduced from 20 to 5
     this.connectionTimeout = config.connectionTimeout || 60000; // 60 seconds
 
+    // Sessions expire from the registry unless refreshed within this TTL
+    this.sessionTtl = this.connectionTimeout;
+    this.sessionRefreshInterval = Math.floor(this.sessionTtl / 3);
+
     // Start cleanup interval
     this.startCleanupInterval();
 
@@ -43,12 +51,29 @@ class ConnectionManager {
     });
   }
 
+  /**
+   * Switch to the configured registry backend
+   */
+  async initialize() {
+    const registry = await createConnectionRegistry();
+    const previous = this.registry;
+
+    this.registry = registry;
+    await previous.close();
+
+    logger.info('ConnectionManager registry ready', {
+      registry: registry.type,
+      nodeId: config.cluster.nodeId,
+      sessionTtl: this.sessionTtl
+    });
+  }
+
   /**
    * Check if user can establish new connection
    */
-  canConnect(userId, socketId) {
+  async canConnect(userId, socketId) {
     // Check connection throttling
-    if (this.isThrottled(userId)) {
+    if (await this.isThrottled(userId)) {
       this.stats.rejectedConnections++;
       logger.warn('Connection throttled', { userId, socketId });
       return {
@@ -58,32 +83,18 @@ class ConnectionManager {
       };
     }
 
-    // Check existing connections
-    const existingConnection = this.userConnections.get(userId);
-    if (existingConnection) {
-      // Check if existing connection is still alive
-      if (this.isConnectionAlive(existingConnection)) {
-        this.stats.duplicateConnections++;
-        logger.warn('Duplicate connection attempt', {
-          userId,
-          newSocketId: socketId,
-          existingSocketId: existingConnection.socketId
-        });
-
-        return {
-          allowed: false,
-          reason: 'duplicate_connection',
-          message: 'User already has an active WebSocket connection.',
-          existingConnection: {
-            socketId: existingConnection.socketId,
-            connectedAt: existingConnection.connectedAt
-          }
-        };
-      } else {
-        // Clean up dead connection
-        this.removeConnection(userId);
-        logger.info('Cleaned up dead connection', { userId, socketId: existingConnection.socketId });
-      }
+    // Check existing session anywhere in the cluster
+    const existingSession = await this.getLiveSession(userId);
+    if (existingSession) {
+      this.stats.duplicateConnections++;
+      logger.warn('Duplicate connection attempt', {
+        userId,
+        newSocketId: socketId,
+        existingSocketId: existingSession.socketId,
+        existingNodeId: existingSession.nodeId
+      });
+
+      return this.duplicateConnectionResult(existingSession);
     }
 
     // Check global connection limits
@@ -104,15 +115,52 @@ class ConnectionManager {
     return { allowed: true };
   }
 
+  /**
+   * Get the user's registered session, releasing it if this worker owns it
+   * and the socket behind it is dead
+   */
+  async getLiveSession(userId) {
+    const session = await this.registry.getSession(userId);
+    if (!session) return null;
+
+    // Sessions on other workers are alive as long as their TTL is refreshed
+    if (session.nodeId !== config.cluster.nodeId) return session;
+
+    const localConnection = this.userConnections.get(userId);
+    if (localConnection && localConnection.socketId === session.socketId &&
+        this.isConnectionAlive(localConnection)) {
+      return session;
+    }
+
+    await this.removeConnection(userId, session.socketId);
+    logger.info('Cleaned up dead connection', { userId, socketId: session.socketId });
+    return null;
+  }
+
+  /**
+   * Build the rejection returned for a second connection
+   */
+  duplicateConnectionResult(existingSession) {
+    return {
+      allowed: false,
+      reason: 'duplicate_connection',
+      message: 'User already has an active WebSocket connection.',
+      existingConnection: {
+        socketId: existingSession.socketId,
+        connectedAt: existingSession.connectedAt
+      }
+    };
+  }
+
   /**
    * Register new connection
    */
-  addConnection(userId, socket) {
+  async addConnection(userId, socket) {
     // Record connection attempt
-    this.recordConnectionAttempt(userId);
+    await this.recordConnectionAttempt(userId);
 
     // Check if connection is allowed
-    const canConnect = this.canConnect(userId, socket.id);
+    const canConnect = await this.canConnect(userId, socket.id);
     if (!canConnect.allowed) {
       return canConnect;
     }
@@ -123,10 +171,24 @@ class ConnectionManager {
       socket: socket,
       connectedAt: new Date(),
       lastActivity: new Date(),
+      lastRefresh: Date.now(),
       userAgent: socket.handshake.headers['user-agent'],
       remoteAddress: socket.handshake.address
     };
 
+    // Claim the session atomically - another worker may have won the race
+    const claim = await this.registry.claimSession(userId, {
+      socketId: socket.id,
+      nodeId: config.cluster.nodeId,
+      connectedAt: connectionInfo.connectedAt.toISOString(),
+      lastActivity: connectionInfo.connectedAt.toISOString()
+    }, this.sessionTtl);
+
+    if (!claim.claimed) {
+      this.stats.duplicateConnections++;
+      return this.duplicateConnectionResult(claim.existing || { socketId: null, connectedAt: null });
+    }
+
     this.userConnections.set(userId, connectionInfo);
     this.stats.totalConnections++;
     this.stats.connectionAttempts++;
@@ -157,10 +219,14 @@ class ConnectionManager {
 
   /**
    * Remove connection
+   * Only the socket that owns the session can release it, so a late
+   * disconnect of an old socket never drops a newer session.
    */
-  removeConnection(userId) {
+  async removeConnection(userId, socketId) {
     const connection = this.userConnections.get(userId);
-    if (connection) {
+    const ownerSocketId = socketId || connection?.socketId;
+
+    if (connection && (!socketId || connection.socketId === socketId)) {
       this.userConnections.delete(userId);
       this.stats.totalConnections--;
 
@@ -171,6 +237,15 @@ class ConnectionManager {
         duration: Date.now() - connection.connectedAt.getTime()
       });
     }
+
+    if (ownerSocketId) {
+      try {
+        await this.registry.releaseSession(userId, ownerSocketId);
+      } catch (error) {
+        // The TTL will expire the session if the registry is unreachable
+        logger.errorWithStack('Failed to release session', error, { userId, socketId: ownerSocketId });
+      }
+    }
   }
 
   /**
@@ -180,54 +255,42 @@ class ConnectionManager {
     const connection = this.userConnections.get(userId);
     if (connection) {
       connection.lastActivity = new Date();
+      this.refreshSession(userId, connection);
     }
   }
 
   /**
-   * Check if user is throttled
+   * Extend the session TTL in the registry, at most once per refresh interval
    */
-  isThrottled(userId) {
-    const attempts = this.connectionAttempts.get(userId);
-    if (!attempts) return false;
-
+  refreshSession(userId, connection) {
     const now = Date.now();
-    const windowStart = now - this.connectionThrottleWindow;
-
-    // Clean old attempts
-    if (attempts.firstAttempt < windowStart) {
-      this.connectionAttempts.delete(userId);
-      return false;
-    }
+    if (now - connection.lastRefresh < this.sessionRefreshInterval) return;
+
+    connection.lastRefresh = now;
+    this.registry.refreshSession(userId, connection.socketId, this.sessionTtl)
+      .then((owned) => {
+        if (!owned) {
+          logger.warn('Session no longer owned by socket', { userId, socketId: connection.socketId });
+        }
+      })
+      .catch((error) => {
+        logger.errorWithStack('Failed to refresh session', error, { userId, socketId: connection.socketId });
+      });
+  }
 
-    return attempts.count >= this.maxConnectionAttemptsPerWindow;
+  /**
+   * Check if user is throttled
+   */
+  async isThrottled(userId) {
+    const count = await this.registry.getAttemptCount(userId);
+    return count >= this.maxConnectionAttemptsPerWindow;
   }
 
   /**
    * Record connection attempt for throttling
    */
-  recordConnectionAttempt(userId) {
-    const now = Date.now();
-    const attempts = this.connectionAttempts.get(userId);
-
-    if (!attempts) {
-      this.connectionAttempts.set(userId, {
-        count: 1,
-        firstAttempt: now,
-        lastAttempt: now
-      });
-    } else {
-      const windowStart = now - this.connectionThrottleWindow;
-
-      if (attempts.firstAttempt < windowStart) {
-        // Reset window
-        attempts.count = 1;
-        attempts.firstAttempt = now;
-      } else {
-        attempts.count++;
-      }
-
-      attempts.lastAttempt = now;
-    }
+  async recordConnectionAttempt(userId) {
+    return this.registry.recordAttempt(userId, this.connectionThrottleWindow);
   }
 
   /**
@@ -253,7 +316,7 @@ class ConnectionManager {
   setupConnectionMonitoring(userId, socket) {
     // Handle disconnect
     socket.on('disconnect', (reason) => {
-      this.removeConnection(userId);
+      this.removeConnection(userId, socket.id);
       logger.info('Socket disconnected', { userId, socketId: socket.id, reason });
     });
 
@@ -283,42 +346,64 @@ class ConnectionManager {
   /**
    * Get connection statistics
    */
-  getStats() {
+  async getStats() {
+    const [clusterConnections, throttledUsers] = await Promise.all([
+      this.registry.countSessions(),
+      this.registry.countAttempts()
+    ]);
+
     return {
       ...this.stats,
       activeConnections: this.userConnections.size,
-      throttledUsers: this.connectionAttempts.size
+      clusterConnections,
+      throttledUsers,
+      registry: this.registry.type,
+      nodeId: config.cluster.nodeId
     };
   }
 
   /**
    * Get user connection info
    */
-  getUserConnection(userId) {
+  async getUserConnection(userId) {
     // Convert userId to number if it's a string
     const userIdKey = typeof userId === 'string' ? parseInt(userId) : userId;
     const connection = this.userConnections.get(userIdKey);
-    if (!connection) return null;
+
+    if (connection) {
+      return {
+        socketId: connection.socketId,
+        connectedAt: connection.connectedAt,
+        lastActivity: connection.lastActivity,
+        nodeId: config.cluster.nodeId,
+        isAlive: this.isConnectionAlive(connection)
+      };
+    }
+
+    // Session owned by another worker
+    const session = await this.registry.getSession(userIdKey);
+    if (!session) return null;
 
     return {
-      socketId: connection.socketId,
-      connectedAt: connection.connectedAt,
-      lastActivity: connection.lastActivity,
-      isAlive: this.isConnectionAlive(connection)
+      socketId: session.socketId,
+      connectedAt: session.connectedAt,
+      lastActivity: session.lastActivity,
+      nodeId: session.nodeId,
+      isAlive: true
     };
   }
 
   /**
    * Force disconnect user
    */
-  forceDisconnect(userId, reason = 'admin_disconnect') {
+  async forceDisconnect(userId, reason = 'admin_disconnect') {
     // Convert userId to number if it's a string
     const userIdKey = typeof userId === 'string' ? parseInt(userId) : userId;
     const connection = this.userConnections.get(userIdKey);
     if (connection && connection.socket) {
       connection.socket.emit('force_disconnect', { reason });
       connection.socket.disconnect(true);
-      this.removeConnection(userIdKey);
+      await this.removeConnection(userIdKey, connection.socketId);
 
       logger.warn('Force disconnect', { userId: userIdKey, reason });
       return true;
@@ -331,26 +416,25 @@ class ConnectionManager {
    */
   startCleanupInterval() {
     setInterval(() => {
-      this.cleanupDeadConnections();
-      this.cleanupOldAttempts();
+      this.cleanupDeadConnections().catch((error) => {
+        logger.errorWithStack('Dead connection cleanup failed', error);
+      });
     }, 60000); // Run every minute
   }
 
   /**
    * Cleanup dead connections
    */
-  cleanupDeadConnections() {
+  async cleanupDeadConnections() {
     const deadConnections = [];
 
     for (const [userId, connection] of this.userConnections.entries()) {
       if (!this.isConnectionAlive(connection)) {
-        deadConnections.push(userId);
+        deadConnections.push([userId, connection.socketId]);
       }
     }
 
-    deadConnections.forEach(userId => {
-      this.removeConnection(userId);
-    });
+    await Promise.all(deadConnections.map(([userId, socketId]) => this.removeConnection(userId, socketId)));
 
     if (deadConnections.length > 0) {
       logger.info('Cleaned up dead connections', { count: deadConnections.length });
@@ -358,28 +442,16 @@ class ConnectionManager {
   }
 
   /**
-   * Cleanup old connection attempts
+   * Close the registry connection on shutdown
    */
-  cleanupOldAttempts() {
-    const now = Date.now();
-    const windowStart = now - this.connectionThrottleWindow;
-    const expiredUsers = [];
-
-    for (const [userId, attempts] of this.connectionAttempts.entries()) {
-      if (attempts.lastAttempt < windowStart) {
-        expiredUsers.push(userId);
-      }
-    }
-
-    expiredUsers.forEach(userId => {
-      this.connectionAttempts.delete(userId);
-    });
+  async close() {
+    await this.registry.close();
   }
 
   /**
    * Clear all connections and attempts (for testing)
    */
-  clearAll() {
+  async clearAll() {
     // Disconnect all active connections
     for (const [userId, connection] of this.userConnections.entries()) {
       if (connection.socket && connection.socket.connected) {
@@ -390,7 +462,7 @@ class ConnectionManager {
 
     // Clear all data
     this.userConnections.clear();
-    this.connectionAttempts.clear();
+    await this.registry.clear();
 
     // Reset stats
     this.stats = {
@@ -0,0 +1,225 @@
+const { v4: uuidv4 } = require('uuid');
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const { broadcastToChannel } = require('../websocket/broadcaster');
+const { MemoryScheduleStore, createScheduleStore } = require('../stores/scheduledBroadcasts');
+
+/**
+ * Broadcast Scheduler
+ * Holds broadcasts until their delivery time and fires them. Every worker
+ * polls, but only the elected leader claims and fires due schedules, and
+ * each claim hands a schedule out once. A claim the leader never finished
+ * (crash or restart mid-fire) is handed out again, so a schedule is fired
+ * at least once.
+ */
+
+class BroadcastScheduler {
+  constructor() {
+    this.io = null;
+    // Memory store until initialize() selects the configured driver
+    this.store = new MemoryScheduleStore();
+    this.pollTimer = null;
+    this.ticking = false;
+    this.isLeader = false;
+    this.stats = {
+      scheduled: 0,
+      fired: 0,
+      failed: 0,
+      cancelled: 0
+    };
+  }
+
+  /**
+   * Switch to the configured store and start polling for due schedules
+   */
+  async initialize(io) {
+    this.io = io;
+
+    const store = await createScheduleStore();
+    const previous = this.store;
+
+    this.store = store;
+    await previous.close();
+
+    if (config.scheduler.enabled) {
+      this.pollTimer = setInterval(() => this.tick(), config.scheduler.pollInterval);
+      this.pollTimer.unref();
+    }
+
+    logger.info('BroadcastScheduler initialized', {
+      enabled: config.scheduler.enabled,
+      driver: store.type,
+      pollInterval: config.scheduler.pollInterval
+    });
+  }
+
+  /**
+   * Schedule broadcasts for later delivery
+   * @param {Object} options
+   * @param {Array<{channel: string, event: string, data: Object}>} options.broadcasts
+   * @param {Date} options.deliverAt
+   * @param {string} [options.eventId] - event ID of the originating request
+   * @param {string} [options.source] - endpoint that created the schedule
+   */
+  async schedule({ broadcasts, deliverAt, eventId = null, source = null }) {
+    const schedule = {
+      id: uuidv4(),
+      broadcasts,
+      deliverAt: deliverAt.toISOString(),
+      eventId,
+      source,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.add(schedule);
+    this.stats.scheduled++;
+
+    logger.info('Broadcast scheduled', {
+      scheduleId: schedule.id,
+      deliverAt: schedule.deliverAt,
+      broadcastCount: broadcasts.length,
+      eventId
+    });
+
+    return schedule;
+  }
+
+  /**
+   * List pending schedules, earliest first
+   */
+  async list({ limit = 100 } = {}) {
+    return this.store.list({ limit: Math.min(Math.max(parseInt(limit) || 100, 1), 1000) });
+  }
+
+  /**
+   * Get a schedule, including fired and cancelled ones still retained
+   */
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Cancel a pending schedule
+   * @returns {Promise<Object|null>} Cancelled schedule, or null when it is no longer pending
+   */
+  async cancel(id) {
+    const cancelled = await this.store.cancel(id, {
+      cancelledAt: new Date().toISOString()
+    });
+
+    if (cancelled) {
+      this.stats.cancelled++;
+      logger.info('Scheduled broadcast cancelled', { scheduleId: id });
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Poll once: keep or take leadership, then fire whatever is due
+   */
+  async tick() {
+    if (this.ticking || !this.io) return;
+    this.ticking = true;
+
+    try {
+      const leading = await this.store.tryLead(config.cluster.nodeId, config.scheduler.leaderTtlMs);
+
+      if (leading !== this.isLeader) {
+        this.isLeader = leading;
+        logger.info(leading ? 'Scheduler leadership acquired' : 'Scheduler leadership lost', {
+          nodeId: config.cluster.nodeId
+        });
+      }
+
+      if (!leading) return;
+
+      const due = await this.store.claimDue(Date.now(), config.scheduler.batchSize);
+      for (const schedule of due) {
+        await this.fire(schedule);
+      }
+    } catch (error) {
+      logger.errorWithStack('Scheduler tick failed', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Broadcast a claimed schedule and record the outcome
+   */
+  async fire(schedule) {
+    const firedAt = new Date().toISOString();
+    const results = [];
+
+    for (const { channel, event, data } of schedule.broadcasts) {
+      try {
+        const { subscriberCount, queued } = await broadcastToChannel(this.io, channel, event, {
+          ...data,
+          schedule_id: schedule.id,
+          timestamp: firedAt
+        });
+
+        results.push({ channel, event, subscriberCount, queued, success: true });
+      } catch (error) {
+        logger.errorWithStack('Scheduled broadcast failed', error, {
+          scheduleId: schedule.id,
+          channel,
+          event
+        });
+
+        results.push({ channel, event, success: false, error: error.message });
+      }
+    }
+
+    const failed = results.some(result => !result.success);
+    this.stats[failed ? 'failed' : 'fired']++;
+
+    await this.store.finish(schedule.id, {
+      status: failed ? 'failed' : 'sent',
+      firedAt,
+      lateByMs: Date.parse(firedAt) - Date.parse(schedule.deliverAt),
+      results
+    }, config.scheduler.retentionMs);
+
+    logger.info('Scheduled broadcast fired', {
+      scheduleId: schedule.id,
+      deliverAt: schedule.deliverAt,
+      broadcastCount: schedule.broadcasts.length,
+      failed
+    });
+  }
+
+  /**
+   * Get scheduler statistics for this worker
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      leader: this.isLeader,
+      driver: this.store.type,
+      enabled: config.scheduler.enabled
+    };
+  }
+
+  /**
+   * Stop polling, hand leadership over and close the store
+   */
+  async close() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+    }
+
+    if (this.isLeader) {
+      await this.store.resign(config.cluster.nodeId);
+      this.isLeader = false;
+    }
+
+    await this.store.close();
+  }
+}
+
+// Export singleton instance
+module.exports = new BroadcastScheduler();
@@ -0,0 +1,312 @@
+const axios = require('axios');
+const https = require('https');
+const { ClusterAdapter } = require('socket.io-adapter');
+
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Channel Authorization Service
+ * Asks Laravel whether a user may join a channel whose access depends on
+ * data only Laravel has (thread visibility, staff-only forums):
+ *   POST {LARAVEL_API_URL}/api/websocket-api/authorize-channel
+ *
+ * In `broadcasting` mode, private-* and presence-* channels are authorized
+ * the way Laravel Echo does it instead, by Laravel's broadcasting auth
+ * endpoint (POST /broadcasting/auth with socket_id and channel_name). Its
+ * `channel_data` becomes the member info on presence channels.
+ *
+ * Decisions are cached per user and channel for a short TTL on each worker.
+ * Laravel invalidates them when permissions change; the invalidation is
+ * relayed to the other workers through the Socket.IO adapter. Errors deny
+ * access without caching, so the next attempt asks again.
+ */
+
+const CLUSTER_INVALIDATE_EVENT = 'channel-authorization:invalidate';
+
+class ChannelAuthorizationService {
+  constructor() {
+    this.io = null;
+    this.cache = new Map(); // `${userId}|${channel}` -> { authorized, channelData, expiresAt }
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      errors: 0,
+      invalidations: 0
+    };
+  }
+
+  /**
+   * Listen for invalidations from other workers
+   */
+  initialize(io) {
+    this.io = io;
+
+    io.of('/').on(CLUSTER_INVALIDATE_EVENT, (criteria) => {
+      this.invalidateLocal(criteria);
+    });
+
+    logger.info('ChannelAuthorizationService initialized', {
+      mode: config.channelAuthorization.mode,
+      cacheTtlMs: config.channelAuthorization.cacheTtlMs,
+      mock: config.development.mockLaravelApi
+    });
+  }
+
+  /**
+   * Whether the user of a socket may join a channel
+   * @param {Object} socket - authenticated socket (userId, authToken)
+   * @param {string} channel
+   * @param {Object} [context] - extra fields for Laravel, e.g. { thread_id }
+   * @returns {Promise<boolean>}
+   */
+  async authorize(socket, channel, context = {}) {
+    const { authorized } = await this.decide(socket, channel, async () => ({
+      authorized: await this.requestAuthorization(socket, channel, context),
+      channelData: null
+    }));
+
+    return authorized;
+  }
+
+  /**
+   * Whether private-* and presence-* channels go to Laravel's broadcasting auth endpoint
+   */
+  usesBroadcastingAuth(channel) {
+    return config.channelAuthorization.mode === 'broadcasting' &&
+      (channel.startsWith('private-') || channel.startsWith('presence-'));
+  }
+
+  /**
+   * Authorize a channel through Laravel's broadcasting auth endpoint
+   * @returns {Promise<{authorized: boolean, channelData: Object|null}>} channelData
+   *   ({ user_id, user_info }) is set on presence channels
+   */
+  async authorizeBroadcasting(socket, channel) {
+    return this.decide(socket, channel, () => this.requestBroadcastingAuth(socket, channel));
+  }
+
+  /**
+   * Answer from the cache or ask Laravel, caching the answer
+   * @param {Function} request - async () => { authorized, channelData }
+   */
+  async decide(socket, channel, request) {
+    const key = this.cacheKey(socket.userId, channel);
+    const cached = this.cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      this.stats.hits++;
+      return { authorized: cached.authorized, channelData: cached.channelData };
+    }
+
+    this.stats.misses++;
+
+    if (config.development.mockLaravelApi) {
+      logger.debug('Channel authorized by mock Laravel API', { userId: socket.userId, channel });
+      return { authorized: true, channelData: null };
+    }
+
+    let decision;
+    try {
+      decision = await request();
+    } catch (error) {
+      this.stats.errors++;
+      logger.errorWithStack('Channel authorization request failed', error, {
+        userId: socket.userId,
+        channel,
+        status: error.response && error.response.status
+      });
+
+      return { authorized: false, channelData: null };
+    }
+
+    this.remember(key, decision);
+
+    return decision;
+  }
+
+  /**
+   * Headers for calls made on behalf of a socket's user
+   */
+  getRequestConfig(socket) {
+    const axiosConfig = {
+      headers: {
+        Accept: 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      timeout: config.channelAuthorization.timeout
+    };
+
+    if (socket.authToken) {
+      axiosConfig.headers.Authorization = `Bearer ${socket.authToken}`;
+    }
+
+    if (config.laravel.apiKey) {
+      axiosConfig.headers['X-WebSocket-API-Key'] = config.laravel.apiKey;
+    }
+
+    // Local Laravel sites use self-signed certificates
+    if (config.nodeEnv === 'development') {
+      axiosConfig.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+    }
+
+    return axiosConfig;
+  }
+
+  /**
+   * Call Laravel's authorize-channel endpoint
+   * 403 and 404 answers are denials; other failures throw.
+   */
+  async requestAuthorization(socket, channel, context) {
+    try {
+      const response = await axios.post(
+        `${config.laravel.apiUrl.replace(/\/$/, '')}/api/websocket-api/authorize-channel`,
+        { user_id: socket.userId, channel, ...context },
+        this.getRequestConfig(socket)
+      );
+
+      // { success, data: { authorized } } or { authorized }
+      const result = (response.data && response.data.data) || response.data || {};
+      const authorized = result.authorized === true;
+
+      logger.auth('Channel authorization from Laravel', {
+        userId: socket.userId,
+        channel,
+        authorized,
+        reason: result.reason
+      });
+
+      return authorized;
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status === 403 || status === 404) {
+        return false;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Call Laravel's broadcasting auth endpoint like Echo would. Any 2xx answer
+   * authorizes: `true` or { auth } for private channels, { channel_data }
+   * (an object or a JSON string) for presence channels. 401 and 403 are
+   * denials; other failures throw.
+   */
+  async requestBroadcastingAuth(socket, channel) {
+    const url = config.channelAuthorization.broadcastingAuthUrl ||
+      `${config.laravel.apiUrl.replace(/\/$/, '')}/broadcasting/auth`;
+
+    try {
+      const response = await axios.post(
+        url,
+        { socket_id: socket.id, channel_name: channel },
+        this.getRequestConfig(socket)
+      );
+
+      let channelData = response.data && response.data.channel_data;
+      if (typeof channelData === 'string') {
+        channelData = JSON.parse(channelData);
+      }
+
+      logger.auth('Channel authorized by Laravel broadcasting auth', {
+        userId: socket.userId,
+        channel
+      });
+
+      return {
+        authorized: true,
+        channelData: channelData && channelData.user_id !== undefined
+          ? { user_id: channelData.user_id, user_info: channelData.user_info || {} }
+          : null
+      };
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status === 401 || status === 403) {
+        return { authorized: false, channelData: null };
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Cache a decision, dropping expired and then the oldest entries when full
+   */
+  remember(key, { authorized, channelData }) {
+    if (this.cache.size >= config.channelAuthorization.maxCacheEntries) {
+      const now = Date.now();
+      for (const [cachedKey, entry] of this.cache.entries()) {
+        if (entry.expiresAt <= now) {
+          this.cache.delete(cachedKey);
+        }
+      }
+
+      if (this.cache.size >= config.channelAuthorization.maxCacheEntries) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+
+    this.cache.set(key, {
+      authorized,
+      channelData,
+      expiresAt: Date.now() + config.channelAuthorization.cacheTtlMs
+    });
+  }
+
+  cacheKey(userId, channel) {
+    return `${userId}|${channel}`;
+  }
+
+  /**
+   * Forget cached decisions on every worker
+   * @param {Object} criteria - { userId, channels }; either may be omitted,
+   *   but not both (use `all: true` to clear everything)
+   * @returns {number} Entries removed on this worker
+   */
+  invalidate(criteria) {
+    const removed = this.invalidateLocal(criteria);
+
+    if (this.io && this.io.of('/').adapter instanceof ClusterAdapter) {
+      this.io.serverSideEmit(CLUSTER_INVALIDATE_EVENT, criteria);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Forget cached decisions on this worker
+   */
+  invalidateLocal({ userId = null, channels = null, all = false }) {
+    let removed = 0;
+
+    for (const key of Array.from(this.cache.keys())) {
+      const separator = key.indexOf('|');
+      const matchesUser = userId === null || key.substring(0, separator) === String(userId);
+      const matchesChannel = channels === null || channels.includes(key.substring(separator + 1));
+
+      if (all || (matchesUser && matchesChannel && (userId !== null || channels !== null))) {
+        this.cache.delete(key);
+        removed++;
+      }
+    }
+
+    this.stats.invalidations++;
+    logger.debug('Channel authorization cache invalidated', { userId, channels, all, removed });
+
+    return removed;
+  }
+
+  /**
+   * Get cache statistics for this worker
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      cached: this.cache.size
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ChannelAuthorizationService();
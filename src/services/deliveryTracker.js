@@ -0,0 +1,353 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const offlineQueueService = require('./offlineQueueService');
+const { MemoryDeliveryStateStore, createDeliveryStateStore } = require('../stores/deliveryState');
+
+/**
+ * Delivery Tracker
+ * Sends notification events on private-user.{id} channels with a Socket.IO
+ * acknowledgement and tracks each one from pending to delivered (a device
+ * acked it) to read. Unacknowledged notifications are re-sent to all of the
+ * user's devices a few times, then left pending and re-sent on the user's
+ * next connection.
+ *
+ * Clients confirm by calling the ack callback:
+ *   socket.on('notification.sent', (notification, ack) => { ...; ack(); });
+ *
+ * Delivery is at-least-once: an ack lost on the way back means the device
+ * sees the notification again. Every re-send carries `redelivered: true` and
+ * the same `id`, which clients use to drop duplicates.
+ */
+
+const STATE_RANK = {
+  pending: 1,
+  delivered: 2,
+  read: 3
+};
+
+class DeliveryTracker {
+  constructor() {
+    // Memory store until initialize() selects the configured driver
+    this.store = new MemoryDeliveryStateStore();
+    this.retryTimers = new Map(); // notificationId -> timeout
+  }
+
+  /**
+   * Switch to the configured store
+   */
+  async initialize() {
+    const store = await createDeliveryStateStore();
+    const previous = this.store;
+
+    this.store = store;
+    await previous.close();
+
+    logger.info('DeliveryTracker initialized', {
+      enabled: config.delivery.enabled,
+      driver: store.type,
+      ackEvents: config.delivery.ackEvents,
+      ackTimeout: config.delivery.ackTimeout,
+      maxAttempts: config.delivery.maxAttempts
+    });
+  }
+
+  /**
+   * Whether an event needs acknowledged delivery
+   */
+  isTracked(channel, event) {
+    return config.delivery.enabled &&
+      config.delivery.ackEvents.includes(event) &&
+      offlineQueueService.getChannelUserId(channel) !== null;
+  }
+
+  /**
+   * Generate an ID for tracked notifications that arrive without one
+   */
+  generateId() {
+    return `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Start tracking a notification and emit it to the channel with an ack.
+   * Acks are collected from every worker; the payload must carry an `id`.
+   */
+  async send(io, channel, event, payload) {
+    const record = {
+      id: String(payload.id),
+      userId: offlineQueueService.getChannelUserId(channel),
+      channel,
+      event,
+      payload,
+      state: 'pending',
+      attempts: 0,
+      queued: false,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.create(record, config.delivery.retentionMs);
+    await this.store.increment('sent');
+
+    this.attempt(io, record);
+    return record;
+  }
+
+  /**
+   * Emit one delivery attempt to every socket on the channel; retries are
+   * flagged as redelivered
+   */
+  attempt(io, record) {
+    record.attempts++;
+
+    const payload = record.attempts > 1
+      ? { ...record.payload, redelivered: true }
+      : record.payload;
+
+    io.to(record.channel)
+      .timeout(config.delivery.ackTimeout)
+      .emit(record.event, payload, (error, responses = []) => {
+        // A timeout still carries the acks that did arrive
+        if (error) {
+          logger.debug('Notification ack timed out', {
+            notificationId: record.id,
+            attempt: record.attempts,
+            acks: responses.length
+          });
+        }
+
+        this.handleAttemptResult(io, record, responses).catch((handlerError) => {
+          logger.errorWithStack('Delivery ack handling failed', handlerError, {
+            notificationId: record.id
+          });
+        });
+      });
+  }
+
+  /**
+   * Confirm delivery when any device acked, otherwise schedule a retry
+   */
+  async handleAttemptResult(io, record, responses) {
+    if (responses.length > 0) {
+      await this.markDelivered(record.id, { devices: responses.length });
+      return;
+    }
+
+    if (record.attempts >= config.delivery.maxAttempts) {
+      const current = await this.store.update(record.id, { attempts: record.attempts });
+
+      // Left pending: it is re-sent when the user next connects
+      if (current && current.state === 'pending' && !current.queued) {
+        await this.store.increment('failed');
+        logger.warn('Notification not acknowledged', {
+          notificationId: record.id,
+          userId: record.userId,
+          attempts: record.attempts
+        });
+      }
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(record.id);
+      this.retry(io, record).catch((error) => {
+        logger.errorWithStack('Delivery retry failed', error, { notificationId: record.id });
+      });
+    }, config.delivery.retryDelay * record.attempts);
+    timer.unref();
+
+    this.retryTimers.set(record.id, timer);
+  }
+
+  /**
+   * Re-send a notification that is still pending
+   */
+  async retry(io, record) {
+    const current = await this.store.get(record.id);
+
+    // Delivered through another path, or waiting in the offline queue
+    if (!current || current.state !== 'pending' || current.queued) {
+      return;
+    }
+
+    await this.store.increment('redelivered');
+    this.attempt(io, record);
+  }
+
+  /**
+   * Note that a notification went to the offline queue, which replays it
+   * on reconnect instead of the retry loop
+   */
+  async markQueued(id) {
+    await this.store.update(String(id), { queued: true });
+  }
+
+  /**
+   * Move a notification forward to a state; never moves backwards. Only
+   * pending records need their payload for re-sends, so it is dropped here.
+   * @returns {Promise<{previous: Object, updated: Object}|null>} null when nothing changed
+   */
+  async transition(id, state, patch = {}) {
+    const record = await this.store.get(String(id));
+    if (!record || STATE_RANK[record.state] >= STATE_RANK[state]) {
+      return null;
+    }
+
+    const updated = await this.store.update(record.id, { ...patch, state, payload: null });
+    await this.store.removePending(record.userId, record.id);
+
+    const timer = this.retryTimers.get(record.id);
+    if (timer) {
+      clearTimeout(timer);
+      this.retryTimers.delete(record.id);
+    }
+
+    return { previous: record, updated };
+  }
+
+  /**
+   * Record that at least one of the user's devices acked the notification
+   */
+  async markDelivered(id, { devices = 1 } = {}) {
+    const result = await this.transition(id, 'delivered', {
+      deliveredAt: new Date().toISOString(),
+      devices
+    });
+
+    if (result) {
+      await this.store.increment('delivered');
+      logger.debug('Notification delivered', {
+        notificationId: result.updated.id,
+        userId: result.updated.userId,
+        attempts: result.updated.attempts,
+        devices
+      });
+    }
+
+    return !!result;
+  }
+
+  /**
+   * Record that the user read the notification
+   */
+  async markRead(id, userId) {
+    const record = await this.store.get(String(id));
+    if (!record || String(record.userId) !== String(userId)) {
+      return false;
+    }
+
+    const result = await this.transition(id, 'read', { readAt: new Date().toISOString() });
+    if (!result) {
+      return false;
+    }
+
+    // Reading implies delivery even if the ack never arrived
+    if (result.previous.state === 'pending') {
+      await this.store.increment('delivered');
+    }
+    await this.store.increment('read');
+
+    return true;
+  }
+
+  /**
+   * Build an emit function for replays to one socket. Tracked notifications
+   * go out with an ack, so a replay also confirms delivery; the IDs sent are
+   * kept on `emit.sent` so they are not re-sent again on the same connection.
+   */
+  createSocketEmitter(socket) {
+    const sent = new Set();
+
+    const emit = (event, payload) => {
+      if (!config.delivery.enabled || !config.delivery.ackEvents.includes(event) || !payload || !payload.id) {
+        socket.emit(event, payload);
+        return;
+      }
+
+      sent.add(String(payload.id));
+      socket.timeout(config.delivery.ackTimeout).emit(event, payload, (error) => {
+        // Unconfirmed offline replays fall back to redelivery on the next connection
+        const update = error
+          ? this.store.update(String(payload.id), { queued: false })
+          : this.markDelivered(payload.id);
+
+        update.catch((updateError) => {
+          logger.errorWithStack('Failed to record replayed notification', updateError, {
+            notificationId: payload.id
+          });
+        });
+      });
+    };
+
+    emit.sent = sent;
+    return emit;
+  }
+
+  /**
+   * Re-send notifications that were never acknowledged to a newly connected socket
+   * @returns {Promise<number>} Number of notifications re-sent
+   */
+  async redeliverPending(socket, emit = this.createSocketEmitter(socket)) {
+    if (!config.delivery.enabled) {
+      return 0;
+    }
+
+    const records = await this.store.listPending(socket.userId, config.delivery.redeliverLimit);
+    const due = records.filter(record => !record.queued && !(emit.sent && emit.sent.has(record.id)));
+
+    for (const record of due) {
+      emit(record.event, { ...record.payload, redelivered: true });
+    }
+
+    if (due.length > 0) {
+      await this.store.increment('redelivered', due.length);
+      logger.socketConnection(socket, 'notifications_redelivered', { count: due.length });
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Get a notification's delivery record
+   */
+  async getStatus(id) {
+    return this.store.get(String(id));
+  }
+
+  /**
+   * Get delivery counters (shared by every worker with the redis driver)
+   */
+  async getStats() {
+    const counters = await this.store.getCounters();
+
+    return {
+      sent: counters.sent || 0,
+      delivered: counters.delivered || 0,
+      read: counters.read || 0,
+      failed: counters.failed || 0,
+      redelivered: counters.redelivered || 0,
+      retrying: this.retryTimers.size,
+      driver: this.store.type
+    };
+  }
+
+  /**
+   * Reset delivery counters
+   */
+  async resetStats() {
+    await this.store.resetCounters();
+  }
+
+  /**
+   * Cancel pending retries and close the store
+   */
+  async close() {
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+
+    await this.store.close();
+  }
+}
+
+// Export singleton instance
+module.exports = new DeliveryTracker();
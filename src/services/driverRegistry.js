@@ -0,0 +1,235 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const { createDriver } = require('../drivers');
+
+/**
+ * Notification Driver Registry
+ * Maps delivery channels (realtime, webpush, email, sms, webhook) to their
+ * drivers. Each channel has its own retry policy: a failed send is retried
+ * in the background after `retryDelay * attempt` until `maxAttempts`, unless
+ * the driver marked the error as not retryable. Health combines the
+ * driver's own check with its recent failures.
+ *
+ * When the realtime channel finds no connected device, the configured
+ * offline fallback channel is tried as well.
+ */
+
+// Channels that interrupt the user, held back during quiet hours like live pushes
+const INTERRUPTING_CHANNELS = ['webpush', 'sms'];
+
+class DriverRegistry {
+  constructor() {
+    this.channels = new Map(); // channel -> { driver, policy, stats }
+    this.retryTimers = new Set();
+  }
+
+  /**
+   * Create the configured driver for every channel
+   */
+  initialize(io) {
+    for (const [channel, options] of Object.entries(config.notificationChannels.drivers)) {
+      this.register(channel, createDriver(channel, { ...options, io }), options);
+    }
+
+    logger.info('DriverRegistry initialized', {
+      drivers: Object.fromEntries(
+        Array.from(this.channels.entries()).map(([channel, { driver }]) => [channel, driver.type])
+      ),
+      offlineFallback: config.notificationChannels.offlineFallback
+    });
+  }
+
+  /**
+   * Register (or replace) the driver of a channel
+   * @param {Object} [policy] - { maxAttempts, retryDelay }
+   */
+  register(channel, driver, { maxAttempts = 1, retryDelay = 0 } = {}) {
+    const previous = this.channels.get(channel);
+    if (previous && previous.driver !== driver) {
+      previous.driver.close().catch((error) => {
+        logger.errorWithStack('Failed to close replaced driver', error, { channel });
+      });
+    }
+
+    this.channels.set(channel, {
+      driver,
+      policy: { maxAttempts, retryDelay },
+      stats: {
+        sent: 0,
+        failed: 0,
+        retried: 0,
+        consecutiveFailures: 0,
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null
+      }
+    });
+  }
+
+  /**
+   * Get the driver serving a channel
+   */
+  get(channel) {
+    const entry = this.channels.get(channel);
+    return entry ? entry.driver : null;
+  }
+
+  /**
+   * Send through one channel, scheduling retries on failure
+   * @returns {Promise<Object>} { channel, driver, success, attempts, result | error, retrying }
+   */
+  async deliver(channel, notification, context, attempt = 1) {
+    const entry = this.channels.get(channel);
+    if (!entry) {
+      return { channel, success: false, attempts: 0, error: 'Unknown channel' };
+    }
+
+    const { driver, policy, stats } = entry;
+
+    try {
+      const result = await driver.send(notification, context);
+
+      stats.sent++;
+      stats.consecutiveFailures = 0;
+      stats.lastSuccessAt = new Date().toISOString();
+
+      return { channel, driver: driver.type, success: true, attempts: attempt, result };
+
+    } catch (error) {
+      stats.failed++;
+      stats.consecutiveFailures++;
+      stats.lastError = error.message;
+      stats.lastFailureAt = new Date().toISOString();
+
+      const retrying = error.retryable !== false && attempt < policy.maxAttempts;
+
+      logger.errorWithStack('Notification driver failed', error, {
+        channel,
+        driver: driver.type,
+        notificationId: notification.id,
+        userId: context.userId,
+        attempt,
+        retrying
+      });
+
+      if (retrying) {
+        this.scheduleRetry(channel, notification, context, attempt, policy.retryDelay * attempt);
+      }
+
+      return { channel, driver: driver.type, success: false, attempts: attempt, retrying, error: error.message };
+    }
+  }
+
+  /**
+   * Retry a failed send in the background
+   */
+  scheduleRetry(channel, notification, context, attempt, delay) {
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.channels.get(channel).stats.retried++;
+      this.deliver(channel, notification, context, attempt + 1);
+    }, delay);
+
+    timer.unref();
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * Send a notification through the requested channels
+   * @param {Object} notification
+   * @param {Object} options
+   * @param {string|number} options.userId
+   * @param {Array<string>} options.channels
+   * @param {Object} options.decision - preference decision (see PreferencesService.evaluate)
+   * @param {Object} [options.recipient] - addresses for drivers that need them
+   * @returns {Promise<Array<Object>>} One result per channel tried
+   */
+  async dispatch(notification, { userId, channels, decision, recipient = null }) {
+    const context = { userId, recipient, decision };
+    const quiet = decision.reason === 'quiet_hours';
+    const results = [];
+
+    for (const channel of channels) {
+      if (channel === 'realtime' && !decision.deliver) {
+        results.push({ channel, success: false, skipped: true, reason: decision.reason });
+      } else if (quiet && INTERRUPTING_CHANNELS.includes(channel)) {
+        results.push({ channel, success: false, skipped: true, reason: 'quiet_hours' });
+      } else {
+        results.push(await this.deliver(channel, notification, context));
+      }
+    }
+
+    // Nobody connected: reach the user through the fallback channel instead
+    const realtime = results.find(result => result.channel === 'realtime');
+    const fallback = config.notificationChannels.offlineFallback;
+
+    if (realtime && realtime.success && !realtime.result.online &&
+      fallback !== 'none' && !channels.includes(fallback) && this.channels.has(fallback) &&
+      !(quiet && INTERRUPTING_CHANNELS.includes(fallback))) {
+      logger.debug('User offline, using fallback channel', { userId, fallback });
+
+      results.push({ ...(await this.deliver(fallback, notification, context)), fallback: true });
+    }
+
+    return results;
+  }
+
+  /**
+   * Health of every channel's driver
+   */
+  async healthCheck() {
+    const health = {};
+
+    for (const [channel, { driver, stats }] of this.channels.entries()) {
+      let check;
+      try {
+        check = await driver.healthCheck();
+      } catch (error) {
+        check = { healthy: false, error: error.message };
+      }
+
+      health[channel] = {
+        ...check,
+        driver: driver.type,
+        healthy: check.healthy && stats.consecutiveFailures < config.notificationChannels.failureThreshold,
+        consecutiveFailures: stats.consecutiveFailures,
+        lastError: stats.lastError
+      };
+    }
+
+    return health;
+  }
+
+  /**
+   * Get per-channel delivery statistics for this worker
+   */
+  getStats() {
+    const stats = {};
+
+    for (const [channel, entry] of this.channels.entries()) {
+      stats[channel] = { driver: entry.driver.type, ...entry.stats };
+    }
+
+    return {
+      channels: stats,
+      retrying: this.retryTimers.size
+    };
+  }
+
+  /**
+   * Cancel pending retries and close every driver
+   */
+  async close() {
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+
+    for (const { driver } of this.channels.values()) {
+      await driver.close();
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new DriverRegistry();
@@ -0,0 +1,250 @@
+const { ClusterAdapter } = require('socket.io-adapter');
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const { NoForumRuleSource, createForumRuleSource, normalizeRule } = require('../stores/forumAccessRules');
+
+/**
+ * Forum Access Service
+ * Keeps per-forum access rules in memory and decides who may follow a
+ * forum's live updates. Rules are loaded from the configured source
+ * (Laravel or its database) and refreshed periodically; Laravel can also
+ * push a single forum's rule, which is relayed to the other workers.
+ *
+ * Evaluation order: denied users, then allowed users, then the member
+ * minimum, allowed roles and the verified-partner flag. Forums without a
+ * rule are open to every member.
+ *
+ * Until the rules have been loaded once, no one may follow any forum: a
+ * restricted forum cannot be told apart from an open one. After that a
+ * failed refresh keeps the last loaded rules.
+ *
+ * Whenever a forum's rule changes, the change handler (ChannelManager) is
+ * called with the forum IDs so it can re-check subscribed sockets.
+ */
+
+const CLUSTER_EVENTS = {
+  RULE: 'forum-access:rule',
+  REFRESH: 'forum-access:refresh'
+};
+
+class ForumAccessService {
+  constructor() {
+    this.io = null;
+    // No source until initialize() selects the configured one
+    this.source = new NoForumRuleSource();
+    this.rules = new Map(); // forumId -> rule
+    this.loaded = false;
+    this.changeHandler = null;
+    this.refreshTimer = null;
+    this.lastRefreshAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Load the rules, start refreshing them and listen for pushed rules from other workers
+   */
+  async initialize(io) {
+    this.io = io;
+
+    const source = await createForumRuleSource();
+    const previous = this.source;
+
+    this.source = source;
+    await previous.close();
+
+    io.of('/').on(CLUSTER_EVENTS.RULE, (forumId, rule) => {
+      this.applyRule(forumId, rule);
+    });
+
+    io.of('/').on(CLUSTER_EVENTS.REFRESH, () => {
+      this.refresh();
+    });
+
+    await this.refresh();
+
+    if (source.type !== 'none') {
+      this.refreshTimer = setInterval(() => {
+        this.refresh();
+      }, config.forumAccess.refreshInterval);
+      this.refreshTimer.unref();
+    }
+
+    logger.info('ForumAccessService initialized', {
+      source: source.type,
+      forums: this.rules.size,
+      refreshInterval: config.forumAccess.refreshInterval
+    });
+  }
+
+  /**
+   * Called with the IDs of forums whose rule changed
+   * @param {Function} handler - (forumIds) => void
+   */
+  onRulesChanged(handler) {
+    this.changeHandler = handler;
+  }
+
+  /**
+   * Reload every rule from the source
+   * A failed load keeps the previous rules.
+   */
+  async refresh() {
+    let loaded;
+    try {
+      loaded = await this.source.loadAll();
+    } catch (error) {
+      this.lastError = error.message;
+      logger.errorWithStack('Forum access rules refresh failed', error, { source: this.source.type });
+      return;
+    }
+
+    this.lastError = null;
+    this.lastRefreshAt = new Date().toISOString();
+    this.loaded = true;
+
+    if (loaded === null) {
+      return;
+    }
+
+    const next = new Map(loaded.map(rule => [rule.forumId, rule]));
+    const changed = [];
+
+    for (const forumId of new Set([...this.rules.keys(), ...next.keys()])) {
+      if (JSON.stringify(this.rules.get(forumId)) !== JSON.stringify(next.get(forumId))) {
+        changed.push(forumId);
+      }
+    }
+
+    this.rules = next;
+    this.notifyChanged(changed);
+  }
+
+  /**
+   * Reload the rules on every worker now instead of waiting for the timer
+   */
+  async refreshAll() {
+    if (this.isClustered()) {
+      this.io.serverSideEmit(CLUSTER_EVENTS.REFRESH);
+    }
+
+    await this.refresh();
+  }
+
+  /**
+   * Replace one forum's rule on every worker (pushed by Laravel)
+   * @param {number} forumId
+   * @param {Object|null} raw - rule in Laravel's snake_case shape, null to remove it
+   */
+  setRule(forumId, raw) {
+    const rule = raw ? normalizeRule({ ...raw, forum_id: forumId }) : null;
+
+    this.applyRule(forumId, rule);
+
+    if (this.isClustered()) {
+      this.io.serverSideEmit(CLUSTER_EVENTS.RULE, forumId, rule);
+    }
+
+    return rule;
+  }
+
+  isClustered() {
+    return !!this.io && this.io.of('/').adapter instanceof ClusterAdapter;
+  }
+
+  /**
+   * Replace one forum's rule on this worker
+   */
+  applyRule(forumId, rule) {
+    if (rule) {
+      this.rules.set(forumId, rule);
+    } else {
+      this.rules.delete(forumId);
+    }
+
+    this.notifyChanged([forumId]);
+  }
+
+  notifyChanged(forumIds) {
+    if (forumIds.length === 0) return;
+
+    logger.info('Forum access rules changed', { forumIds });
+
+    if (this.changeHandler) {
+      this.changeHandler(forumIds);
+    }
+  }
+
+  /**
+   * Get the rule of a forum, or null when the forum is unrestricted
+   */
+  getRule(forumId) {
+    return this.rules.get(forumId) || null;
+  }
+
+  /**
+   * Decide whether a user may follow a forum
+   * @param {Object} user - { userId, role, isMember, verifiedPartner }; isMember
+   *   is whether the role reaches the member level
+   * @param {number} forumId
+   * @returns {{allowed: boolean, reason: string|null}}
+   */
+  check({ userId, role, isMember, verifiedPartner }, forumId) {
+    if (!this.loaded) {
+      return { allowed: false, reason: 'rules_unavailable' };
+    }
+
+    const rule = this.getRule(forumId);
+    const id = Number(userId);
+
+    if (rule && rule.deniedUsers.includes(id)) {
+      return { allowed: false, reason: 'denied_user' };
+    }
+
+    if (rule && rule.allowedUsers.includes(id)) {
+      return { allowed: true, reason: null };
+    }
+
+    if (!isMember) {
+      return { allowed: false, reason: 'role' };
+    }
+
+    if (rule && rule.allowedRoles.length > 0 && !rule.allowedRoles.includes(role)) {
+      return { allowed: false, reason: 'role' };
+    }
+
+    if (rule && rule.verifiedPartnersOnly && !verifiedPartner) {
+      return { allowed: false, reason: 'not_verified_partner' };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Get rule statistics for this worker
+   */
+  getStats() {
+    return {
+      source: this.source.type,
+      forums: this.rules.size,
+      loaded: this.loaded,
+      lastRefreshAt: this.lastRefreshAt,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Stop refreshing and close the source
+   */
+  async close() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+
+    await this.source.close();
+  }
+}
+
+// Export singleton instance
+module.exports = new ForumAccessService();
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const axios = require('axios');
+
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * JWKS Service
+ * Public keys for RS256/ES256 JWTs, loaded from a JWKS URL (Laravel's or an
+ * identity provider's /.well-known/jwks.json) or from a local JWKS file for
+ * offline development. Tokens pick their key with the `kid` header, so every
+ * key in the set is active at once: during a rotation the new key is
+ * published next to the old one until the old tokens have expired.
+ *
+ * The set is cached and refreshed periodically; a token signed with a kid
+ * the cache does not know yet triggers an early refresh, at most once per
+ * JWT_JWKS_MIN_REFRESH_INTERVAL. A failed refresh keeps the previous keys.
+ */
+
+// Algorithm per key type, for JWKs without `alg`
+const DEFAULT_ALGORITHMS = {
+  RSA: 'RS256',
+  EC: 'ES256'
+};
+
+class JwksService {
+  constructor() {
+    this.keys = new Map(); // kid -> { kid, alg, key }
+    this.refreshTimer = null;
+    this.refreshing = null;
+    this.lastRefreshAt = null;
+    this.lastAttemptAt = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether asymmetric tokens are configured (JWT_JWKS_URL or JWT_JWKS_FILE)
+   */
+  isEnabled() {
+    return !!(config.jwt.jwksUrl || config.jwt.jwksFile);
+  }
+
+  /**
+   * Load the key set and start refreshing it
+   */
+  async initialize() {
+    if (!this.isEnabled()) return;
+
+    await this.refresh();
+
+    this.refreshTimer = setInterval(() => {
+      this.refresh();
+    }, config.jwt.jwksRefreshInterval);
+    this.refreshTimer.unref();
+
+    logger.info('JwksService initialized', {
+      source: config.jwt.jwksFile ? 'file' : 'url',
+      keys: Array.from(this.keys.keys()),
+      refreshInterval: config.jwt.jwksRefreshInterval
+    });
+  }
+
+  /**
+   * Reload the key set; concurrent calls share one load
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.load().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  async load() {
+    this.lastAttemptAt = Date.now();
+
+    let keys;
+    try {
+      keys = this.parseKeySet(await this.fetchKeySet());
+    } catch (error) {
+      this.lastError = error.message;
+      logger.errorWithStack('JWKS refresh failed', error, {
+        source: config.jwt.jwksFile || config.jwt.jwksUrl
+      });
+      return;
+    }
+
+    const previous = Array.from(this.keys.keys());
+    this.keys = keys;
+    this.lastError = null;
+    this.lastRefreshAt = new Date().toISOString();
+
+    const current = Array.from(keys.keys());
+    if (previous.join(',') !== current.join(',')) {
+      logger.info('JWKS keys changed', { previous, current });
+    }
+  }
+
+  /**
+   * Read the JWKS document from the file or URL
+   */
+  async fetchKeySet() {
+    if (config.jwt.jwksFile) {
+      return JSON.parse(await fs.promises.readFile(config.jwt.jwksFile, 'utf8'));
+    }
+
+    const axiosConfig = {
+      headers: { Accept: 'application/json' },
+      timeout: config.jwt.jwksTimeout
+    };
+
+    // Local Laravel sites use self-signed certificates
+    if (config.nodeEnv === 'development') {
+      axiosConfig.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+    }
+
+    const response = await axios.get(config.jwt.jwksUrl, axiosConfig);
+    return response.data;
+  }
+
+  /**
+   * Build the signing keys of a JWKS document
+   * Keys for other uses or algorithms are skipped; a set without a usable
+   * key is an error, so a broken document cannot remove every key.
+   * @returns {Map<string, {kid: string, alg: string, key: crypto.KeyObject}>}
+   */
+  parseKeySet(document) {
+    if (!document || !Array.isArray(document.keys)) {
+      throw new Error('JWKS document has no keys array');
+    }
+
+    const keys = new Map();
+
+    for (const jwk of document.keys) {
+      const alg = jwk.alg || DEFAULT_ALGORITHMS[jwk.kty];
+
+      if (!jwk.kid || (jwk.use && jwk.use !== 'sig') || !config.jwt.asymmetricAlgorithms.includes(alg)) {
+        logger.warn('JWKS key skipped', { kid: jwk.kid, kty: jwk.kty, alg, use: jwk.use });
+        continue;
+      }
+
+      try {
+        keys.set(jwk.kid, {
+          kid: jwk.kid,
+          alg,
+          key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+        });
+      } catch (error) {
+        logger.warn('JWKS key skipped: invalid key', { kid: jwk.kid, error: error.message });
+      }
+    }
+
+    if (keys.size === 0) {
+      throw new Error('JWKS document has no usable signing keys');
+    }
+
+    return keys;
+  }
+
+  /**
+   * Get the key a token names in its `kid` header
+   * An unknown kid may be a freshly rotated key: the set is reloaded first,
+   * unless it was loaded moments ago.
+   * @returns {Promise<{kid: string, alg: string, key: crypto.KeyObject}>}
+   * @throws when no key has this kid
+   */
+  async getKey(kid) {
+    if (!kid) {
+      throw new Error('Token has no key ID (kid)');
+    }
+
+    if (!this.keys.has(kid) && Date.now() - this.lastAttemptAt >= config.jwt.jwksMinRefreshInterval) {
+      logger.info('Unknown JWKS key ID, refreshing key set', { kid });
+      await this.refresh();
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new Error(`Unknown key ID: ${kid}`);
+    }
+
+    return key;
+  }
+
+  /**
+   * Get key set statistics
+   */
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      keys: Array.from(this.keys.values()).map(({ kid, alg }) => ({ kid, alg })),
+      lastRefreshAt: this.lastRefreshAt,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Stop refreshing the key set
+   */
+  async close() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new JwksService();
@@ -1,19 +1,41 @@
+const { v4: uuidv4 } = require('uuid');
+
 const logger = require('../utils/logger');
-const channelManager = require('../websocket/channelManager');
+const { broadcastToChannel, describePayload } = require('../websocket/broadcaster');
+const deliveryTracker = require('./deliveryTracker');
+const preferencesService = require('./preferencesService');
+const driverRegistry = require('./driverRegistry');
+const {
+  MemoryNotificationRepository,
+  createNotificationRepository
+} = require('../stores/notificationRepository');
 
 /**
  * Notification Broadcasting Service
  * Handles notification delivery and management
+ *
+ * Delivery is confirmed by client acks (see DeliveryTracker), so the
+ * delivered and failed counters reflect devices, not emits.
+ *
+ * Read and deleted state lives in the notification repository (Laravel's
+ * notifications table in production); the events that keep a user's devices
+ * in sync are only sent once that state has been written.
+ *
+ * sendNotification() honours the user's preferences (see PreferencesService):
+ * muted types are dropped, and quiet hours or channel opt-outs limit the
+ * push to the paths the user allows. Each delivery channel (realtime,
+ * webpush, email, sms, webhook) is served by a driver from DriverRegistry.
  */
 
+// Users whose preferences are loaded and emitted at once during a Laravel sync
+const PREFERENCES_SYNC_CONCURRENCY = 25;
+
 class NotificationService {
   constructor() {
     this.io = null;
-    this.deliveryStats = {
-      sent: 0,
-      delivered: 0,
-      failed: 0
-    };
+    this.broadcastErrors = 0;
+    // Memory repository until initializeRepository() selects the configured one
+    this.repository = new MemoryNotificationRepository();
   }
 
   /**
@@ -24,6 +46,19 @@ class NotificationService {
     logger.info('NotificationService initialized');
   }
 
+  /**
+   * Switch to the configured notification repository
+   */
+  async initializeRepository() {
+    const repository = await createNotificationRepository();
+    const previous = this.repository;
+
+    this.repository = repository;
+    await previous.close();
+
+    logger.info('Notification repository initialized', { driver: repository.type });
+  }
+
   /**
    * Broadcast notification to a specific channel
    */
@@ -40,31 +75,29 @@ class NotificationService {
         source: options.source || 'system'
       };
 
-      // Get subscriber count
-      const subscriberCount = channelManager.getChannelSubscribers(channel).size;
+      // Broadcast to channel on every worker, counting cluster-wide subscribers
+      const { subscriberCount, queued } = await broadcastToChannel(this.io, channel, event, broadcastData, {
+        realtime: options.realtime,
+        queue: options.queue
+      });
 
       if (subscriberCount === 0) {
-        logger.debug('No subscribers for channel', { channel, event });
+        logger.debug('No subscribers for channel', { channel, event, queued });
         return {
           success: true,
           subscriberCount: 0,
-          message: 'No subscribers'
+          queued,
+          notificationId: broadcastData.id,
+          message: queued ? 'Queued for offline delivery' : 'No subscribers'
         };
       }
 
-      // Broadcast to channel
-      this.io.to(channel).emit(event, broadcastData);
-
-      // Update stats
-      this.deliveryStats.sent++;
-      this.deliveryStats.delivered += subscriberCount;
-
       logger.info('Notification broadcasted', {
         channel,
         event,
         notificationId: broadcastData.id,
         subscriberCount,
-        dataSize: JSON.stringify(broadcastData).length
+        ...describePayload(channel, broadcastData)
       });
 
       return {
@@ -75,7 +108,7 @@ class NotificationService {
       };
 
     } catch (error) {
-      this.deliveryStats.failed++;
+      this.broadcastErrors++;
       logger.errorWithStack('Broadcast to channel failed', error, {
         channel,
         event
@@ -144,10 +177,17 @@ class NotificationService {
 
   /**
    * Send notification with automatic channel detection
+   * The user's preferences decide whether and how it is pushed; it is
+   * stored for the inbox unless its type is muted. `channels` may list
+   * database, realtime, webpush, email, sms and webhook; stored
+   * notifications are always pushed live as well. A notification that
+   * arrives with an `id` was already stored by Laravel's database channel:
+   * it keeps that id and is not stored again.
    */
   async sendNotification(notification) {
     try {
       const {
+        id,
         userId,
         type,
         title,
@@ -159,7 +199,7 @@ class NotificationService {
 
       // Prepare notification data
       const notificationData = {
-        id: this.generateNotificationId(),
+        id: id ? String(id) : this.generateNotificationId(),
         type,
         title,
         message,
@@ -169,18 +209,57 @@ class NotificationService {
         read: false
       };
 
-      // Broadcast to user's private channel
-      if (channels.includes('database') || channels.includes('realtime')) {
-        await this.broadcastToUser(userId, 'notification.sent', notificationData);
+      const preferences = await preferencesService.get(userId);
+      const decision = preferencesService.evaluate(preferences, { type, priority });
+
+      if (decision.reason === 'muted') {
+        logger.debug('Notification muted by user preferences', { userId, type });
+
+        return {
+          success: true,
+          delivered: false,
+          reason: decision.reason,
+          notificationId: notificationData.id
+        };
+      }
+
+      if (channels.includes('database') && !id) {
+        await this.repository.create({
+          id: notificationData.id,
+          userId,
+          type,
+          data: { title, message, priority, ...data },
+          createdAt: notificationData.timestamp
+        });
       }
 
-      // Handle other channel types (email, sms, etc.) in the future
-      // This would integrate with Laravel's notification system
+      const deliveryChannels = channels.filter(channel => channel !== 'database');
+      if (channels.includes('database') && !deliveryChannels.includes('realtime')) {
+        deliveryChannels.unshift('realtime');
+      }
+
+      const deliveries = await driverRegistry.dispatch(notificationData, {
+        userId,
+        channels: deliveryChannels,
+        decision,
+        recipient: notification.recipient
+      });
+
+      if (decision.reason) {
+        logger.debug('Notification delivery limited by user preferences', {
+          userId,
+          type,
+          reason: decision.reason
+        });
+      }
 
       return {
         success: true,
+        delivered: deliveries.some(delivery => delivery.success),
+        reason: decision.reason,
         notificationId: notificationData.id,
-        timestamp: notificationData.timestamp
+        timestamp: notificationData.timestamp,
+        deliveries
       };
 
     } catch (error) {
@@ -192,30 +271,197 @@ class NotificationService {
     }
   }
 
+  /**
+   * Get a user's notification preferences
+   */
+  async getPreferences(userId) {
+    return preferencesService.get(userId);
+  }
+
+  /**
+   * Update a user's notification preferences from a validated patch
+   * Every device of the user gets `notification.preferences_updated`.
+   */
+  async updatePreferences(userId, patch) {
+    const preferences = await preferencesService.update(userId, patch);
+
+    // Devices that are offline load preferences afresh, so nothing is queued
+    await this.broadcastToUser(userId, 'notification.preferences_updated', { preferences }, {
+      queue: false
+    });
+
+    logger.info('Notification preferences updated', { userId });
+
+    return preferences;
+  }
+
+  /**
+   * Replace many users' preferences from a validated Laravel sync
+   * Connected users are told, like after their own update. The event is a
+   * plain emit to each user's room: it skips the subscriber count and the
+   * channel history, so a bulk sync costs no cluster round trips and leaves
+   * no control messages to replay.
+   */
+  async syncPreferences(users) {
+    const count = await preferencesService.replaceMany(users);
+    const timestamp = new Date().toISOString();
+
+    for (let start = 0; this.io && start < users.length; start += PREFERENCES_SYNC_CONCURRENCY) {
+      const batch = users.slice(start, start + PREFERENCES_SYNC_CONCURRENCY);
+
+      await Promise.all(batch.map(async ({ user_id: userId }) => {
+        const channel = `private-user.${userId}`;
+
+        try {
+          this.io.to(channel).emit('notification.preferences_updated', {
+            preferences: await preferencesService.get(userId),
+            id: this.generateNotificationId(),
+            timestamp,
+            source: 'laravel',
+            channel
+          });
+        } catch (error) {
+          logger.errorWithStack('Preferences sync notification failed', error, { userId });
+        }
+      }));
+    }
+
+    logger.info('Notification preferences synced', { count });
+
+    return count;
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {Object} query - { cursor, limit, type, priority, read, from, to }
+   * @returns {Promise<{notifications: Array, nextCursor: string|null, unreadCount: number}>}
+   */
+  async listNotifications(userId, { cursor, limit = 20, ...filters } = {}) {
+    // One extra row tells whether another page follows
+    const notifications = await this.repository.list(userId, {
+      ...filters,
+      limit: limit + 1,
+      after: cursor ? this.decodeCursor(cursor) : null
+    });
+
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      notifications: page,
+      nextCursor: hasMore ? this.encodeCursor(last) : null,
+      unreadCount: await this.repository.countUnread(userId)
+    };
+  }
+
+  /**
+   * Encode the position after a notification as an opaque page cursor
+   */
+  encodeCursor(notification) {
+    return Buffer.from(JSON.stringify([notification.createdAt, notification.id])).toString('base64url');
+  }
+
+  /**
+   * Decode a page cursor
+   * @throws {Error} When the cursor is malformed
+   */
+  decodeCursor(cursor) {
+    try {
+      const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+      if (typeof id !== 'string' || isNaN(Date.parse(createdAt))) {
+        throw new Error('Unexpected cursor contents');
+      }
+
+      return { createdAt, id };
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+  }
+
   /**
    * Mark notification as read
+   * Every device of the user gets `notification.read` with the persisted
+   * read time, unless the notification had already been read. Realtime-only
+   * notifications have no stored row (`stored: false`); their read is still
+   * relayed to the other devices.
+   * @returns {Promise<Object>}
    */
   async markAsRead(notificationId, userId) {
     try {
-      // TODO: Update database record
-      // For now, just broadcast the read status
+      const result = await this.repository.markAsRead(notificationId, userId);
+
+      // Realtime-only notifications are not stored but may still carry a receipt
+      await deliveryTracker.markRead(notificationId, userId);
+
+      if (!result) {
+        logger.debug('Notification to mark as read not stored, relaying only', { notificationId, userId });
+      }
+
+      const readAt = result ? result.readAt : new Date().toISOString();
+      const alreadyRead = !!(result && result.alreadyRead);
+      const unreadCount = await this.repository.countUnread(userId);
+
+      if (!alreadyRead) {
+        await this.broadcastToUser(userId, 'notification.read', {
+          notificationId,
+          readAt,
+          readBy: userId,
+          unreadCount
+        });
 
-      await this.broadcastToUser(userId, 'notification.read', {
+        logger.info('Notification marked as read', {
+          notificationId,
+          userId
+        });
+      }
+
+      return {
+        success: true,
         notificationId,
-        readAt: new Date().toISOString(),
-        readBy: userId
-      });
+        readAt,
+        alreadyRead,
+        unreadCount,
+        stored: !!result
+      };
 
-      logger.info('Notification marked as read', {
+    } catch (error) {
+      logger.errorWithStack('Mark notification as read failed', error, {
         notificationId,
         userId
       });
 
-      return { success: true };
+      throw error;
+    }
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * Devices are told with a single `notification.read_all` event.
+   */
+  async markAllAsRead(userId) {
+    try {
+      const { count, readAt } = await this.repository.markAllAsRead(userId);
+
+      if (count > 0) {
+        await this.broadcastToUser(userId, 'notification.read_all', {
+          count,
+          readAt,
+          readBy: userId,
+          unreadCount: 0
+        });
+
+        logger.info('All notifications marked as read', {
+          userId,
+          count
+        });
+      }
+
+      return { success: true, count, readAt, unreadCount: 0 };
 
     } catch (error) {
-      logger.errorWithStack('Mark notification as read failed', error, {
-        notificationId,
+      logger.errorWithStack('Mark all notifications as read failed', error, {
         userId
       });
 
@@ -225,16 +471,24 @@ class NotificationService {
 
   /**
    * Delete notification
+   * @returns {Promise<Object|null>} null when the user has no such notification
    */
   async deleteNotification(notificationId, userId) {
     try {
-      // TODO: Delete from database
-      // For now, just broadcast the deletion
+      const deleted = await this.repository.delete(notificationId, userId);
+
+      if (!deleted) {
+        logger.debug('Notification to delete not found', { notificationId, userId });
+        return null;
+      }
+
+      const unreadCount = await this.repository.countUnread(userId);
 
       await this.broadcastToUser(userId, 'notification.deleted', {
         notificationId,
         deletedAt: new Date().toISOString(),
-        deletedBy: userId
+        deletedBy: userId,
+        unreadCount
       });
 
       logger.info('Notification deleted', {
@@ -242,7 +496,7 @@ class NotificationService {
         userId
       });
 
-      return { success: true };
+      return { success: true, notificationId, unreadCount };
 
     } catch (error) {
       logger.errorWithStack('Delete notification failed', error, {
@@ -259,10 +513,7 @@ class NotificationService {
    */
   async getUnreadCount(userId) {
     try {
-      // TODO: Query database for unread count
-      // For now, return mock data
-
-      const unreadCount = 0; // This should come from database
+      const unreadCount = await this.repository.countUnread(userId);
 
       await this.broadcastToUser(userId, 'notification.unread_count', {
         userId,
@@ -282,18 +533,21 @@ class NotificationService {
   }
 
   /**
-   * Generate unique notification ID
+   * Generate unique notification ID (a UUID, like Laravel's notification IDs)
    */
   generateNotificationId() {
-    return `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return uuidv4();
   }
 
   /**
    * Get delivery statistics
+   * sent/delivered/read/failed count acknowledged notifications; failed means
+   * no device acked within the retry budget (it is re-sent on reconnect)
    */
-  getDeliveryStats() {
+  async getDeliveryStats() {
     return {
-      ...this.deliveryStats,
+      ...(await deliveryTracker.getStats()),
+      broadcastErrors: this.broadcastErrors,
       timestamp: new Date().toISOString(),
       uptime: process.uptime()
     };
@@ -302,12 +556,9 @@ class NotificationService {
   /**
    * Reset delivery statistics
    */
-  resetDeliveryStats() {
-    this.deliveryStats = {
-      sent: 0,
-      delivered: 0,
-      failed: 0
-    };
+  async resetDeliveryStats() {
+    await deliveryTracker.resetStats();
+    this.broadcastErrors = 0;
 
     logger.info('Delivery statistics reset');
   }
@@ -315,14 +566,23 @@ class NotificationService {
   /**
    * Health check for notification service
    */
-  healthCheck() {
+  async healthCheck() {
     return {
       status: this.io ? 'healthy' : 'unhealthy',
       initialized: !!this.io,
-      stats: this.deliveryStats,
+      repository: this.repository.type,
+      drivers: await driverRegistry.healthCheck(),
+      stats: await this.getDeliveryStats(),
       timestamp: new Date().toISOString()
     };
   }
+
+  /**
+   * Close the notification repository
+   */
+  async close() {
+    await this.repository.close();
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,215 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const { MemoryOfflineQueueStore, createOfflineQueueStore } = require('../stores/offlineQueue');
+
+/**
+ * Offline Queue Service
+ * Keeps private-user.{id} events emitted while the user had no connected
+ * socket, replays them on the next connection and lets clients page through
+ * whatever did not fit in the replay.
+ */
+
+const PRIVATE_USER_CHANNEL = /^private-user\.(\d+)$/;
+
+class OfflineQueueService {
+  constructor() {
+    // Memory store until initialize() selects the configured driver
+    this.store = new MemoryOfflineQueueStore();
+    this.pruneTimer = null;
+    this.stats = {
+      queued: 0,
+      replayed: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Switch to the configured store and start pruning expired entries
+   */
+  async initialize() {
+    const store = await createOfflineQueueStore();
+    const previous = this.store;
+
+    this.store = store;
+    await previous.close();
+
+    this.pruneTimer = setInterval(() => {
+      this.store.prune(config.offlineQueue.retentionMs)
+        .then((removed) => {
+          if (removed > 0) {
+            logger.info('Pruned expired offline notifications', { removed });
+          }
+        })
+        .catch((error) => {
+          logger.errorWithStack('Offline queue prune failed', error);
+        });
+    }, config.offlineQueue.pruneInterval);
+    this.pruneTimer.unref();
+
+    logger.info('OfflineQueueService initialized', {
+      enabled: config.offlineQueue.enabled,
+      driver: store.type,
+      maxPerUser: config.offlineQueue.maxPerUser,
+      retentionMs: config.offlineQueue.retentionMs
+    });
+  }
+
+  /**
+   * Get the user ID of a private user channel, or null for other channels
+   */
+  getChannelUserId(channel) {
+    const match = channel.match(PRIVATE_USER_CHANNEL);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Queue an event for a user's next connection
+   * @returns {Promise<Object|null>} Stored entry, or null when the channel is not queueable
+   */
+  async enqueue(channel, event, data) {
+    const userId = this.getChannelUserId(channel);
+    if (!config.offlineQueue.enabled || userId === null) {
+      return null;
+    }
+
+    try {
+      const entry = await this.store.append(userId, {
+        channel,
+        event,
+        data,
+        queuedAt: new Date().toISOString()
+      }, {
+        maxSize: config.offlineQueue.maxPerUser,
+        retentionMs: config.offlineQueue.retentionMs
+      });
+
+      this.stats.queued++;
+
+      logger.debug('Event queued for offline user', {
+        userId,
+        event,
+        entryId: entry.id
+      });
+
+      return entry;
+    } catch (error) {
+      this.stats.failed++;
+      logger.errorWithStack('Failed to queue offline event', error, { userId, event });
+      return null;
+    }
+  }
+
+  /**
+   * Emit queued events to a newly connected socket, oldest first,
+   * and drop them from the queue
+   * @param {Object} [options]
+   * @param {Object} [options.deliveredThrough] - channel -> sequence already
+   *   replayed from the channel buffer; queued events up to it are skipped
+   * @param {Function} [options.emit] - emits replayed events (defaults to socket.emit)
+   * @returns {Promise<{replayed: number, remaining: number}>}
+   */
+  async replay(socket, {
+    deliveredThrough = {},
+    emit = (event, payload) => socket.emit(event, payload)
+  } = {}) {
+    const userId = socket.userId;
+    const entries = await this.store.list(userId, {
+      after: 0,
+      limit: config.offlineQueue.replayLimit,
+      retentionMs: config.offlineQueue.retentionMs
+    });
+
+    const pending = entries.filter(entry => !(entry.data.seq <= deliveredThrough[entry.channel]));
+
+    for (const entry of pending) {
+      emit(entry.event, this.toReplayPayload(entry));
+    }
+
+    if (entries.length > 0) {
+      await this.store.removeUpTo(userId, entries[entries.length - 1].id);
+      this.stats.replayed += pending.length;
+    }
+
+    const remaining = await this.store.count(userId, {
+      retentionMs: config.offlineQueue.retentionMs
+    });
+
+    if (entries.length > 0 || remaining > 0) {
+      logger.socketConnection(socket, 'offline_replay', {
+        replayed: pending.length,
+        remaining
+      });
+    }
+
+    return { replayed: pending.length, remaining };
+  }
+
+  /**
+   * Get a page of the user's backlog.
+   * Passing a cursor confirms every entry up to it, so those are removed.
+   */
+  async getPage(userId, { cursor = 0, limit = config.offlineQueue.pageSize } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || config.offlineQueue.pageSize, 1), 100);
+    const after = parseInt(cursor) || 0;
+
+    if (after > 0) {
+      await this.store.removeUpTo(userId, after);
+    }
+
+    const entries = await this.store.list(userId, {
+      after,
+      limit: pageSize,
+      retentionMs: config.offlineQueue.retentionMs
+    });
+    const remaining = await this.store.count(userId, {
+      retentionMs: config.offlineQueue.retentionMs
+    });
+
+    return {
+      items: entries.map(entry => ({
+        id: entry.id,
+        channel: entry.channel,
+        event: entry.event,
+        data: this.toReplayPayload(entry),
+        queuedAt: entry.queuedAt
+      })),
+      nextCursor: entries.length > 0 ? entries[entries.length - 1].id : null,
+      remaining: Math.max(remaining - entries.length, 0)
+    };
+  }
+
+  /**
+   * Mark replayed payloads so clients can tell them from live events
+   */
+  toReplayPayload(entry) {
+    return {
+      ...entry.data,
+      replayed: true,
+      queuedAt: entry.queuedAt
+    };
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      driver: this.store.type,
+      enabled: config.offlineQueue.enabled
+    };
+  }
+
+  /**
+   * Stop pruning and close the store
+   */
+  async close() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+    }
+    await this.store.close();
+  }
+}
+
+// Export singleton instance
+module.exports = new OfflineQueueService();
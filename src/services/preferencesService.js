@@ -0,0 +1,211 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const { MemoryPreferencesStore, createPreferencesStore } = require('../stores/notificationPreferences');
+
+/**
+ * Notification Preferences Service
+ * Stores per-user preferences and decides how a notification may reach the
+ * user: type rules can mute it, quiet hours in the user's time zone skip
+ * the live push (urgent notifications may break through), and each delivery
+ * channel can be opted out of - `realtime` for pushes to connected devices,
+ * `queued` for the offline queue replayed on reconnect.
+ */
+
+class PreferencesService {
+  constructor() {
+    // Memory store until initialize() selects the configured driver
+    this.store = new MemoryPreferencesStore();
+  }
+
+  /**
+   * Switch to the configured store
+   */
+  async initialize() {
+    const store = await createPreferencesStore();
+    const previous = this.store;
+
+    this.store = store;
+    await previous.close();
+
+    logger.info('PreferencesService initialized', { driver: store.type });
+  }
+
+  /**
+   * Preferences of a user who never set any
+   */
+  defaults() {
+    return {
+      timezone: config.preferences.defaultTimezone,
+      types: {},
+      quiet_hours: {
+        enabled: false,
+        start: '22:00',
+        end: '07:00',
+        allow_urgent: true
+      },
+      channels: {
+        realtime: true,
+        queued: true
+      },
+      updated_at: null
+    };
+  }
+
+  /**
+   * Apply stored preferences over the defaults
+   */
+  withDefaults(stored) {
+    const defaults = this.defaults();
+    if (!stored) return defaults;
+
+    return {
+      ...defaults,
+      ...stored,
+      types: { ...stored.types },
+      quiet_hours: { ...defaults.quiet_hours, ...stored.quiet_hours },
+      channels: { ...defaults.channels, ...stored.channels }
+    };
+  }
+
+  /**
+   * Get a user's effective preferences
+   */
+  async get(userId) {
+    return this.withDefaults(await this.store.get(userId));
+  }
+
+  /**
+   * Merge a validated patch into a user's preferences
+   * Type rules set to null are removed.
+   */
+  async update(userId, patch) {
+    const current = (await this.store.get(userId)) || {};
+    const types = { ...current.types, ...patch.types };
+
+    for (const [type, rule] of Object.entries(types)) {
+      if (rule === null) delete types[type];
+    }
+
+    const updated = {
+      ...current,
+      ...patch,
+      types,
+      quiet_hours: { ...current.quiet_hours, ...patch.quiet_hours },
+      channels: { ...current.channels, ...patch.channels },
+      updated_at: new Date().toISOString()
+    };
+
+    await this.store.set(userId, updated);
+    return this.withDefaults(updated);
+  }
+
+  /**
+   * Replace the preferences of many users at once (Laravel is the source of truth)
+   * @param {Array<{user_id: string|number, preferences: Object}>} users - validated entries
+   */
+  async replaceMany(users) {
+    const updatedAt = new Date().toISOString();
+
+    await this.store.setMany(users.map(({ user_id: userId, preferences }) => {
+      const types = { ...preferences.types };
+
+      for (const [type, rule] of Object.entries(types)) {
+        if (rule === null) delete types[type];
+      }
+
+      return { userId, preferences: { ...preferences, types, updated_at: updatedAt } };
+    }));
+
+    return users.length;
+  }
+
+  /**
+   * Find the rule for a notification type: exact type, then the longest
+   * matching "prefix.*" rule, then "*"
+   * @returns {string} allow | mute
+   */
+  getTypeRule(preferences, type) {
+    const rules = preferences.types || {};
+
+    if (type && rules[type]) {
+      return rules[type];
+    }
+
+    let match = null;
+    for (const pattern of Object.keys(rules)) {
+      if (pattern.endsWith('.*') && type && type.startsWith(pattern.slice(0, -1)) &&
+        (!match || pattern.length > match.length)) {
+        match = pattern;
+      }
+    }
+
+    return match ? rules[match] : (rules['*'] || 'allow');
+  }
+
+  /**
+   * Whether it is currently quiet hours in the user's time zone
+   */
+  isQuietTime(preferences, now = new Date()) {
+    const { enabled, start, end } = preferences.quiet_hours;
+    if (!enabled || start === end) return false;
+
+    const [hour, minute] = new Intl.DateTimeFormat('en-GB', {
+      timeZone: preferences.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(now).split(':').map(Number);
+
+    const minutes = hour * 60 + minute;
+    const toMinutes = (time) => {
+      const [h, m] = time.split(':').map(Number);
+      return h * 60 + m;
+    };
+
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
+
+    // Quiet hours may wrap past midnight (22:00 - 07:00)
+    return startMinutes < endMinutes
+      ? minutes >= startMinutes && minutes < endMinutes
+      : minutes >= startMinutes || minutes < endMinutes;
+  }
+
+  /**
+   * Decide how a notification may be delivered
+   * @param {Object} preferences - effective preferences
+   * @param {Object} notification - { type, priority }
+   * @returns {{deliver: boolean, realtime: boolean, queue: boolean, reason: string|null}}
+   */
+  evaluate(preferences, { type, priority }, now = new Date()) {
+    if (this.getTypeRule(preferences, type) === 'mute') {
+      return { deliver: false, realtime: false, queue: false, reason: 'muted' };
+    }
+
+    let realtime = preferences.channels.realtime;
+    const queue = preferences.channels.queued;
+    let reason = null;
+
+    if (realtime && this.isQuietTime(preferences, now) &&
+      !(priority === 'urgent' && preferences.quiet_hours.allow_urgent)) {
+      realtime = false;
+      reason = 'quiet_hours';
+    }
+
+    if (!realtime && !queue) {
+      return { deliver: false, realtime, queue, reason: reason || 'opted_out' };
+    }
+
+    return { deliver: true, realtime, queue, reason };
+  }
+
+  /**
+   * Close the store
+   */
+  async close() {
+    await this.store.close();
+  }
+}
+
+// Export singleton instance
+module.exports = new PreferencesService();
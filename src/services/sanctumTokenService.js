@@ -0,0 +1,332 @@
+const { ClusterAdapter } = require('socket.io-adapter');
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const {
+  NoSanctumTokenSource,
+  LaravelSanctumTokenSource,
+  createSanctumTokenSource
+} = require('../stores/sanctumTokens');
+
+/**
+ * Sanctum Token Service
+ * Verifies Sanctum personal access tokens at handshake against Laravel or
+ * its personal_access_tokens table, and keeps checking the tokens of live
+ * sockets: every few minutes the tokens in use on this worker are
+ * re-checked in batches. Sockets whose token was revoked, or whose token
+ * (Sanctum or JWT) has expired, get `session_expired` and are disconnected.
+ *
+ * Laravel can also end sessions at once (logout, password change) by token
+ * or by user; the revoke is relayed to every worker.
+ *
+ * Each socket's token expiry is also watched: the client gets
+ * `token_expiring` shortly before it and the session ends when it passes,
+ * unless the client has reauthenticated with a fresh token in between.
+ */
+
+const CLUSTER_EVENTS = {
+  REVOKE: 'sanctum:revoke'
+};
+
+// Longest delay setTimeout accepts; later expiries are waited for in steps
+const MAX_TIMER_DELAY = 2147483647;
+
+class SanctumTokenService {
+  constructor() {
+    this.io = null;
+    // Laravel until initialize() selects the configured source
+    this.source = config.development.mockLaravelApi
+      ? new NoSanctumTokenSource()
+      : new LaravelSanctumTokenSource();
+    this.revalidateTimer = null;
+    this.expiryTimers = new WeakMap(); // socket -> { warning, expiry }
+    this.revalidating = false;
+    this.lastRevalidatedAt = null;
+    this.lastError = null;
+    this.expired = 0;
+  }
+
+  /**
+   * Select the token source, start re-validating live sockets and listen
+   * for revokes from other workers
+   */
+  async initialize(io) {
+    this.io = io;
+
+    const source = await createSanctumTokenSource(
+      config.development.mockLaravelApi ? 'none' : config.sanctum.verifier
+    );
+    const previous = this.source;
+
+    this.source = source;
+    await previous.close();
+
+    io.of('/').on(CLUSTER_EVENTS.REVOKE, (criteria, callback) => {
+      callback(this.revokeLocal(criteria));
+    });
+
+    this.revalidateTimer = setInterval(() => {
+      this.revalidate();
+    }, config.sanctum.revalidateInterval);
+    this.revalidateTimer.unref();
+
+    logger.info('SanctumTokenService initialized', {
+      source: source.type,
+      revalidateInterval: config.sanctum.revalidateInterval,
+      batchSize: config.sanctum.batchSize
+    });
+  }
+
+  /**
+   * Check one token at handshake
+   * @returns {Promise<{tokenId: number, userId: number|null, expiresAt: number|null}>}
+   * @throws when the token is revoked, unknown or expired
+   */
+  async verify(token) {
+    const found = (await this.source.check([token])).get(token);
+
+    if (!found) {
+      throw new Error('Token revoked or unknown');
+    }
+
+    if (found.expiresAt !== null && found.expiresAt <= Date.now()) {
+      throw new Error('Token expired');
+    }
+
+    return found;
+  }
+
+  /**
+   * Re-check the sockets on this worker: expired tokens first, then the
+   * Sanctum tokens in batches. A batch that cannot be checked leaves its
+   * sockets connected until the next run.
+   */
+  async revalidate() {
+    if (!this.io || this.revalidating) return;
+    this.revalidating = true;
+
+    try {
+      const now = Date.now();
+      const byToken = new Map(); // Sanctum token -> sockets
+
+      for (const socket of this.io.of('/').sockets.values()) {
+        if (socket.tokenExpiresAt && socket.tokenExpiresAt <= now) {
+          this.expire(socket, 'expired');
+        } else if (socket.tokenType === 'sanctum') {
+          if (!byToken.has(socket.authToken)) {
+            byToken.set(socket.authToken, []);
+          }
+          byToken.get(socket.authToken).push(socket);
+        }
+      }
+
+      const tokens = [...byToken.keys()];
+      this.lastError = null;
+
+      for (let start = 0; start < tokens.length; start += config.sanctum.batchSize) {
+        const batch = tokens.slice(start, start + config.sanctum.batchSize);
+        let found;
+
+        try {
+          found = await this.source.check(batch);
+        } catch (error) {
+          this.lastError = error.message;
+          logger.errorWithStack('Sanctum token re-validation failed', error, {
+            source: this.source.type,
+            tokens: batch.length
+          });
+          continue;
+        }
+
+        for (const token of batch) {
+          const entry = found.get(token);
+          const reason = !entry
+            ? 'revoked'
+            : (entry.expiresAt !== null && entry.expiresAt <= Date.now() ? 'expired' : null);
+
+          for (const socket of byToken.get(token)) {
+            if (reason) {
+              this.expire(socket, reason);
+            } else if (socket.tokenExpiresAt !== entry.expiresAt) {
+              socket.tokenExpiresAt = entry.expiresAt;
+              this.watchExpiry(socket);
+            }
+          }
+        }
+      }
+
+      this.lastRevalidatedAt = new Date().toISOString();
+
+    } finally {
+      this.revalidating = false;
+    }
+  }
+
+  /**
+   * Warn the socket before its token expires and end the session when it
+   * does. Called again after reauthentication, replacing the timers.
+   */
+  watchExpiry(socket) {
+    this.unwatchExpiry(socket);
+
+    if (!socket.tokenExpiresAt) return;
+
+    const expiresAt = socket.tokenExpiresAt;
+    const timers = {
+      warning: this.setTimerAt(expiresAt - config.sessions.expiryWarningMs, () => {
+        socket.emit('token_expiring', {
+          expiresAt: new Date(expiresAt).toISOString(),
+          expiresInMs: Math.max(0, expiresAt - Date.now())
+        });
+      }),
+      expiry: this.setTimerAt(expiresAt, () => {
+        // Reauthentication in the meantime moved the expiry
+        if (socket.tokenExpiresAt === expiresAt) {
+          this.expire(socket, 'expired');
+        }
+      })
+    };
+
+    this.expiryTimers.set(socket, timers);
+  }
+
+  /**
+   * Stop watching a socket's token expiry (disconnect)
+   */
+  unwatchExpiry(socket) {
+    const timers = this.expiryTimers.get(socket);
+    if (!timers) return;
+
+    clearTimeout(timers.warning.handle);
+    clearTimeout(timers.expiry.handle);
+    this.expiryTimers.delete(socket);
+  }
+
+  /**
+   * Run a callback at a timestamp, however far away
+   * @returns {{handle: Object}} handle is replaced at each step
+   */
+  setTimerAt(timestamp, callback) {
+    const timer = { handle: null };
+
+    const step = () => {
+      const delay = timestamp - Date.now();
+
+      if (delay <= 0) {
+        callback();
+        return;
+      }
+
+      timer.handle = setTimeout(step, Math.min(delay, MAX_TIMER_DELAY));
+      timer.handle.unref();
+    };
+
+    step();
+    return timer;
+  }
+
+  /**
+   * Tell a socket its session is over and disconnect it
+   * @param {string} reason - revoked | expired | reason given by Laravel
+   */
+  expire(socket, reason) {
+    if (!socket.connected) return;
+
+    logger.security('Session expired', {
+      userId: socket.userId,
+      socketId: socket.id,
+      tokenType: socket.tokenType,
+      reason
+    });
+
+    socket.emit('session_expired', {
+      reason,
+      timestamp: new Date().toISOString()
+    });
+
+    socket.disconnect(true);
+    this.expired++;
+  }
+
+  /**
+   * End the sessions of tokens or users on every worker (pushed by Laravel)
+   * @param {Object} criteria - { tokenIds, userIds, reason }
+   * @returns {Promise<{disconnected: number, complete: boolean}>}
+   */
+  async revoke(criteria) {
+    const local = this.revokeLocal(criteria);
+
+    if (!this.isClustered()) {
+      return { disconnected: local, complete: true };
+    }
+
+    return new Promise((resolve) => {
+      this.io.serverSideEmit(CLUSTER_EVENTS.REVOKE, criteria, (error, responses) => {
+        if (error) {
+          logger.warn('Cluster session revoke incomplete', {
+            error: error.message,
+            responseCount: responses ? responses.length : 0
+          });
+        }
+
+        resolve({
+          disconnected: (responses || []).reduce((sum, count) => sum + count, local),
+          complete: !error
+        });
+      });
+    });
+  }
+
+  /**
+   * Disconnect the matching sockets on this worker
+   * @returns {number} Sockets disconnected
+   */
+  revokeLocal({ tokenIds = [], userIds = [], reason = 'revoked' }) {
+    if (!this.io) return 0;
+
+    let disconnected = 0;
+
+    for (const socket of this.io.of('/').sockets.values()) {
+      const matches = (socket.tokenId && tokenIds.includes(socket.tokenId)) ||
+        userIds.includes(Number(socket.userId));
+
+      if (matches && socket.connected) {
+        this.expire(socket, reason);
+        disconnected++;
+      }
+    }
+
+    return disconnected;
+  }
+
+  isClustered() {
+    return !!this.io && this.io.of('/').adapter instanceof ClusterAdapter;
+  }
+
+  /**
+   * Get re-validation statistics for this worker
+   */
+  getStats() {
+    return {
+      source: this.source.type,
+      expired: this.expired,
+      lastRevalidatedAt: this.lastRevalidatedAt,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Stop re-validating and close the source
+   */
+  async close() {
+    if (this.revalidateTimer) {
+      clearInterval(this.revalidateTimer);
+      this.revalidateTimer = null;
+    }
+
+    await this.source.close();
+  }
+}
+
+// Export singleton instance
+module.exports = new SanctumTokenService();
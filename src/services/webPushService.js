@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const { sendPushMessage } = require('../utils/webPush');
+const {
+  MemoryPushSubscriptionStore,
+  createPushSubscriptionStore
+} = require('../stores/pushSubscriptions');
+
+/**
+ * Web Push Service
+ * Stores Push API subscriptions per user and device and sends encrypted,
+ * VAPID-signed push messages to them. Push services answer 404/410 for
+ * subscriptions the browser dropped; those are pruned on the spot.
+ *
+ * The notification priority decides the Urgency header and how long the
+ * push service keeps an undelivered message (TTL).
+ */
+
+const PRIORITY_OPTIONS = {
+  low: { urgency: 'low', ttl: 6 * 60 * 60 },
+  normal: { urgency: 'normal', ttl: 24 * 60 * 60 },
+  high: { urgency: 'high', ttl: 24 * 60 * 60 },
+  urgent: { urgency: 'high', ttl: 72 * 60 * 60 }
+};
+
+// Push services accept about 4KB of ciphertext; larger data is left out
+const MAX_PAYLOAD_BYTES = 3000;
+
+// Status codes meaning the subscription is gone for good
+const EXPIRED_STATUSES = [404, 410];
+
+class WebPushService {
+  constructor() {
+    // Memory store until initialize() selects the configured driver
+    this.store = new MemoryPushSubscriptionStore();
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      pruned: 0
+    };
+  }
+
+  /**
+   * Switch to the configured subscription store
+   */
+  async initialize() {
+    const store = await createPushSubscriptionStore();
+    const previous = this.store;
+
+    this.store = store;
+    await previous.close();
+
+    if (!config.webPush.enabled) {
+      logger.warn('Web Push disabled: VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are not set');
+    }
+
+    logger.info('WebPushService initialized', {
+      enabled: config.webPush.enabled,
+      driver: store.type,
+      offlineFallback: config.webPush.offlineFallback
+    });
+  }
+
+  /**
+   * Whether VAPID keys are configured
+   */
+  isEnabled() {
+    return config.webPush.enabled;
+  }
+
+  /**
+   * Public key browsers pass to pushManager.subscribe() as applicationServerKey
+   */
+  getPublicKey() {
+    return config.webPush.publicKey;
+  }
+
+  /**
+   * Whether an endpoint is an https URL of a known push service. The server
+   * POSTs to stored endpoints, so anything else could reach internal hosts.
+   */
+  isAllowedEndpoint(endpoint) {
+    let url;
+    try {
+      url = new URL(endpoint);
+    } catch (error) {
+      return false;
+    }
+
+    if (url.protocol !== 'https:' || url.port !== '' || url.username || url.password) {
+      return false;
+    }
+
+    const host = url.hostname.toLowerCase();
+
+    return config.webPush.allowedHosts.some(allowed => allowed.startsWith('*.')
+      ? host.endsWith(allowed.substring(1))
+      : host === allowed);
+  }
+
+  /**
+   * Store a subscription for a user's device
+   * @param {string|number} userId
+   * @param {Object} options
+   * @param {Object} options.subscription - PushSubscription JSON { endpoint, keys: { p256dh, auth } }
+   * @param {string} [options.deviceId] - replaces this device's previous subscription
+   * @param {string} [options.userAgent]
+   */
+  async subscribe(userId, { subscription, deviceId = null, userAgent = null }) {
+    const now = new Date().toISOString();
+    const id = this.subscriptionId(subscription.endpoint);
+    const existing = (await this.store.listForUser(userId)).find(other => other.id === id);
+
+    const saved = await this.store.save({
+      id,
+      userId: String(userId),
+      endpoint: subscription.endpoint,
+      keys: {
+        p256dh: subscription.keys.p256dh,
+        auth: subscription.keys.auth
+      },
+      deviceId,
+      userAgent,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    }, config.webPush.maxSubscriptionsPerUser);
+
+    logger.info('Push subscription saved', { userId, subscriptionId: id, deviceId });
+
+    return saved;
+  }
+
+  /**
+   * List a user's subscriptions
+   */
+  async list(userId) {
+    return this.store.listForUser(userId);
+  }
+
+  /**
+   * Remove one of a user's subscriptions
+   * @returns {Promise<boolean>} false when the user has no such subscription
+   */
+  async unsubscribe(userId, id) {
+    const removed = await this.store.remove(userId, id);
+
+    if (removed) {
+      logger.info('Push subscription removed', { userId, subscriptionId: id });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Push a notification to every subscribed device of a user
+   * @param {string|number} userId
+   * @param {Object} notification - { id, type, title, message, priority, data, timestamp }
+   * @param {string} [event] - realtime event the push stands in for
+   * @returns {Promise<Object>} { subscriptions, sent, failed, pruned }
+   * @throws When no device could be reached and a retry may help (`error.retryable`)
+   */
+  async sendToUser(userId, notification, event = 'notification.sent') {
+    if (!this.isEnabled()) {
+      const error = new Error('Web Push is not configured');
+      error.retryable = false;
+      throw error;
+    }
+
+    const subscriptions = await this.store.listForUser(userId);
+    const result = { subscriptions: subscriptions.length, sent: 0, failed: 0, pruned: 0 };
+
+    if (subscriptions.length === 0) {
+      return result;
+    }
+
+    const { urgency, ttl } = PRIORITY_OPTIONS[notification.priority] || PRIORITY_OPTIONS.normal;
+    const payload = this.buildPayload(notification, event);
+    let lastError = null;
+
+    for (const subscription of subscriptions) {
+      // Saved before the push service allowlist, or the allowlist changed
+      if (!this.isAllowedEndpoint(subscription.endpoint)) {
+        await this.store.remove(userId, subscription.id);
+        result.pruned++;
+        this.stats.pruned++;
+
+        logger.security('Pruned push subscription outside the allowed push services', {
+          userId,
+          subscriptionId: subscription.id
+        });
+        continue;
+      }
+
+      try {
+        await sendPushMessage(subscription, payload, {
+          vapid: config.webPush,
+          ttl,
+          urgency,
+          timeout: config.webPush.timeout
+        });
+
+        result.sent++;
+        this.stats.sent++;
+
+      } catch (error) {
+        if (EXPIRED_STATUSES.includes(error.status)) {
+          await this.store.remove(userId, subscription.id);
+          result.pruned++;
+          this.stats.pruned++;
+
+          logger.info('Pruned expired push subscription', {
+            userId,
+            subscriptionId: subscription.id,
+            status: error.status
+          });
+          continue;
+        }
+
+        result.failed++;
+        this.stats.failed++;
+        lastError = error;
+
+        logger.warn('Web Push send failed', {
+          userId,
+          subscriptionId: subscription.id,
+          status: error.status,
+          error: error.message
+        });
+      }
+    }
+
+    // Retrying would resend to the devices that did get it
+    if (result.sent === 0 && lastError) {
+      const error = new Error(`Web Push failed for all devices: ${lastError.message}`);
+      error.retryable = !(lastError.status >= 400 && lastError.status < 500 && lastError.status !== 429);
+      throw error;
+    }
+
+    logger.debug('Web Push sent', { userId, notificationId: notification.id, ...result });
+
+    return result;
+  }
+
+  /**
+   * Build the JSON the service worker receives in its push event
+   */
+  buildPayload(notification, event) {
+    const payload = {
+      id: notification.id,
+      event,
+      type: notification.type || null,
+      title: notification.title || 'MechaMap',
+      body: notification.message || notification.body || '',
+      priority: notification.priority || 'normal',
+      timestamp: notification.timestamp || new Date().toISOString(),
+      data: notification.data || {}
+    };
+
+    let json = JSON.stringify(payload);
+    if (Buffer.byteLength(json) > MAX_PAYLOAD_BYTES) {
+      // The client can fetch the full notification from the inbox API
+      json = JSON.stringify({ ...payload, data: {}, truncated: true });
+    }
+
+    return json;
+  }
+
+  /**
+   * Stable id for a subscription endpoint
+   */
+  subscriptionId(endpoint) {
+    return crypto.createHash('sha256').update(endpoint).digest('hex').substring(0, 32);
+  }
+
+  /**
+   * Get push statistics for this worker
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: config.webPush.enabled,
+      driver: this.store.type
+    };
+  }
+
+  /**
+   * Close the subscription store
+   */
+  async close() {
+    await this.store.close();
+  }
+}
+
+// Export singleton instance
+module.exports = new WebPushService();
@@ -0,0 +1,169 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createRedisClient, closeRedisClient, redisKey } = require('../utils/redis');
+
+/**
+ * Channel History Stores
+ * Per-channel sequence counters and bounded replay buffers used to resume
+ * subscriptions after a reconnect. Buffers keep at most `maxEvents` entries
+ * and are dropped after `ttlMs` without new events.
+ *
+ * Every implementation exposes the same async interface:
+ * - append(channel, build) -> entry; build(seq) returns the entry to store
+ * - getCurrentSeq(channel) -> last assigned sequence number (0 if none)
+ * - getSince(channel, lastSeq) -> { currentSeq, oldestSeq, entries }
+ * - close()
+ */
+
+/**
+ * In-memory store for single-process mode and tests
+ */
+class MemoryChannelHistoryStore {
+  constructor({ maxEvents, ttlMs }) {
+    this.type = 'memory';
+    this.maxEvents = maxEvents;
+    this.ttlMs = ttlMs;
+    this.channels = new Map(); // channel -> { seq, entries, lastActivity }
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), Math.min(ttlMs, 60000));
+    this.cleanupTimer.unref();
+  }
+
+  async append(channel, build) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, { seq: 0, entries: [], lastActivity: Date.now() });
+    }
+
+    const history = this.channels.get(channel);
+    const entry = build(++history.seq);
+
+    history.entries.push(entry);
+    history.lastActivity = Date.now();
+
+    if (history.entries.length > this.maxEvents) {
+      history.entries.splice(0, history.entries.length - this.maxEvents);
+    }
+
+    return entry;
+  }
+
+  async getCurrentSeq(channel) {
+    return this.channels.get(channel)?.seq || 0;
+  }
+
+  async getSince(channel, lastSeq) {
+    const history = this.channels.get(channel);
+    if (!history) {
+      return { currentSeq: 0, oldestSeq: null, entries: [] };
+    }
+
+    return {
+      currentSeq: history.seq,
+      oldestSeq: history.entries.length > 0 ? history.entries[0].seq : null,
+      entries: history.entries.filter(entry => entry.seq > lastSeq)
+    };
+  }
+
+  /**
+   * Drop buffers of channels that have been idle longer than the TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.ttlMs;
+
+    for (const [channel, history] of this.channels.entries()) {
+      if (history.lastActivity < cutoff) {
+        this.channels.delete(channel);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+/**
+ * Redis store - counters and buffers shared by every worker so sequence
+ * numbers stay monotonic whichever worker broadcasts
+ */
+class RedisChannelHistoryStore {
+  constructor(client, { maxEvents, ttlMs }) {
+    this.type = 'redis';
+    this.client = client;
+    this.maxEvents = maxEvents;
+    this.ttlMs = ttlMs;
+  }
+
+  sequenceKey(channel) {
+    return redisKey('history', 'seq', channel);
+  }
+
+  bufferKey(channel) {
+    return redisKey('history', 'events', channel);
+  }
+
+  async append(channel, build) {
+    const seq = await this.client.incr(this.sequenceKey(channel));
+    const entry = build(seq);
+
+    await this.client.multi()
+      .zAdd(this.bufferKey(channel), { score: seq, value: JSON.stringify(entry) })
+      .zRemRangeByRank(this.bufferKey(channel), 0, -(this.maxEvents + 1))
+      .pExpire(this.bufferKey(channel), this.ttlMs)
+      .pExpire(this.sequenceKey(channel), this.ttlMs)
+      .exec();
+
+    return entry;
+  }
+
+  async getCurrentSeq(channel) {
+    return parseInt(await this.client.get(this.sequenceKey(channel))) || 0;
+  }
+
+  async getSince(channel, lastSeq) {
+    const [currentSeq, oldest, raw] = await Promise.all([
+      this.getCurrentSeq(channel),
+      this.client.zRangeWithScores(this.bufferKey(channel), 0, 0),
+      this.client.zRangeByScore(this.bufferKey(channel), `(${lastSeq}`, '+inf')
+    ]);
+
+    return {
+      currentSeq,
+      oldestSeq: oldest.length > 0 ? oldest[0].score : null,
+      entries: raw.map(value => JSON.parse(value))
+    };
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+/**
+ * Create the store selected in config.channelHistory.driver
+ * @param {string} [driver] - memory | redis
+ */
+async function createChannelHistoryStore(driver = config.channelHistory.driver) {
+  const options = {
+    maxEvents: config.channelHistory.maxEvents,
+    ttlMs: config.channelHistory.ttlMs
+  };
+
+  switch (driver) {
+    case 'redis':
+      return new RedisChannelHistoryStore(await createRedisClient('channel-history'), options);
+
+    case 'memory':
+      return new MemoryChannelHistoryStore(options);
+
+    default:
+      logger.warn('Unknown channel history driver, using memory', { driver });
+      return new MemoryChannelHistoryStore(options);
+  }
+}
+
+module.exports = {
+  createChannelHistoryStore,
+  MemoryChannelHistoryStore,
+  RedisChannelHistoryStore
+};
@@ -0,0 +1,257 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createRedisClient, closeRedisClient, redisKey } = require('../utils/redis');
+
+/**
+ * Connection Registry
+ * Shared record of which socket owns each user's session and how many
+ * connection attempts a user made, so ConnectionManager limits hold across
+ * every worker. Sessions carry a TTL that live sockets keep refreshing;
+ * a crashed worker stops refreshing and its sessions expire on their own.
+ *
+ * Every implementation exposes the same async interface:
+ * - recordAttempt(userId, windowMs) -> attempt count in the current window
+ * - getAttemptCount(userId) -> attempt count in the current window
+ * - getSession(userId) -> session or null
+ * - claimSession(userId, session, ttlMs) -> { claimed, existing }
+ * - refreshSession(userId, socketId, ttlMs) -> true if still owned
+ * - releaseSession(userId, socketId) -> true if it was owned and removed
+ * - countSessions() / countAttempts() / clear() / close()
+ */
+
+/**
+ * In-memory registry for single-process mode and tests
+ */
+class MemoryConnectionRegistry {
+  constructor() {
+    this.type = 'memory';
+    this.sessions = new Map(); // userId -> { session, expiresAt }
+    this.attempts = new Map(); // userId -> { count, expiresAt }
+  }
+
+  getLive(map, userId) {
+    const entry = map.get(String(userId));
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      map.delete(String(userId));
+      return null;
+    }
+
+    return entry;
+  }
+
+  async recordAttempt(userId, windowMs) {
+    const entry = this.getLive(this.attempts, userId);
+
+    if (!entry) {
+      this.attempts.set(String(userId), { count: 1, expiresAt: Date.now() + windowMs });
+      return 1;
+    }
+
+    entry.count++;
+    return entry.count;
+  }
+
+  async getAttemptCount(userId) {
+    const entry = this.getLive(this.attempts, userId);
+    return entry ? entry.count : 0;
+  }
+
+  async getSession(userId) {
+    const entry = this.getLive(this.sessions, userId);
+    return entry ? { ...entry.session } : null;
+  }
+
+  async claimSession(userId, session, ttlMs) {
+    const existing = await this.getSession(userId);
+    if (existing) {
+      return { claimed: false, existing };
+    }
+
+    this.sessions.set(String(userId), { session: { ...session }, expiresAt: Date.now() + ttlMs });
+    return { claimed: true, existing: null };
+  }
+
+  async refreshSession(userId, socketId, ttlMs) {
+    const entry = this.getLive(this.sessions, userId);
+    if (!entry || entry.session.socketId !== socketId) return false;
+
+    entry.session.lastActivity = new Date().toISOString();
+    entry.expiresAt = Date.now() + ttlMs;
+    return true;
+  }
+
+  async releaseSession(userId, socketId) {
+    const entry = this.getLive(this.sessions, userId);
+    if (!entry || entry.session.socketId !== socketId) return false;
+
+    this.sessions.delete(String(userId));
+    return true;
+  }
+
+  async countSessions() {
+    for (const userId of Array.from(this.sessions.keys())) {
+      this.getLive(this.sessions, userId);
+    }
+    return this.sessions.size;
+  }
+
+  async countAttempts() {
+    for (const userId of Array.from(this.attempts.keys())) {
+      this.getLive(this.attempts, userId);
+    }
+    return this.attempts.size;
+  }
+
+  async clear() {
+    this.sessions.clear();
+    this.attempts.clear();
+  }
+
+  async close() {}
+}
+
+// Lua scripts keep ownership checks and writes atomic
+const RECORD_ATTEMPT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return count
+`;
+
+const REFRESH_SESSION_SCRIPT = `
+local raw = redis.call('GET', KEYS[1])
+if not raw then return 0 end
+local session = cjson.decode(raw)
+if session.socketId ~= ARGV[1] then return 0 end
+session.lastActivity = ARGV[2]
+redis.call('SET', KEYS[1], cjson.encode(session), 'PX', ARGV[3])
+return 1
+`;
+
+const RELEASE_SESSION_SCRIPT = `
+local raw = redis.call('GET', KEYS[1])
+if not raw then return 0 end
+local session = cjson.decode(raw)
+if session.socketId ~= ARGV[1] then return 0 end
+redis.call('DEL', KEYS[1])
+return 1
+`;
+
+/**
+ * Redis registry shared by every worker
+ */
+class RedisConnectionRegistry {
+  constructor(client) {
+    this.type = 'redis';
+    this.client = client;
+  }
+
+  sessionKey(userId) {
+    return redisKey('connections', 'session', userId);
+  }
+
+  attemptKey(userId) {
+    return redisKey('connections', 'attempts', userId);
+  }
+
+  async recordAttempt(userId, windowMs) {
+    return this.client.eval(RECORD_ATTEMPT_SCRIPT, {
+      keys: [this.attemptKey(userId)],
+      arguments: [String(windowMs)]
+    });
+  }
+
+  async getAttemptCount(userId) {
+    const count = await this.client.get(this.attemptKey(userId));
+    return parseInt(count) || 0;
+  }
+
+  async getSession(userId) {
+    const raw = await this.client.get(this.sessionKey(userId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async claimSession(userId, session, ttlMs) {
+    const result = await this.client.set(this.sessionKey(userId), JSON.stringify(session), {
+      NX: true,
+      PX: ttlMs
+    });
+
+    if (result === 'OK') {
+      return { claimed: true, existing: null };
+    }
+
+    return { claimed: false, existing: await this.getSession(userId) };
+  }
+
+  async refreshSession(userId, socketId, ttlMs) {
+    const result = await this.client.eval(REFRESH_SESSION_SCRIPT, {
+      keys: [this.sessionKey(userId)],
+      arguments: [socketId, new Date().toISOString(), String(ttlMs)]
+    });
+    return result === 1;
+  }
+
+  async releaseSession(userId, socketId) {
+    const result = await this.client.eval(RELEASE_SESSION_SCRIPT, {
+      keys: [this.sessionKey(userId)],
+      arguments: [socketId]
+    });
+    return result === 1;
+  }
+
+  async scanKeys(pattern) {
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  async countSessions() {
+    return (await this.scanKeys(redisKey('connections', 'session', '*'))).length;
+  }
+
+  async countAttempts() {
+    return (await this.scanKeys(redisKey('connections', 'attempts', '*'))).length;
+  }
+
+  async clear() {
+    const keys = await this.scanKeys(redisKey('connections', '*'));
+
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+/**
+ * Create the registry selected in config.connections.registry
+ * @param {string} [type] - memory | redis
+ */
+async function createConnectionRegistry(type = config.connections.registry) {
+  switch (type) {
+    case 'redis':
+      return new RedisConnectionRegistry(await createRedisClient('connection-registry'));
+
+    case 'memory':
+      return new MemoryConnectionRegistry();
+
+    default:
+      logger.warn('Unknown connection registry, using memory', { type });
+      return new MemoryConnectionRegistry();
+  }
+}
+
+module.exports = {
+  createConnectionRegistry,
+  MemoryConnectionRegistry,
+  RedisConnectionRegistry
+};
@@ -0,0 +1,231 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createRedisClient, closeRedisClient, redisKey } = require('../utils/redis');
+
+/**
+ * Delivery State Stores
+ * Per-notification delivery records (pending -> delivered -> read), an index
+ * of each user's undelivered notifications and the delivery counters.
+ *
+ * Every implementation exposes the same async interface:
+ * - create(record, ttlMs)
+ * - get(id) -> record or null
+ * - update(id, patch) -> updated record or null
+ * - removePending(userId, id)
+ * - listPending(userId, limit) -> pending records, oldest first
+ * - increment(counter, by)
+ * - getCounters() -> { counter: value }
+ * - resetCounters()
+ * - close()
+ */
+
+/**
+ * In-memory store for single-process mode and tests
+ */
+class MemoryDeliveryStateStore {
+  constructor() {
+    this.type = 'memory';
+    this.records = new Map(); // id -> { record, expiresAt }
+    this.pending = new Map(); // userId -> Set of ids, insertion ordered
+    this.counters = {};
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60000);
+    this.cleanupTimer.unref();
+  }
+
+  async create(record, ttlMs) {
+    this.records.set(record.id, { record, expiresAt: Date.now() + ttlMs });
+
+    const key = String(record.userId);
+    if (!this.pending.has(key)) {
+      this.pending.set(key, new Set());
+    }
+    this.pending.get(key).add(record.id);
+  }
+
+  async get(id) {
+    const stored = this.records.get(id);
+    if (!stored || stored.expiresAt <= Date.now()) {
+      return null;
+    }
+    return stored.record;
+  }
+
+  async update(id, patch) {
+    const stored = this.records.get(id);
+    if (!stored || stored.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    stored.record = { ...stored.record, ...patch };
+    return stored.record;
+  }
+
+  async removePending(userId, id) {
+    const ids = this.pending.get(String(userId));
+    if (!ids) return;
+
+    ids.delete(id);
+    if (ids.size === 0) {
+      this.pending.delete(String(userId));
+    }
+  }
+
+  async listPending(userId, limit) {
+    const ids = Array.from(this.pending.get(String(userId)) || []);
+    const records = [];
+
+    for (const id of ids) {
+      const record = await this.get(id);
+      if (record && record.state === 'pending') {
+        records.push(record);
+        if (records.length >= limit) break;
+      }
+    }
+
+    return records;
+  }
+
+  async increment(counter, by = 1) {
+    this.counters[counter] = (this.counters[counter] || 0) + by;
+  }
+
+  async getCounters() {
+    return { ...this.counters };
+  }
+
+  async resetCounters() {
+    this.counters = {};
+  }
+
+  /**
+   * Drop expired records and their pending index entries
+   */
+  cleanup() {
+    const now = Date.now();
+
+    for (const [id, stored] of this.records.entries()) {
+      if (stored.expiresAt <= now) {
+        this.records.delete(id);
+        this.removePending(stored.record.userId, id);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+/**
+ * Redis store - records and counters shared by every worker, so a
+ * notification sent by one worker can be confirmed through another
+ */
+class RedisDeliveryStateStore {
+  constructor(client) {
+    this.type = 'redis';
+    this.client = client;
+  }
+
+  recordKey(id) {
+    return redisKey('delivery', 'notification', id);
+  }
+
+  pendingKey(userId) {
+    return redisKey('delivery', 'pending', userId);
+  }
+
+  countersKey() {
+    return redisKey('delivery', 'counters');
+  }
+
+  async create(record, ttlMs) {
+    await this.client.multi()
+      .set(this.recordKey(record.id), JSON.stringify(record), { PX: ttlMs })
+      .zAdd(this.pendingKey(record.userId), { score: Date.now(), value: record.id })
+      .pExpire(this.pendingKey(record.userId), ttlMs)
+      .exec();
+  }
+
+  async get(id) {
+    const raw = await this.client.get(this.recordKey(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async update(id, patch) {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    const updated = { ...record, ...patch };
+    await this.client.set(this.recordKey(id), JSON.stringify(updated), { KEEPTTL: true, XX: true });
+    return updated;
+  }
+
+  async removePending(userId, id) {
+    await this.client.zRem(this.pendingKey(userId), id);
+  }
+
+  async listPending(userId, limit) {
+    const ids = await this.client.zRange(this.pendingKey(userId), 0, limit - 1);
+    if (ids.length === 0) return [];
+
+    const raw = await this.client.mGet(ids.map(id => this.recordKey(id)));
+    const expired = ids.filter((id, index) => raw[index] === null);
+
+    if (expired.length > 0) {
+      await this.client.zRem(this.pendingKey(userId), expired);
+    }
+
+    return raw
+      .filter(value => value !== null)
+      .map(value => JSON.parse(value))
+      .filter(record => record.state === 'pending');
+  }
+
+  async increment(counter, by = 1) {
+    await this.client.hIncrBy(this.countersKey(), counter, by);
+  }
+
+  async getCounters() {
+    const raw = await this.client.hGetAll(this.countersKey());
+    const counters = {};
+
+    for (const [counter, value] of Object.entries(raw)) {
+      counters[counter] = parseInt(value) || 0;
+    }
+
+    return counters;
+  }
+
+  async resetCounters() {
+    await this.client.del(this.countersKey());
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+/**
+ * Create the store selected in config.delivery.driver
+ * @param {string} [driver] - memory | redis
+ */
+async function createDeliveryStateStore(driver = config.delivery.driver) {
+  switch (driver) {
+    case 'redis':
+      return new RedisDeliveryStateStore(await createRedisClient('delivery-state'));
+
+    case 'memory':
+      return new MemoryDeliveryStateStore();
+
+    default:
+      logger.warn('Unknown delivery state driver, using memory', { driver });
+      return new MemoryDeliveryStateStore();
+  }
+}
+
+module.exports = {
+  createDeliveryStateStore,
+  MemoryDeliveryStateStore,
+  RedisDeliveryStateStore
+};
@@ -0,0 +1,141 @@
+const axios = require('axios');
+const https = require('https');
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createMySqlPool } = require('../utils/mysql');
+
+/**
+ * Forum Access Rule Sources
+ * Where per-forum access rules come from. A rule is
+ * { forumId, allowedRoles, allowedUsers, deniedUsers, verifiedPartnersOnly };
+ * forums without a rule are open to every member.
+ *
+ * Every source exposes the same async interface:
+ * - loadAll() -> every rule (the full set, replacing what was loaded
+ *   before), or null when the source has nothing to list
+ * - close()
+ */
+
+/**
+ * Normalize a rule from Laravel's snake_case shape (JSON columns may arrive as strings)
+ */
+function normalizeRule(raw) {
+  const list = (value) => {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  };
+
+  return {
+    forumId: parseInt(raw.forum_id),
+    allowedRoles: list(raw.allowed_roles).map(String),
+    allowedUsers: list(raw.allowed_user_ids).map(Number),
+    deniedUsers: list(raw.denied_user_ids).map(Number),
+    verifiedPartnersOnly: !!raw.verified_partners_only && raw.verified_partners_only !== '0'
+  };
+}
+
+/**
+ * No source: rules only come from Laravel pushing them (PUT /api/forums/:id/access-rules)
+ */
+class NoForumRuleSource {
+  constructor() {
+    this.type = 'none';
+  }
+
+  async loadAll() {
+    return null;
+  }
+
+  async close() {}
+}
+
+/**
+ * Laravel source - GET {LARAVEL_API_URL}/api/websocket-api/forum-access-rules
+ * answering { data: { forums: [rule, ...] } }
+ */
+class LaravelForumRuleSource {
+  constructor() {
+    this.type = 'laravel';
+    this.url = `${config.laravel.apiUrl.replace(/\/$/, '')}/api/websocket-api/forum-access-rules`;
+  }
+
+  async loadAll() {
+    const axiosConfig = {
+      headers: {
+        Accept: 'application/json',
+        'X-WebSocket-API-Key': config.laravel.apiKey
+      },
+      timeout: config.forumAccess.timeout
+    };
+
+    // Local Laravel sites use self-signed certificates
+    if (config.nodeEnv === 'development') {
+      axiosConfig.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+    }
+
+    const response = await axios.get(this.url, axiosConfig);
+    const body = (response.data && response.data.data) || response.data || {};
+
+    return (body.forums || []).map(normalizeRule);
+  }
+
+  async close() {}
+}
+
+/**
+ * MySQL source - a rules table in Laravel's database, one row per restricted
+ * forum: forum_id, allowed_roles, allowed_user_ids, denied_user_ids (JSON
+ * arrays) and verified_partners_only
+ */
+class MySqlForumRuleSource {
+  constructor(pool, { table }) {
+    this.type = 'mysql';
+    this.pool = pool;
+    this.table = table;
+  }
+
+  async loadAll() {
+    const [rows] = await this.pool.query(
+      `SELECT forum_id, allowed_roles, allowed_user_ids, denied_user_ids, verified_partners_only
+        FROM \`${this.table}\``
+    );
+
+    return rows.map(normalizeRule);
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+/**
+ * Create the source selected in config.forumAccess.source
+ * @param {string} [source] - none | laravel | mysql
+ */
+async function createForumRuleSource(source = config.forumAccess.source) {
+  switch (source) {
+    case 'laravel':
+      return new LaravelForumRuleSource();
+
+    case 'mysql':
+      return new MySqlForumRuleSource(await createMySqlPool('forum-access'), {
+        table: config.forumAccess.table
+      });
+
+    case 'none':
+      return new NoForumRuleSource();
+
+    default:
+      logger.warn('Unknown forum access rule source, using none', { source });
+      return new NoForumRuleSource();
+  }
+}
+
+module.exports = {
+  createForumRuleSource,
+  normalizeRule,
+  NoForumRuleSource,
+  LaravelForumRuleSource,
+  MySqlForumRuleSource
+};
@@ -0,0 +1,132 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createRedisClient, closeRedisClient, redisKey } = require('../utils/redis');
+
+/**
+ * Idempotency Stores
+ * Remember broadcast requests by idempotency key so a retried request gets
+ * the original response instead of emitting again.
+ *
+ * Entries are { state: 'in_progress' | 'completed', fingerprint, status, body }.
+ * Every implementation exposes the same async interface:
+ * - reserve(key, fingerprint, ttlMs) -> null when reserved, otherwise the existing entry
+ * - complete(key, entry, ttlMs)
+ * - release(key)
+ * - close()
+ */
+
+/**
+ * In-memory store for single-process mode and tests
+ */
+class MemoryIdempotencyStore {
+  constructor() {
+    this.type = 'memory';
+    this.entries = new Map(); // key -> { entry, expiresAt }
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60000);
+    this.cleanupTimer.unref();
+  }
+
+  async reserve(key, fingerprint, ttlMs) {
+    const stored = this.entries.get(key);
+    if (stored && stored.expiresAt > Date.now()) {
+      return stored.entry;
+    }
+
+    this.entries.set(key, {
+      entry: { state: 'in_progress', fingerprint },
+      expiresAt: Date.now() + ttlMs
+    });
+    return null;
+  }
+
+  async complete(key, entry, ttlMs) {
+    this.entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+  }
+
+  async release(key) {
+    this.entries.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+
+    for (const [key, stored] of this.entries.entries()) {
+      if (stored.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+/**
+ * Redis store - keys are shared by every worker, so a retry that lands on
+ * another worker is still recognized
+ */
+class RedisIdempotencyStore {
+  constructor(client) {
+    this.type = 'redis';
+    this.client = client;
+  }
+
+  entryKey(key) {
+    return redisKey('idempotency', key);
+  }
+
+  async reserve(key, fingerprint, ttlMs) {
+    const reserved = await this.client.set(
+      this.entryKey(key),
+      JSON.stringify({ state: 'in_progress', fingerprint }),
+      { NX: true, PX: ttlMs }
+    );
+
+    if (reserved) {
+      return null;
+    }
+
+    const raw = await this.client.get(this.entryKey(key));
+
+    // Expired between SET and GET: treat as a fresh reservation attempt
+    return raw ? JSON.parse(raw) : this.reserve(key, fingerprint, ttlMs);
+  }
+
+  async complete(key, entry, ttlMs) {
+    await this.client.set(this.entryKey(key), JSON.stringify(entry), { PX: ttlMs });
+  }
+
+  async release(key) {
+    await this.client.del(this.entryKey(key));
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+/**
+ * Create the store selected in config.idempotency.driver
+ * @param {string} [driver] - memory | redis
+ */
+async function createIdempotencyStore(driver = config.idempotency.driver) {
+  switch (driver) {
+    case 'redis':
+      return new RedisIdempotencyStore(await createRedisClient('idempotency'));
+
+    case 'memory':
+      return new MemoryIdempotencyStore();
+
+    default:
+      logger.warn('Unknown idempotency driver, using memory', { driver });
+      return new MemoryIdempotencyStore();
+  }
+}
+
+module.exports = {
+  createIdempotencyStore,
+  MemoryIdempotencyStore,
+  RedisIdempotencyStore
+};
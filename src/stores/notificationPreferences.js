@@ -0,0 +1,102 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createRedisClient, closeRedisClient, redisKey } = require('../utils/redis');
+
+/**
+ * Notification Preference Stores
+ * Per-user preference documents as written by the user or synced from
+ * Laravel. Defaults are applied by the preferences service, not stored.
+ *
+ * Every implementation exposes the same async interface:
+ * - get(userId) -> preferences or null
+ * - set(userId, preferences)
+ * - setMany([{ userId, preferences }])
+ * - close()
+ */
+
+/**
+ * In-memory store for single-process mode and tests
+ */
+class MemoryPreferencesStore {
+  constructor() {
+    this.type = 'memory';
+    this.preferences = new Map(); // userId -> preferences
+  }
+
+  async get(userId) {
+    return this.preferences.get(String(userId)) || null;
+  }
+
+  async set(userId, preferences) {
+    this.preferences.set(String(userId), preferences);
+  }
+
+  async setMany(entries) {
+    for (const { userId, preferences } of entries) {
+      this.preferences.set(String(userId), preferences);
+    }
+  }
+
+  async close() {}
+}
+
+/**
+ * Redis store - one key per user, shared by every worker
+ */
+class RedisPreferencesStore {
+  constructor(client) {
+    this.type = 'redis';
+    this.client = client;
+  }
+
+  userKey(userId) {
+    return redisKey('preferences', userId);
+  }
+
+  async get(userId) {
+    const raw = await this.client.get(this.userKey(userId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(userId, preferences) {
+    await this.client.set(this.userKey(userId), JSON.stringify(preferences));
+  }
+
+  async setMany(entries) {
+    if (entries.length === 0) return;
+
+    const multi = this.client.multi();
+    for (const { userId, preferences } of entries) {
+      multi.set(this.userKey(userId), JSON.stringify(preferences));
+    }
+    await multi.exec();
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+/**
+ * Create the store selected in config.preferences.driver
+ * @param {string} [driver] - memory | redis
+ */
+async function createPreferencesStore(driver = config.preferences.driver) {
+  switch (driver) {
+    case 'redis':
+      return new RedisPreferencesStore(await createRedisClient('preferences'));
+
+    case 'memory':
+      return new MemoryPreferencesStore();
+
+    default:
+      logger.warn('Unknown preferences driver, using memory', { driver });
+      return new MemoryPreferencesStore();
+  }
+}
+
+module.exports = {
+  createPreferencesStore,
+  MemoryPreferencesStore,
+  RedisPreferencesStore
+};
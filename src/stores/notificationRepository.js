@@ -0,0 +1,323 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createMySqlPool } = require('../utils/mysql');
+
+/**
+ * Notification Repositories
+ * Persistent notification state shared with Laravel. The MySQL repository
+ * works on Laravel's `notifications` table (database notification channel),
+ * so reads and deletes made here are what Laravel sees and vice versa.
+ *
+ * Notifications are { id, userId, type, data, readAt, createdAt }.
+ * Every implementation exposes the same async interface:
+ * - create(notification) -> stored notification; an id that is already
+ *   stored keeps its existing row
+ * - find(id, userId) -> notification or null
+ * - list(userId, query) -> up to query.limit notifications, newest first
+ * - markAsRead(id, userId) -> { readAt, alreadyRead } or null when not found
+ * - markAllAsRead(userId) -> { count, readAt }
+ * - delete(id, userId) -> whether a notification was deleted
+ * - countUnread(userId) -> number
+ * - close()
+ *
+ * List queries are { limit, after, type, priority, read, from, to }: `after`
+ * is the { createdAt, id } of the last notification of the previous page,
+ * `type` an array of types, `read` a boolean and `from`/`to` Dates.
+ */
+
+/**
+ * Newest first; notifications created in the same instant by id, descending
+ */
+function compareNewestFirst(a, b) {
+  if (a.createdAt !== b.createdAt) {
+    return a.createdAt < b.createdAt ? 1 : -1;
+  }
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+/**
+ * In-memory repository for local development and tests
+ */
+class MemoryNotificationRepository {
+  constructor() {
+    this.type = 'memory';
+    this.notifications = new Map(); // id -> notification
+  }
+
+  async create(notification) {
+    const stored = {
+      id: notification.id,
+      userId: String(notification.userId),
+      type: notification.type,
+      data: notification.data || {},
+      readAt: notification.readAt || null,
+      createdAt: notification.createdAt || new Date().toISOString()
+    };
+
+    if (this.notifications.has(stored.id)) {
+      return this.notifications.get(stored.id);
+    }
+
+    this.notifications.set(stored.id, stored);
+    return stored;
+  }
+
+  async find(id, userId) {
+    const notification = this.notifications.get(String(id));
+    return notification && notification.userId === String(userId) ? notification : null;
+  }
+
+  async list(userId, { limit, after, type, priority, read, from, to }) {
+    return Array.from(this.notifications.values())
+      .filter(notification =>
+        notification.userId === String(userId) &&
+        (!after || compareNewestFirst(notification, after) > 0) &&
+        (!type || type.includes(notification.type)) &&
+        (!priority || notification.data.priority === priority) &&
+        (read === undefined || !!notification.readAt === read) &&
+        (!from || new Date(notification.createdAt) >= from) &&
+        (!to || new Date(notification.createdAt) <= to))
+      .sort(compareNewestFirst)
+      .slice(0, limit);
+  }
+
+  async markAsRead(id, userId) {
+    const notification = await this.find(id, userId);
+    if (!notification) return null;
+
+    if (notification.readAt) {
+      return { readAt: notification.readAt, alreadyRead: true };
+    }
+
+    notification.readAt = new Date().toISOString();
+    return { readAt: notification.readAt, alreadyRead: false };
+  }
+
+  async markAllAsRead(userId) {
+    const readAt = new Date().toISOString();
+    let count = 0;
+
+    for (const notification of this.notifications.values()) {
+      if (notification.userId === String(userId) && !notification.readAt) {
+        notification.readAt = readAt;
+        count++;
+      }
+    }
+
+    return { count, readAt };
+  }
+
+  async delete(id, userId) {
+    const notification = await this.find(id, userId);
+    if (!notification) return false;
+
+    return this.notifications.delete(notification.id);
+  }
+
+  async countUnread(userId) {
+    let count = 0;
+
+    for (const notification of this.notifications.values()) {
+      if (notification.userId === String(userId) && !notification.readAt) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  async close() {}
+}
+
+/**
+ * MySQL repository on Laravel's notifications table
+ */
+class MySqlNotificationRepository {
+  constructor(pool, { table, notifiableType }) {
+    this.type = 'mysql';
+    this.pool = pool;
+    this.table = table;
+    this.notifiableType = notifiableType;
+  }
+
+  /**
+   * Convert a table row to a notification
+   */
+  fromRow(row) {
+    let data = row.data;
+
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        data = {};
+      }
+    }
+
+    return {
+      id: row.id,
+      userId: String(row.notifiable_id),
+      type: row.type,
+      data: data || {},
+      readAt: row.read_at ? new Date(row.read_at).toISOString() : null,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+  }
+
+  async create(notification) {
+    const now = new Date();
+    const createdAt = notification.createdAt ? new Date(notification.createdAt) : now;
+
+    // Laravel may have written the row already; keep it as it is
+    await this.pool.execute(
+      `INSERT INTO \`${this.table}\`
+        (id, type, notifiable_type, notifiable_id, data, read_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE id = id`,
+      [
+        notification.id,
+        notification.type,
+        this.notifiableType,
+        notification.userId,
+        JSON.stringify(notification.data || {}),
+        notification.readAt ? new Date(notification.readAt) : null,
+        createdAt,
+        now
+      ]
+    );
+
+    return this.find(notification.id, notification.userId);
+  }
+
+  async find(id, userId) {
+    const [rows] = await this.pool.execute(
+      `SELECT id, type, notifiable_id, data, read_at, created_at FROM \`${this.table}\`
+        WHERE id = ? AND notifiable_type = ? AND notifiable_id = ?`,
+      [String(id), this.notifiableType, userId]
+    );
+
+    return rows.length > 0 ? this.fromRow(rows[0]) : null;
+  }
+
+  async list(userId, { limit, after, type, priority, read, from, to }) {
+    const conditions = ['notifiable_type = ?', 'notifiable_id = ?'];
+    const params = [this.notifiableType, userId];
+
+    if (after) {
+      const createdAt = new Date(after.createdAt);
+      conditions.push('(created_at < ? OR (created_at = ? AND id < ?))');
+      params.push(createdAt, createdAt, after.id);
+    }
+    if (type) {
+      conditions.push(`type IN (${type.map(() => '?').join(', ')})`);
+      params.push(...type);
+    }
+    if (priority) {
+      conditions.push("JSON_UNQUOTE(JSON_EXTRACT(data, '$.priority')) = ?");
+      params.push(priority);
+    }
+    if (read !== undefined) {
+      conditions.push(read ? 'read_at IS NOT NULL' : 'read_at IS NULL');
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(to);
+    }
+
+    // LIMIT is inlined: prepared statements reject it as a parameter on some servers
+    const [rows] = await this.pool.execute(
+      `SELECT id, type, notifiable_id, data, read_at, created_at FROM \`${this.table}\`
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${parseInt(limit)}`,
+      params
+    );
+
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async markAsRead(id, userId) {
+    const now = new Date();
+    const [result] = await this.pool.execute(
+      `UPDATE \`${this.table}\` SET read_at = ?, updated_at = ?
+        WHERE id = ? AND notifiable_type = ? AND notifiable_id = ? AND read_at IS NULL`,
+      [now, now, String(id), this.notifiableType, userId]
+    );
+
+    if (result.affectedRows > 0) {
+      return { readAt: now.toISOString(), alreadyRead: false };
+    }
+
+    // Nothing updated: either unknown or read before (possibly by Laravel)
+    const notification = await this.find(id, userId);
+    return notification ? { readAt: notification.readAt, alreadyRead: true } : null;
+  }
+
+  async markAllAsRead(userId) {
+    const now = new Date();
+    const [result] = await this.pool.execute(
+      `UPDATE \`${this.table}\` SET read_at = ?, updated_at = ?
+        WHERE notifiable_type = ? AND notifiable_id = ? AND read_at IS NULL`,
+      [now, now, this.notifiableType, userId]
+    );
+
+    return { count: result.affectedRows, readAt: now.toISOString() };
+  }
+
+  async delete(id, userId) {
+    const [result] = await this.pool.execute(
+      `DELETE FROM \`${this.table}\` WHERE id = ? AND notifiable_type = ? AND notifiable_id = ?`,
+      [String(id), this.notifiableType, userId]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  async countUnread(userId) {
+    const [rows] = await this.pool.execute(
+      `SELECT COUNT(*) AS count FROM \`${this.table}\`
+        WHERE notifiable_type = ? AND notifiable_id = ? AND read_at IS NULL`,
+      [this.notifiableType, userId]
+    );
+
+    return Number(rows[0].count);
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+/**
+ * Create the repository selected in config.notifications.repository
+ * @param {string} [driver] - memory | mysql
+ */
+async function createNotificationRepository(driver = config.notifications.repository) {
+  switch (driver) {
+    case 'mysql': {
+      const pool = await createMySqlPool('notifications');
+
+      return new MySqlNotificationRepository(pool, {
+        table: config.notifications.table,
+        notifiableType: config.notifications.notifiableType
+      });
+    }
+
+    case 'memory':
+      return new MemoryNotificationRepository();
+
+    default:
+      logger.warn('Unknown notification repository, using memory', { driver });
+      return new MemoryNotificationRepository();
+  }
+}
+
+module.exports = {
+  createNotificationRepository,
+  MemoryNotificationRepository,
+  MySqlNotificationRepository
+};
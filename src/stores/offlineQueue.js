@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createRedisClient, closeRedisClient, redisKey } = require('../utils/redis');
+
+/**
+ * Offline Queue Stores
+ * Per-user queues of events emitted to private-user.{id} while the user had
+ * no connected socket. Entries get a per-user increasing `id` that doubles as
+ * the paging cursor.
+ *
+ * Every implementation exposes the same async interface:
+ * - append(userId, entry, { maxSize, retentionMs }) -> stored entry
+ * - list(userId, { after, limit, retentionMs }) -> entries with id > after, oldest first
+ * - removeUpTo(userId, id) -> number of entries removed
+ * - count(userId, { retentionMs }) -> queued entries
+ * - prune(retentionMs) -> number of expired entries removed
+ * - close()
+ */
+
+/**
+ * Check whether an entry is still inside the retention window
+ */
+function isRetained(entry, retentionMs, now = Date.now()) {
+  return now - new Date(entry.queuedAt).getTime() < retentionMs;
+}
+
+/**
+ * In-memory store for tests and single-process development
+ */
+class MemoryOfflineQueueStore {
+  constructor() {
+    this.type = 'memory';
+    this.queues = new Map(); // userId -> { lastId, entries }
+  }
+
+  getQueue(userId) {
+    const key = String(userId);
+    if (!this.queues.has(key)) {
+      this.queues.set(key, { lastId: 0, entries: [] });
+    }
+    return this.queues.get(key);
+  }
+
+  async append(userId, entry, { maxSize, retentionMs }) {
+    const queue = this.getQueue(userId);
+    const stored = { ...entry, id: ++queue.lastId };
+
+    queue.entries = queue.entries.filter(e => isRetained(e, retentionMs));
+    queue.entries.push(stored);
+
+    if (queue.entries.length > maxSize) {
+      queue.entries.splice(0, queue.entries.length - maxSize);
+    }
+
+    return stored;
+  }
+
+  async list(userId, { after = 0, limit, retentionMs }) {
+    const queue = this.queues.get(String(userId));
+    if (!queue) return [];
+
+    return queue.entries
+      .filter(e => e.id > after && isRetained(e, retentionMs))
+      .slice(0, limit);
+  }
+
+  async removeUpTo(userId, id) {
+    const queue = this.queues.get(String(userId));
+    if (!queue) return 0;
+
+    const before = queue.entries.length;
+    queue.entries = queue.entries.filter(e => e.id > id);
+    return before - queue.entries.length;
+  }
+
+  async count(userId, { retentionMs }) {
+    const queue = this.queues.get(String(userId));
+    if (!queue) return 0;
+
+    return queue.entries.filter(e => isRetained(e, retentionMs)).length;
+  }
+
+  async prune(retentionMs) {
+    let removed = 0;
+
+    for (const queue of this.queues.values()) {
+      const before = queue.entries.length;
+      queue.entries = queue.entries.filter(e => isRetained(e, retentionMs));
+      removed += before - queue.entries.length;
+    }
+
+    return removed;
+  }
+
+  async close() {}
+}
+
+/**
+ * File store - one JSON file per user, written atomically.
+ * Suitable for a single process; use Redis when running a cluster.
+ */
+class FileOfflineQueueStore {
+  constructor(directory) {
+    this.type = 'file';
+    this.directory = directory;
+    this.locks = new Map(); // userId -> promise chain serializing writes
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(userId) {
+    return path.join(this.directory, `user-${String(userId).replace(/[^0-9A-Za-z_-]/g, '_')}.json`);
+  }
+
+  async read(userId) {
+    try {
+      const raw = await fs.promises.readFile(this.filePath(userId), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.errorWithStack('Offline queue file unreadable', error, { userId });
+      }
+      return { lastId: 0, entries: [] };
+    }
+  }
+
+  async write(userId, queue) {
+    const target = this.filePath(userId);
+    const temp = `${target}.${process.pid}.tmp`;
+
+    // An emptied queue keeps its file so the id counter never goes backwards
+    await fs.promises.writeFile(temp, JSON.stringify(queue));
+    await fs.promises.rename(temp, target);
+  }
+
+  /**
+   * Run a read-modify-write for one user at a time
+   */
+  withLock(userId, task) {
+    const key = String(userId);
+    const run = (this.locks.get(key) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+
+    this.locks.set(key, settled);
+    settled.then(() => {
+      if (this.locks.get(key) === settled) this.locks.delete(key);
+    });
+
+    return run;
+  }
+
+  async append(userId, entry, { maxSize, retentionMs }) {
+    return this.withLock(userId, async () => {
+      const queue = await this.read(userId);
+      const stored = { ...entry, id: ++queue.lastId };
+
+      queue.entries = queue.entries.filter(e => isRetained(e, retentionMs));
+      queue.entries.push(stored);
+
+      if (queue.entries.length > maxSize) {
+        queue.entries.splice(0, queue.entries.length - maxSize);
+      }
+
+      await this.write(userId, queue);
+      return stored;
+    });
+  }
+
+  async list(userId, { after = 0, limit, retentionMs }) {
+    const queue = await this.read(userId);
+
+    return queue.entries
+      .filter(e => e.id > after && isRetained(e, retentionMs))
+      .slice(0, limit);
+  }
+
+  async removeUpTo(userId, id) {
+    return this.withLock(userId, async () => {
+      const queue = await this.read(userId);
+      const before = queue.entries.length;
+
+      queue.entries = queue.entries.filter(e => e.id > id);
+      if (queue.entries.length !== before) {
+        await this.write(userId, queue);
+      }
+
+      return before - queue.entries.length;
+    });
+  }
+
+  async count(userId, { retentionMs }) {
+    const queue = await this.read(userId);
+    return queue.entries.filter(e => isRetained(e, retentionMs)).length;
+  }
+
+  async prune(retentionMs) {
+    let removed = 0;
+    const files = await fs.promises.readdir(this.directory);
+
+    for (const file of files) {
+      const match = file.match(/^user-(.+)\.json$/);
+      if (!match) continue;
+
+      removed += await this.withLock(match[1], async () => {
+        const queue = await this.read(match[1]);
+        const before = queue.entries.length;
+
+        queue.entries = queue.entries.filter(e => isRetained(e, retentionMs));
+        if (queue.entries.length !== before) {
+          await this.write(match[1], queue);
+        }
+
+        return before - queue.entries.length;
+      });
+    }
+
+    return removed;
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.locks.values()));
+  }
+}
+
+/**
+ * Redis store - a sorted set per user scored by entry id, shared by every worker
+ */
+class RedisOfflineQueueStore {
+  constructor(client) {
+    this.type = 'redis';
+    this.client = client;
+  }
+
+  queueKey(userId) {
+    return redisKey('offline', 'queue', userId);
+  }
+
+  sequenceKey(userId) {
+    return redisKey('offline', 'seq', userId);
+  }
+
+  async append(userId, entry, { maxSize, retentionMs }) {
+    const id = await this.client.incr(this.sequenceKey(userId));
+    const stored = { ...entry, id };
+    const ttlSeconds = Math.ceil(retentionMs / 1000);
+
+    await this.client.multi()
+      .zAdd(this.queueKey(userId), { score: id, value: JSON.stringify(stored) })
+      .zRemRangeByRank(this.queueKey(userId), 0, -(maxSize + 1))
+      .expire(this.queueKey(userId), ttlSeconds)
+      .expire(this.sequenceKey(userId), ttlSeconds)
+      .exec();
+
+    return stored;
+  }
+
+  async list(userId, { after = 0, limit, retentionMs }) {
+    const raw = await this.client.zRangeByScore(this.queueKey(userId), `(${after}`, '+inf', {
+      LIMIT: { offset: 0, count: limit }
+    });
+
+    return raw
+      .map(value => JSON.parse(value))
+      .filter(e => isRetained(e, retentionMs));
+  }
+
+  async removeUpTo(userId, id) {
+    return this.client.zRemRangeByScore(this.queueKey(userId), '-inf', id);
+  }
+
+  async count(userId, { retentionMs }) {
+    const entries = await this.list(userId, { after: 0, limit: -1, retentionMs });
+    return entries.length;
+  }
+
+  async prune() {
+    // Whole queues expire through their key TTL; stale entries are filtered on read
+    return 0;
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+/**
+ * Create the store selected in config.offlineQueue.driver
+ * @param {string} [driver] - memory | file | redis
+ */
+async function createOfflineQueueStore(driver = config.offlineQueue.driver) {
+  switch (driver) {
+    case 'redis':
+      return new RedisOfflineQueueStore(await createRedisClient('offline-queue'));
+
+    case 'file':
+      return new FileOfflineQueueStore(config.offlineQueue.directory);
+
+    case 'memory':
+      return new MemoryOfflineQueueStore();
+
+    default:
+      logger.warn('Unknown offline queue driver, using memory', { driver });
+      return new MemoryOfflineQueueStore();
+  }
+}
+
+module.exports = {
+  createOfflineQueueStore,
+  MemoryOfflineQueueStore,
+  FileOfflineQueueStore,
+  RedisOfflineQueueStore
+};
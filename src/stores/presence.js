@@ -0,0 +1,187 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createRedisClient, closeRedisClient, redisKey } = require('../utils/redis');
+
+/**
+ * Presence Stores
+ * Who is in each presence channel. Every socket is recorded with its member
+ * info ({ user_id, user_info }), and a per-user socket count tells whether a
+ * join is the user's first tab in the channel or a leave their last, so
+ * several tabs show up as one member.
+ *
+ * Every implementation exposes the same async interface:
+ * - join(channel, socketId, member) -> { first } or null if already joined
+ * - leave(channel, socketId, userId) -> { last, member } or null if not joined
+ * - getMembers(channel) -> one member per user
+ * - close()
+ */
+
+/**
+ * Keep one entry per user, in join order
+ */
+function uniqueMembers(members) {
+  const byUser = new Map();
+
+  for (const member of members) {
+    if (!byUser.has(String(member.user_id))) {
+      byUser.set(String(member.user_id), member);
+    }
+  }
+
+  return Array.from(byUser.values());
+}
+
+/**
+ * In-memory store for single-process mode and tests
+ */
+class MemoryPresenceStore {
+  constructor() {
+    this.type = 'memory';
+    this.channels = new Map(); // channel -> { sockets: Map(socketId -> member), users: Map(userId -> count) }
+  }
+
+  async join(channel, socketId, member) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, { sockets: new Map(), users: new Map() });
+    }
+
+    const presence = this.channels.get(channel);
+    if (presence.sockets.has(socketId)) {
+      return null;
+    }
+
+    const userId = String(member.user_id);
+    const count = (presence.users.get(userId) || 0) + 1;
+
+    presence.sockets.set(socketId, member);
+    presence.users.set(userId, count);
+
+    return { first: count === 1 };
+  }
+
+  async leave(channel, socketId, userId) {
+    const presence = this.channels.get(channel);
+    const member = presence && presence.sockets.get(socketId);
+    if (!member) {
+      return null;
+    }
+
+    const count = presence.users.get(String(userId)) - 1;
+
+    presence.sockets.delete(socketId);
+    if (count > 0) {
+      presence.users.set(String(userId), count);
+    } else {
+      presence.users.delete(String(userId));
+    }
+
+    if (presence.sockets.size === 0) {
+      this.channels.delete(channel);
+    }
+
+    return { last: count <= 0, member };
+  }
+
+  async getMembers(channel) {
+    const presence = this.channels.get(channel);
+    return presence ? uniqueMembers(Array.from(presence.sockets.values())) : [];
+  }
+
+  async close() {}
+}
+
+// Record a socket unless it is already there, then count the user's sockets
+const JOIN_SCRIPT = `
+if redis.call('HSETNX', KEYS[1], ARGV[1], ARGV[3]) == 0 then return -1 end
+local count = redis.call('HINCRBY', KEYS[2], ARGV[2], 1)
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+redis.call('PEXPIRE', KEYS[2], ARGV[4])
+return count
+`;
+
+// Remove a socket and return its member info with the user's remaining socket count
+const LEAVE_SCRIPT = `
+local member = redis.call('HGET', KEYS[1], ARGV[1])
+if not member then return false end
+redis.call('HDEL', KEYS[1], ARGV[1])
+local count = redis.call('HINCRBY', KEYS[2], ARGV[2], -1)
+if count <= 0 then redis.call('HDEL', KEYS[2], ARGV[2]) end
+return {member, count}
+`;
+
+/**
+ * Redis store shared by every worker. Keys expire `ttlMs` after the last
+ * join, so entries left behind by a crashed worker do not live forever.
+ */
+class RedisPresenceStore {
+  constructor(client, { ttlMs }) {
+    this.type = 'redis';
+    this.client = client;
+    this.ttlMs = ttlMs;
+  }
+
+  socketsKey(channel) {
+    return redisKey('presence', channel, 'sockets');
+  }
+
+  usersKey(channel) {
+    return redisKey('presence', channel, 'users');
+  }
+
+  async join(channel, socketId, member) {
+    const count = await this.client.eval(JOIN_SCRIPT, {
+      keys: [this.socketsKey(channel), this.usersKey(channel)],
+      arguments: [socketId, String(member.user_id), JSON.stringify(member), String(this.ttlMs)]
+    });
+
+    return count === -1 ? null : { first: count === 1 };
+  }
+
+  async leave(channel, socketId, userId) {
+    const result = await this.client.eval(LEAVE_SCRIPT, {
+      keys: [this.socketsKey(channel), this.usersKey(channel)],
+      arguments: [socketId, String(userId)]
+    });
+
+    if (!result) {
+      return null;
+    }
+
+    return { last: result[1] <= 0, member: JSON.parse(result[0]) };
+  }
+
+  async getMembers(channel) {
+    const sockets = await this.client.hGetAll(this.socketsKey(channel));
+    return uniqueMembers(Object.values(sockets).map(raw => JSON.parse(raw)));
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+/**
+ * Create the store selected in config.presence.driver
+ * @param {string} [driver] - memory | redis
+ */
+async function createPresenceStore(driver = config.presence.driver) {
+  switch (driver) {
+    case 'redis':
+      return new RedisPresenceStore(await createRedisClient('presence'), {
+        ttlMs: config.presence.ttlMs
+      });
+
+    case 'memory':
+      return new MemoryPresenceStore();
+
+    default:
+      logger.warn('Unknown presence driver, using memory', { driver });
+      return new MemoryPresenceStore();
+  }
+}
+
+module.exports = {
+  createPresenceStore,
+  MemoryPresenceStore,
+  RedisPresenceStore
+};
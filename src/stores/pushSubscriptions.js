@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createRedisClient, closeRedisClient, redisKey } = require('../utils/redis');
+
+/**
+ * Push Subscription Stores
+ * Push API subscriptions per user and device. A subscription is
+ * { id, userId, endpoint, keys: { p256dh, auth }, deviceId, userAgent,
+ * createdAt, updatedAt }; its id is derived from the endpoint.
+ *
+ * Every implementation exposes the same async interface:
+ * - save(subscription, maxPerUser) -> replaces the device's previous
+ *   subscription and drops the oldest ones beyond maxPerUser
+ * - listForUser(userId) -> subscriptions, newest first
+ * - remove(userId, id) -> whether a subscription was removed
+ * - close()
+ */
+
+/**
+ * Work out which existing subscriptions a new one replaces or evicts
+ * @returns {Array<string>} ids to remove
+ */
+function supersededIds(existing, subscription, maxPerUser) {
+  const kept = existing
+    .filter(other => other.id !== subscription.id)
+    .filter(other => !subscription.deviceId || other.deviceId !== subscription.deviceId)
+    .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+
+  const removed = existing
+    .filter(other => other.id !== subscription.id && !kept.includes(other))
+    .map(other => other.id);
+
+  // The new subscription takes one of the slots
+  return removed.concat(kept.slice(maxPerUser - 1).map(other => other.id));
+}
+
+function newestFirst(a, b) {
+  return a.updatedAt < b.updatedAt ? 1 : -1;
+}
+
+/**
+ * In-memory store for tests; subscriptions are lost on restart
+ */
+class MemoryPushSubscriptionStore {
+  constructor() {
+    this.type = 'memory';
+    this.subscriptions = new Map(); // userId -> Map(id -> subscription)
+  }
+
+  userSubscriptions(userId) {
+    const key = String(userId);
+    if (!this.subscriptions.has(key)) {
+      this.subscriptions.set(key, new Map());
+    }
+    return this.subscriptions.get(key);
+  }
+
+  async save(subscription, maxPerUser) {
+    const subscriptions = this.userSubscriptions(subscription.userId);
+
+    for (const id of supersededIds(Array.from(subscriptions.values()), subscription, maxPerUser)) {
+      subscriptions.delete(id);
+    }
+    subscriptions.set(subscription.id, subscription);
+
+    await this.persist();
+    return subscription;
+  }
+
+  async listForUser(userId) {
+    const subscriptions = this.subscriptions.get(String(userId));
+    return subscriptions ? Array.from(subscriptions.values()).sort(newestFirst) : [];
+  }
+
+  async remove(userId, id) {
+    const subscriptions = this.subscriptions.get(String(userId));
+    if (!subscriptions || !subscriptions.delete(id)) {
+      return false;
+    }
+
+    if (subscriptions.size === 0) {
+      this.subscriptions.delete(String(userId));
+    }
+
+    await this.persist();
+    return true;
+  }
+
+  async persist() {}
+
+  async close() {}
+}
+
+/**
+ * File store - the memory store written to one JSON file after every change.
+ * Survives restarts of a single process; use Redis when running a cluster.
+ */
+class FilePushSubscriptionStore extends MemoryPushSubscriptionStore {
+  constructor(file) {
+    super();
+    this.type = 'file';
+    this.file = file;
+    this.writing = Promise.resolve();
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.load();
+  }
+
+  load() {
+    try {
+      const { subscriptions } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+      for (const subscription of subscriptions) {
+        this.userSubscriptions(subscription.userId).set(subscription.id, subscription);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.errorWithStack('Push subscriptions file unreadable', error, { file: this.file });
+      }
+    }
+  }
+
+  async persist() {
+    const subscriptions = [];
+    for (const userSubscriptions of this.subscriptions.values()) {
+      subscriptions.push(...userSubscriptions.values());
+    }
+
+    const snapshot = JSON.stringify({ subscriptions });
+    const temp = `${this.file}.${process.pid}.tmp`;
+
+    // Serialize writes so an older snapshot never replaces a newer one
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.writeFile(temp, snapshot);
+        await fs.promises.rename(temp, this.file);
+      });
+
+    return this.writing;
+  }
+
+  async close() {
+    await this.writing.catch(() => {});
+  }
+}
+
+/**
+ * Redis store - one hash per user, shared by every worker
+ */
+class RedisPushSubscriptionStore {
+  constructor(client) {
+    this.type = 'redis';
+    this.client = client;
+  }
+
+  userKey(userId) {
+    return redisKey('push', 'subscriptions', userId);
+  }
+
+  async save(subscription, maxPerUser) {
+    const existing = await this.listForUser(subscription.userId);
+    const removed = supersededIds(existing, subscription, maxPerUser);
+
+    const multi = this.client.multi()
+      .hSet(this.userKey(subscription.userId), subscription.id, JSON.stringify(subscription));
+
+    if (removed.length > 0) {
+      multi.hDel(this.userKey(subscription.userId), removed);
+    }
+
+    await multi.exec();
+    return subscription;
+  }
+
+  async listForUser(userId) {
+    const raw = await this.client.hGetAll(this.userKey(userId));
+    return Object.values(raw).map(value => JSON.parse(value)).sort(newestFirst);
+  }
+
+  async remove(userId, id) {
+    return (await this.client.hDel(this.userKey(userId), id)) > 0;
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+/**
+ * Create the store selected in config.webPush.driver
+ * @param {string} [driver] - memory | file | redis
+ */
+async function createPushSubscriptionStore(driver = config.webPush.driver) {
+  switch (driver) {
+    case 'redis':
+      return new RedisPushSubscriptionStore(await createRedisClient('push-subscriptions'));
+
+    case 'file':
+      return new FilePushSubscriptionStore(config.webPush.file);
+
+    case 'memory':
+      return new MemoryPushSubscriptionStore();
+
+    default:
+      logger.warn('Unknown push subscription driver, using memory', { driver });
+      return new MemoryPushSubscriptionStore();
+  }
+}
+
+module.exports = {
+  createPushSubscriptionStore,
+  MemoryPushSubscriptionStore,
+  FilePushSubscriptionStore,
+  RedisPushSubscriptionStore
+};
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const https = require('https');
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createMySqlPool } = require('../utils/mysql');
+
+/**
+ * Sanctum Token Sources
+ * Where Laravel Sanctum personal access tokens ({id}|{secret}) are checked.
+ * A token is valid while its row exists and the secret hashes to the stored
+ * SHA-256; expiry is decided by the caller from `expiresAt`.
+ *
+ * Every source exposes the same async interface:
+ * - check(tokens) -> Map(token -> { tokenId, userId, expiresAt }) holding the
+ *   tokens that exist; revoked or unknown tokens are left out. expiresAt is a
+ *   timestamp in ms, or null for tokens that never expire.
+ * - close()
+ */
+
+/**
+ * Split a Sanctum token into its ID and secret
+ * @returns {{tokenId: number, secret: string}|null} null when malformed
+ */
+function parseToken(token) {
+  const separator = typeof token === 'string' ? token.indexOf('|') : -1;
+  if (separator === -1) return null;
+
+  const tokenId = token.slice(0, separator);
+  const secret = token.slice(separator + 1);
+
+  if (!/^\d+$/.test(tokenId) || secret.length === 0) {
+    return null;
+  }
+
+  return { tokenId: parseInt(tokenId), secret };
+}
+
+/**
+ * Timestamp in ms of a date column or ISO string, null when empty
+ */
+function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const timestamp = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * No source: well-formed tokens are accepted as they are (mock Laravel API)
+ */
+class NoSanctumTokenSource {
+  constructor() {
+    this.type = 'none';
+  }
+
+  async check(tokens) {
+    const found = new Map();
+
+    for (const token of tokens) {
+      const parsed = parseToken(token);
+      if (parsed) {
+        found.set(token, { tokenId: parsed.tokenId, userId: null, expiresAt: null });
+      }
+    }
+
+    return found;
+  }
+
+  async close() {}
+}
+
+/**
+ * Laravel source - POST {LARAVEL_API_URL}/api/websocket-api/sanctum-tokens/check
+ * with { tokens: [...] }, answering { data: { tokens: { [id]: { user_id, expires_at } } } }
+ * for the tokens that exist (PersonalAccessToken::findToken)
+ */
+class LaravelSanctumTokenSource {
+  constructor() {
+    this.type = 'laravel';
+    this.url = `${config.laravel.apiUrl.replace(/\/$/, '')}/api/websocket-api/sanctum-tokens/check`;
+  }
+
+  async check(tokens) {
+    const axiosConfig = {
+      headers: {
+        Accept: 'application/json',
+        'X-Requested-With': 'XMLHttpRequest',
+        'X-WebSocket-API-Key': config.laravel.apiKey
+      },
+      timeout: config.sanctum.timeout
+    };
+
+    // Local Laravel sites use self-signed certificates
+    if (config.nodeEnv === 'development') {
+      axiosConfig.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+    }
+
+    const response = await axios.post(this.url, { tokens }, axiosConfig);
+    const body = (response.data && response.data.data) || response.data || {};
+    const entries = body.tokens || {};
+    const found = new Map();
+
+    for (const token of tokens) {
+      const parsed = parseToken(token);
+      const entry = parsed && entries[parsed.tokenId];
+
+      if (entry) {
+        found.set(token, {
+          tokenId: parsed.tokenId,
+          userId: parseInt(entry.user_id),
+          expiresAt: toTimestamp(entry.expires_at)
+        });
+      }
+    }
+
+    return found;
+  }
+
+  async close() {}
+}
+
+/**
+ * MySQL source - Sanctum's personal_access_tokens table in Laravel's database
+ */
+class MySqlSanctumTokenSource {
+  constructor(pool, { table, userModel, expirationMinutes }) {
+    this.type = 'mysql';
+    this.pool = pool;
+    this.table = table;
+    this.userModel = userModel;
+    this.expirationMinutes = expirationMinutes;
+  }
+
+  async check(tokens) {
+    const parsed = new Map();
+    for (const token of tokens) {
+      const parts = parseToken(token);
+      if (parts) {
+        parsed.set(token, parts);
+      }
+    }
+
+    const found = new Map();
+    if (parsed.size === 0) return found;
+
+    const ids = [...new Set([...parsed.values()].map(({ tokenId }) => tokenId))];
+    const [rows] = await this.pool.query(
+      `SELECT id, tokenable_type, tokenable_id, token, created_at, expires_at
+        FROM \`${this.table}\` WHERE id IN (?)`,
+      [ids]
+    );
+
+    const rowsById = new Map(rows.map(row => [Number(row.id), row]));
+
+    for (const [token, { tokenId, secret }] of parsed) {
+      const row = rowsById.get(tokenId);
+      if (!row || row.tokenable_type !== this.userModel || !this.hashMatches(secret, row.token)) {
+        continue;
+      }
+
+      found.set(token, {
+        tokenId,
+        userId: parseInt(row.tokenable_id),
+        expiresAt: this.expiresAt(row)
+      });
+    }
+
+    return found;
+  }
+
+  /**
+   * Sanctum stores the hex SHA-256 of the secret
+   */
+  hashMatches(secret, stored) {
+    const actual = crypto.createHash('sha256').update(secret).digest();
+    const expected = Buffer.from(String(stored), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * The token's own expires_at, or Laravel's sanctum.expiration counted from
+   * created_at, whichever comes first
+   */
+  expiresAt(row) {
+    const own = toTimestamp(row.expires_at);
+    const created = toTimestamp(row.created_at);
+    const global = this.expirationMinutes && created !== null
+      ? created + this.expirationMinutes * 60 * 1000
+      : null;
+
+    if (own === null) return global;
+    if (global === null) return own;
+
+    return Math.min(own, global);
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+/**
+ * Create the source selected in config.sanctum.verifier
+ * @param {string} [verifier] - none | laravel | mysql
+ */
+async function createSanctumTokenSource(verifier = config.sanctum.verifier) {
+  switch (verifier) {
+    case 'laravel':
+      return new LaravelSanctumTokenSource();
+
+    case 'mysql':
+      return new MySqlSanctumTokenSource(await createMySqlPool('sanctum-tokens'), {
+        table: config.sanctum.table,
+        userModel: config.sanctum.userModel,
+        expirationMinutes: config.sanctum.expirationMinutes
+      });
+
+    case 'none':
+      return new NoSanctumTokenSource();
+
+    default:
+      logger.warn('Unknown Sanctum token verifier, using laravel', { verifier });
+      return new LaravelSanctumTokenSource();
+  }
+}
+
+module.exports = {
+  createSanctumTokenSource,
+  parseToken,
+  NoSanctumTokenSource,
+  LaravelSanctumTokenSource,
+  MySqlSanctumTokenSource
+};
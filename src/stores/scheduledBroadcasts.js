@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createRedisClient, closeRedisClient, redisKey } = require('../utils/redis');
+
+/**
+ * Scheduled Broadcast Stores
+ * Broadcasts waiting for their delivery time, plus fired and cancelled ones
+ * kept for `retentionMs` so their outcome can still be looked up.
+ *
+ * A schedule is { id, broadcasts: [{ channel, event, data }], deliverAt,
+ * createdAt, status: 'pending' | 'sent' | 'failed' | 'cancelled', ... }.
+ *
+ * Every implementation exposes the same async interface:
+ * - add(schedule)
+ * - get(id) -> schedule or null
+ * - list({ limit }) -> pending schedules, earliest first
+ * - cancel(id, patch) -> cancelled schedule, or null when no longer pending
+ * - claimDue(now, limit) -> due schedules, each handed out once; a claim
+ *   that is never finished (crash while firing) is handed out again
+ * - finish(id, patch, retentionMs) -> record the outcome of a fired schedule
+ * - tryLead(nodeId, ttlMs) -> whether this node may fire schedules
+ * - resign(nodeId)
+ * - close()
+ */
+
+/**
+ * In-memory store for tests; schedules are lost on restart
+ */
+class MemoryScheduleStore {
+  constructor() {
+    this.type = 'memory';
+    this.schedules = new Map(); // id -> schedule
+  }
+
+  async add(schedule) {
+    this.schedules.set(schedule.id, schedule);
+    await this.persist();
+  }
+
+  async get(id) {
+    this.pruneFinished();
+    return this.schedules.get(id) || null;
+  }
+
+  pending() {
+    return Array.from(this.schedules.values())
+      .filter(schedule => schedule.status === 'pending')
+      .sort((a, b) => new Date(a.deliverAt) - new Date(b.deliverAt));
+  }
+
+  async list({ limit }) {
+    return this.pending().slice(0, limit);
+  }
+
+  async cancel(id, patch) {
+    const schedule = this.schedules.get(id);
+    if (!schedule || schedule.status !== 'pending') {
+      return null;
+    }
+
+    const cancelled = { ...schedule, ...patch, status: 'cancelled' };
+    this.schedules.set(id, cancelled);
+    await this.persist();
+    return cancelled;
+  }
+
+  async claimDue(now, limit) {
+    const due = this.pending()
+      .filter(schedule => new Date(schedule.deliverAt).getTime() <= now)
+      .slice(0, limit);
+
+    if (due.length === 0) return [];
+
+    for (const schedule of due) {
+      this.schedules.set(schedule.id, { ...schedule, status: 'firing' });
+    }
+    await this.persist();
+
+    return due;
+  }
+
+  async finish(id, patch, retentionMs) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) return;
+
+    this.schedules.set(id, { ...schedule, ...patch, expiresAt: Date.now() + retentionMs });
+    this.pruneFinished();
+    await this.persist();
+  }
+
+  /**
+   * Drop finished schedules past their retention
+   */
+  pruneFinished() {
+    const now = Date.now();
+
+    for (const [id, schedule] of this.schedules.entries()) {
+      if (schedule.expiresAt && schedule.expiresAt <= now) {
+        this.schedules.delete(id);
+      }
+    }
+  }
+
+  async persist() {}
+
+  // A single process is always the leader
+  async tryLead() {
+    return true;
+  }
+
+  async resign() {}
+
+  async close() {}
+}
+
+/**
+ * File store - the memory store written to one JSON file after every change.
+ * Survives restarts of a single process. A lock file next to it keeps a
+ * second process (PM2 cluster mode) from firing the same schedules and
+ * overwriting the file; use Redis when running a cluster.
+ */
+class FileScheduleStore extends MemoryScheduleStore {
+  constructor(file) {
+    super();
+    this.type = 'file';
+    this.file = file;
+    this.lockFile = `${file}.lock`;
+    this.writing = Promise.resolve();
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.lock();
+    this.load();
+  }
+
+  /**
+   * Take the lock file, or throw when another live process holds it
+   */
+  lock() {
+    try {
+      fs.writeFileSync(this.lockFile, String(process.pid), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const owner = parseInt(fs.readFileSync(this.lockFile, 'utf8'));
+
+    if (owner && owner !== process.pid && isProcessAlive(owner)) {
+      throw new Error(`Scheduled broadcasts file ${this.file} is in use by process ${owner}; ` +
+        'the file driver runs in one process only, use SCHEDULER_DRIVER=redis for a cluster');
+    }
+
+    // Left behind by a process that crashed
+    logger.warn('Taking over stale scheduler lock file', { lockFile: this.lockFile, owner });
+    fs.writeFileSync(this.lockFile, String(process.pid));
+  }
+
+  load() {
+    try {
+      const { schedules } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+      for (const schedule of schedules) {
+        // A restart while firing means the broadcast may not have gone out
+        this.schedules.set(schedule.id, schedule.status === 'firing'
+          ? { ...schedule, status: 'pending' }
+          : schedule);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.errorWithStack('Scheduled broadcasts file unreadable', error, { file: this.file });
+      }
+    }
+  }
+
+  async persist() {
+    const snapshot = JSON.stringify({ schedules: Array.from(this.schedules.values()) });
+    const temp = `${this.file}.${process.pid}.tmp`;
+
+    // Serialize writes so an older snapshot never replaces a newer one
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.writeFile(temp, snapshot);
+        await fs.promises.rename(temp, this.file);
+      });
+
+    return this.writing;
+  }
+
+  async close() {
+    await this.writing.catch(() => {});
+
+    try {
+      if (parseInt(fs.readFileSync(this.lockFile, 'utf8')) === process.pid) {
+        fs.unlinkSync(this.lockFile);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: alive, but owned by another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Redis store - shared by every worker; claims and leadership are atomic.
+ * Claimed ids move to a processing set scored by their lease expiry and
+ * leave it when finished; leases that run out (the leader crashed or was
+ * restarted mid-fire) go back to the pending set on the next claim.
+ */
+class RedisScheduleStore {
+  constructor(client) {
+    this.type = 'redis';
+    this.client = client;
+  }
+
+  pendingKey() {
+    return redisKey('scheduler', 'pending');
+  }
+
+  processingKey() {
+    return redisKey('scheduler', 'processing');
+  }
+
+  scheduleKey(id) {
+    return redisKey('scheduler', 'schedule', id);
+  }
+
+  leaderKey() {
+    return redisKey('scheduler', 'leader');
+  }
+
+  async add(schedule) {
+    await this.client.multi()
+      .set(this.scheduleKey(schedule.id), JSON.stringify(schedule))
+      .zAdd(this.pendingKey(), { score: new Date(schedule.deliverAt).getTime(), value: schedule.id })
+      .exec();
+  }
+
+  async get(id) {
+    const raw = await this.client.get(this.scheduleKey(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async getMany(ids) {
+    if (ids.length === 0) return [];
+
+    const raw = await this.client.mGet(ids.map(id => this.scheduleKey(id)));
+    return raw.filter(value => value !== null).map(value => JSON.parse(value));
+  }
+
+  async list({ limit }) {
+    return this.getMany(await this.client.zRange(this.pendingKey(), 0, limit - 1));
+  }
+
+  async cancel(id, patch) {
+    // Whoever removes the id from the pending set owns the schedule
+    const removed = await this.client.zRem(this.pendingKey(), id);
+    if (!removed) return null;
+
+    const schedule = await this.get(id);
+    if (!schedule) return null;
+
+    const cancelled = { ...schedule, ...patch, status: 'cancelled' };
+    await this.client.set(this.scheduleKey(id), JSON.stringify(cancelled), {
+      PX: config.scheduler.retentionMs
+    });
+    return cancelled;
+  }
+
+  async claimDue(now, limit) {
+    const ids = await this.client.eval(`
+      local expired = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])
+      for _, id in ipairs(expired) do
+        redis.call('ZREM', KEYS[2], id)
+        redis.call('ZADD', KEYS[1], ARGV[1], id)
+      end
+      local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+      for _, id in ipairs(ids) do
+        redis.call('ZREM', KEYS[1], id)
+        redis.call('ZADD', KEYS[2], ARGV[1] + ARGV[3], id)
+      end
+      return ids
+    `, {
+      keys: [this.pendingKey(), this.processingKey()],
+      arguments: [String(now), String(limit), String(config.scheduler.leaseMs)]
+    });
+
+    return this.getMany(ids);
+  }
+
+  async finish(id, patch, retentionMs) {
+    const schedule = await this.get(id);
+
+    const transaction = this.client.multi().zRem(this.processingKey(), id);
+    if (schedule) {
+      transaction.set(this.scheduleKey(id), JSON.stringify({ ...schedule, ...patch }), {
+        PX: retentionMs
+      });
+    }
+
+    await transaction.exec();
+  }
+
+  async tryLead(nodeId, ttlMs) {
+    const leading = await this.client.eval(`
+      if redis.call('GET', KEYS[1]) == ARGV[1] then
+        return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+      end
+      if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then
+        return 1
+      end
+      return 0
+    `, {
+      keys: [this.leaderKey()],
+      arguments: [nodeId, String(ttlMs)]
+    });
+
+    return leading === 1;
+  }
+
+  async resign(nodeId) {
+    await this.client.eval(`
+      if redis.call('GET', KEYS[1]) == ARGV[1] then
+        return redis.call('DEL', KEYS[1])
+      end
+      return 0
+    `, {
+      keys: [this.leaderKey()],
+      arguments: [nodeId]
+    });
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+/**
+ * Create the store selected in config.scheduler.driver
+ * @param {string} [driver] - memory | file | redis
+ */
+async function createScheduleStore(driver = config.scheduler.driver) {
+  switch (driver) {
+    case 'redis':
+      return new RedisScheduleStore(await createRedisClient('scheduler'));
+
+    case 'file':
+      return new FileScheduleStore(config.scheduler.file);
+
+    case 'memory':
+      return new MemoryScheduleStore();
+
+    default:
+      logger.warn('Unknown scheduler driver, using memory', { driver });
+      return new MemoryScheduleStore();
+  }
+}
+
+module.exports = {
+  createScheduleStore,
+  MemoryScheduleStore,
+  FileScheduleStore,
+  RedisScheduleStore
+};
@@ -0,0 +1,45 @@
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * MySQL pool factory
+ * Builds mysql2 pools from config.database (Laravel's database) so every
+ * subsystem reading Laravel tables connects the same way
+ */
+
+/**
+ * Create a pool and check that the database answers
+ * An unreachable database is logged, not thrown: the pool reconnects on
+ * later queries.
+ * @param {string} name - Pool purpose, used in logs
+ */
+async function createMySqlPool(name) {
+  const mysql = require('mysql2/promise');
+  const pool = mysql.createPool({
+    host: config.database.host,
+    port: config.database.port,
+    database: config.database.name,
+    user: config.database.user,
+    password: config.database.password,
+    connectionLimit: config.database.connectionLimit,
+    connectTimeout: config.database.timeout,
+    waitForConnections: true
+  });
+
+  // Surface bad credentials at startup rather than on the first read
+  try {
+    await pool.query('SELECT 1');
+  } catch (error) {
+    logger.errorWithStack('MySQL database unreachable', error, {
+      pool: name,
+      host: config.database.host,
+      database: config.database.name
+    });
+  }
+
+  return pool;
+}
+
+module.exports = {
+  createMySqlPool
+};
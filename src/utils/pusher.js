@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+/**
+ * Pusher protocol helpers
+ * Signatures used by Pusher's HTTP API, so Laravel's `pusher` broadcast
+ * driver (pusher-php-server) can talk to this server, and the per-channel
+ * keys of its end-to-end encrypted channels.
+ */
+
+/**
+ * Hex MD5 of a request body (body_md5)
+ */
+function md5(body) {
+  return crypto.createHash('md5').update(body).digest('hex');
+}
+
+/**
+ * Hex HMAC-SHA256 of a string with the app secret
+ */
+function hmacSha256(secret, value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('hex');
+}
+
+/**
+ * Sign an HTTP API request: "METHOD\npath\nkey=value&..." with the query
+ * parameters (minus auth_signature) sorted by lowercased key, unencoded
+ * @param {string} secret
+ * @param {string} method
+ * @param {string} path - e.g. /apps/123/events
+ * @param {Object} params - query parameters
+ */
+function signRequest(secret, method, path, params) {
+  const query = Object.keys(params)
+    .filter(key => key.toLowerCase() !== 'auth_signature')
+    .map(key => [key.toLowerCase(), params[key]])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  return hmacSha256(secret, `${method.toUpperCase()}\n${path}\n${query}`);
+}
+
+/**
+ * Per-channel key of a private-encrypted-* channel: SHA-256 of the channel
+ * name followed by the 32-byte master key, the way Pusher derives it
+ * @param {string} channel
+ * @param {string} masterKeyBase64
+ * @returns {string} Base64 shared secret
+ */
+function channelSharedSecret(channel, masterKeyBase64) {
+  const masterKey = Buffer.from(masterKeyBase64, 'base64');
+  if (masterKey.length !== 32) {
+    throw new Error('Encryption master key must be 32 bytes');
+  }
+
+  return crypto.createHash('sha256')
+    .update(Buffer.concat([Buffer.from(channel), masterKey]))
+    .digest('base64');
+}
+
+/**
+ * Whether data has the shape of an encrypted payload ({ nonce, ciphertext })
+ */
+function isEncryptedPayload(data) {
+  return !!data && typeof data === 'object' &&
+    typeof data.nonce === 'string' && data.nonce.length > 0 &&
+    typeof data.ciphertext === 'string' && data.ciphertext.length > 0;
+}
+
+/**
+ * Compare two hex signatures in constant time
+ */
+function signaturesMatch(expected, actual) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual));
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  md5,
+  hmacSha256,
+  signRequest,
+  signaturesMatch,
+  channelSharedSecret,
+  isEncryptedPayload
+};
@@ -0,0 +1,78 @@
+const { createClient } = require('redis');
+
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * Redis client factory
+ * Builds node-redis clients from config.redis so every subsystem
+ * (cluster adapter, shared stores) connects the same way
+ */
+
+/**
+ * Create and connect a Redis client
+ * @param {string} name - Client purpose, used in logs and CLIENT SETNAME
+ */
+async function createRedisClient(name) {
+  const client = createClient({
+    socket: {
+      host: config.redis.host,
+      port: config.redis.port,
+      connectTimeout: 10000
+    },
+    password: config.redis.password || undefined,
+    database: config.redis.db,
+    name: `mechamap-realtime:${name}:${process.pid}`
+  });
+
+  // node-redis throws on unhandled 'error' events, so always listen
+  client.on('error', (error) => {
+    logger.error('Redis client error', {
+      client: name,
+      error: error.message,
+      category: 'redis'
+    });
+  });
+
+  client.on('reconnecting', () => {
+    logger.warn('Redis client reconnecting', { client: name, category: 'redis' });
+  });
+
+  await client.connect();
+
+  logger.info('Redis client connected', {
+    client: name,
+    host: config.redis.host,
+    port: config.redis.port,
+    db: config.redis.db,
+    category: 'redis'
+  });
+
+  return client;
+}
+
+/**
+ * Prefix a key with the configured Redis namespace
+ */
+function redisKey(...parts) {
+  return config.redis.prefix + parts.join(':');
+}
+
+/**
+ * Close a client, ignoring errors from already-closed connections
+ */
+async function closeRedisClient(client) {
+  if (!client) return;
+
+  try {
+    await client.quit();
+  } catch (error) {
+    logger.debug('Redis client close error', { error: error.message, category: 'redis' });
+  }
+}
+
+module.exports = {
+  createRedisClient,
+  closeRedisClient,
+  redisKey
+};
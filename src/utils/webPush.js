@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Web Push protocol helpers
+ * VAPID authentication (RFC 8292) and aes128gcm message encryption
+ * (RFC 8188 / RFC 8291), built on Node's crypto module.
+ */
+
+// One record is enough for any push message (services accept 4096 bytes)
+const RECORD_SIZE = 4096;
+
+/**
+ * Generate a VAPID key pair as base64url strings
+ * @returns {{publicKey: string, privateKey: string}}
+ */
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+
+  return {
+    publicKey: ecdh.getPublicKey().toString('base64url'),
+    privateKey: ecdh.getPrivateKey().toString('base64url')
+  };
+}
+
+/**
+ * Build the Authorization header for a push service
+ * @param {string} endpoint - subscription endpoint
+ * @param {Object} vapid - { subject, publicKey, privateKey } (base64url keys)
+ * @param {number} [expiresIn] - seconds the token stays valid (at most 24h)
+ */
+function createVapidAuthorization(endpoint, { subject, publicKey, privateKey }, expiresIn = 12 * 60 * 60) {
+  const rawPublicKey = Buffer.from(publicKey, 'base64url');
+
+  const key = crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: privateKey,
+      x: rawPublicKey.subarray(1, 33).toString('base64url'),
+      y: rawPublicKey.subarray(33, 65).toString('base64url')
+    }
+  });
+
+  const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+  const claims = Buffer.from(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + expiresIn,
+    sub: subject
+  })).toString('base64url');
+
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key,
+    dsaEncoding: 'ieee-p1363'
+  }).toString('base64url');
+
+  return `vapid t=${header}.${claims}.${signature}, k=${publicKey}`;
+}
+
+/**
+ * Encrypt a payload for a subscription (aes128gcm content encoding)
+ * @param {Buffer|string} payload
+ * @param {Object} keys - subscription keys { p256dh, auth } (base64url)
+ * @returns {Buffer} Request body
+ */
+function encryptPayload(payload, { p256dh, auth }) {
+  const userAgentPublicKey = Buffer.from(p256dh, 'base64url');
+  const authSecret = Buffer.from(auth, 'base64url');
+
+  // Fresh sender key pair and salt for every message
+  const ecdh = crypto.createECDH('prime256v1');
+  const serverPublicKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    userAgentPublicKey,
+    serverPublicKey
+  ]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // 0x02 marks the last (and only) record
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+
+  return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+/**
+ * Send one push message
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {string} payload - usually JSON
+ * @param {Object} options - { vapid, ttl, urgency, topic, timeout }
+ * @returns {Promise<{status: number}>} Rejects with `error.status` set on HTTP errors
+ */
+async function sendPushMessage(subscription, payload, { vapid, ttl, urgency = 'normal', topic, timeout = 10000 }) {
+  const headers = {
+    TTL: String(ttl),
+    Urgency: urgency,
+    'Content-Encoding': 'aes128gcm',
+    'Content-Type': 'application/octet-stream',
+    Authorization: createVapidAuthorization(subscription.endpoint, vapid)
+  };
+
+  if (topic) {
+    headers.Topic = topic;
+  }
+
+  try {
+    const response = await axios.post(subscription.endpoint, encryptPayload(payload, subscription.keys), {
+      headers,
+      timeout,
+      // A redirect could lead away from the allowed push service
+      maxRedirects: 0
+    });
+
+    return { status: response.status };
+  } catch (error) {
+    error.status = error.response && error.response.status;
+    throw error;
+  }
+}
+
+module.exports = {
+  generateVapidKeys,
+  createVapidAuthorization,
+  encryptPayload,
+  sendPushMessage
+};
@@ -0,0 +1,134 @@
+const Joi = require('joi');
+
+const config = require('../config');
+
+/**
+ * Notification Preferences Validation Schemas
+ */
+
+// 24-hour HH:MM
+const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check an IANA time zone name against the runtime's time zone data
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone }).format();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const timeSchema = Joi.string()
+  .pattern(timePattern)
+  .messages({
+    'string.pattern.base': '{{#label}} must be a 24-hour time (HH:MM)'
+  });
+
+/**
+ * Preferences document; every field is optional so it also serves as a patch
+ */
+const preferencesSchema = Joi.object({
+  timezone: Joi.string()
+    .custom((value, helpers) => isValidTimezone(value) ? value : helpers.error('any.invalid'))
+    .messages({
+      'any.invalid': 'timezone must be a valid IANA time zone (e.g. Asia/Ho_Chi_Minh)'
+    }),
+
+  // Keys are notification types, "forum.*" prefixes or "*" for every type; null removes a rule
+  types: Joi.object()
+    .pattern(
+      Joi.string().max(255),
+      Joi.string().valid('allow', 'mute').allow(null)
+    )
+    .messages({
+      'any.only': 'type rules must be "allow", "mute" or null'
+    }),
+
+  quiet_hours: Joi.object({
+    enabled: Joi.boolean(),
+    start: timeSchema,
+    end: timeSchema,
+    allow_urgent: Joi.boolean()
+  }),
+
+  channels: Joi.object({
+    realtime: Joi.boolean(),
+    queued: Joi.boolean()
+  })
+});
+
+/**
+ * Bulk preference sync request from Laravel
+ */
+const preferencesSyncSchema = Joi.object({
+  users: Joi.array()
+    .items(Joi.object({
+      user_id: Joi.alternatives(Joi.number().integer(), Joi.string().max(64)).required(),
+      preferences: preferencesSchema.required()
+    }))
+    .min(1)
+    .max(config.preferences.syncBatchLimit)
+    .required()
+    .messages({
+      'array.max': `users cannot contain more than ${config.preferences.syncBatchLimit} entries`
+    })
+});
+
+/**
+ * Run a schema and shape the result like the other validators
+ */
+function validate(schema, data) {
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context.value
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate a preferences update
+ * @param {Object} data - Preferences patch
+ * @returns {Object} - Validation result
+ */
+function validatePreferencesUpdate(data) {
+  return validate(preferencesSchema, data || {});
+}
+
+/**
+ * Validate a bulk preference sync request
+ * @param {Object} data - Request body
+ * @returns {Object} - Validation result
+ */
+function validatePreferencesSync(data) {
+  return validate(preferencesSyncSchema, data || {});
+}
+
+module.exports = {
+  validatePreferencesUpdate,
+  validatePreferencesSync,
+  isValidTimezone
+};
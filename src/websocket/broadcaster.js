@@ -0,0 +1,113 @@
+const channelManager = require('./channelManager');
+const offlineQueueService = require('../services/offlineQueueService');
+const deliveryTracker = require('../services/deliveryTracker');
+const webPushService = require('../services/webPushService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { isEncryptedPayload } = require('../utils/pusher');
+
+/**
+ * Cluster-aware channel broadcasting
+ * Emits through the Socket.IO adapter so every worker delivers to its own
+ * sockets, and counts subscribers across the whole cluster. Events are
+ * stamped with the channel's next sequence number before they go out.
+ * Notification events on private user channels are sent with an ack and
+ * tracked until a device confirms them. Events for a private user channel
+ * nobody is subscribed to go to the offline queue, and notification events
+ * are also sent to the user's browsers as Web Push messages.
+ *
+ * Callers applying user preferences can turn off either path: without
+ * `realtime` nothing is emitted, recorded for resume or pushed, without
+ * `queue` nothing is queued for offline users. Callers that send Web Push
+ * themselves pass `push: false`. `except` leaves out the socket that caused
+ * the event (Laravel's toOthers()); acknowledged notifications ignore it.
+ *
+ * Encrypted channels only take { nonce, ciphertext } payloads, so a
+ * misconfigured sender cannot publish plaintext on them.
+ */
+
+/**
+ * Check a payload against its channel
+ * @returns {string|null} Error message
+ */
+function validatePayload(channel, data) {
+  if (channelManager.isEncryptedChannel(channel) && !isEncryptedPayload(data)) {
+    return `Encrypted channel ${channel} only accepts { nonce, ciphertext } payloads`;
+  }
+
+  return null;
+}
+
+/**
+ * Fields describing a payload in logs: its size, or only that it is
+ * encrypted, so the logs say nothing about encrypted content
+ */
+function describePayload(channel, data) {
+  return channelManager.isEncryptedChannel(channel)
+    ? { encrypted: true }
+    : { dataSize: JSON.stringify(data).length };
+}
+
+/**
+ * Emit an event to a channel on every worker
+ * @param {Object} [options]
+ * @param {boolean} [options.realtime=true] - emit to connected subscribers
+ * @param {boolean} [options.queue=true] - queue for offline users when nobody is subscribed
+ * @param {boolean} [options.push=true] - send Web Push for notifications when nobody is subscribed
+ * @param {string} [options.except] - socket ID not to emit to
+ * @returns {Promise<{channel: string, subscriberCount: number, queued: boolean, seq: number}>}
+ */
+async function broadcastToChannel(io, channel, event, data, { realtime = true, queue = true, push = true, except = null } = {}) {
+  const invalid = validatePayload(channel, data);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+
+  const tracked = deliveryTracker.isTracked(channel, event);
+  const identified = tracked && !data.id ? { ...data, id: deliveryTracker.generateId() } : data;
+
+  // Events that are not emitted stay out of the history, or a resume would replay them
+  const payload = realtime
+    ? await channelManager.recordEvent(channel, event, identified)
+    : identified;
+
+  // Always emit: the count may be stale and the adapter fans out to other workers
+  if (realtime && tracked) {
+    await deliveryTracker.send(io, channel, event, payload);
+  } else if (realtime && except) {
+    io.to(channel).except(except).emit(event, payload);
+  } else if (realtime) {
+    io.to(channel).emit(event, payload);
+  }
+
+  const subscriberCount = await channelManager.getClusterSubscriberCount(channel);
+
+  let queued = false;
+  if (subscriberCount === 0 && queue) {
+    queued = !!(await offlineQueueService.enqueue(channel, event, payload));
+
+    if (tracked && queued) {
+      await deliveryTracker.markQueued(payload.id);
+    }
+  }
+
+  const userId = offlineQueueService.getChannelUserId(channel);
+
+  // Notification events (the ones acked when delivered live) stand in for push notifications
+  if (subscriberCount === 0 && realtime && push && userId !== null &&
+    config.delivery.ackEvents.includes(event) &&
+    webPushService.isEnabled() && config.webPush.offlineFallback) {
+    // Fire and forget: a slow push service must not hold up the broadcast
+    webPushService.sendToUser(userId, payload, event).catch((error) => {
+      logger.errorWithStack('Offline Web Push failed', error, { channel, event, notificationId: payload.id });
+    });
+  }
+
+  return { channel, subscriberCount, queued, seq: payload.seq };
+}
+
+module.exports = {
+  broadcastToChannel,
+  validatePayload,
+  describePayload
+};
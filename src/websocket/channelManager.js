@@ -1,244 +1,223 @@
+const { ClusterAdapter } = require('socket.io-adapter');
+
 const logger = require('../utils/logger');
 const config = require('../config');
+const { MemoryChannelHistoryStore, createChannelHistoryStore } = require('../stores/channelHistory');
+const { MemoryPresenceStore, createPresenceStore } = require('../stores/presence');
+const forumAccessService = require('../services/forumAccessService');
+const channelAuthorizationService = require('../services/channelAuthorizationService');
+const channelRegistry = require('./channelRegistry');
+const { channelSharedSecret } = require('../utils/pusher');
 
 /**
  * Channel Management System
  * Handles channel subscriptions, authorization, and access control
+ *
+ * Channel names are mapped to families by the ChannelRegistry, which also
+ * holds each family's authorizer, presence flag and subscribe rate limit.
+ *
+ * Subscriptions are tracked per worker; cluster-wide counts and stats are
+ * gathered from the other workers through the adapter's serverSideEmit().
+ *
+ * Every broadcast event is stamped with a per-channel sequence number and
+ * kept in a bounded replay buffer, so a reconnecting client can resume a
+ * channel from the last sequence it saw.
+ *
+ * Subscriptions can be revoked from the API (bans, ended contracts); the
+ * user then may not subscribe to the channel again for a cooldown period.
+ *
+ * Encrypted channels (private-encrypted-*) carry payloads Laravel encrypted
+ * with a per-channel key; the server relays them untouched and hands the
+ * key to authorized subscribers.
+ *
+ * Subscribers can relay client-* events to each other on families that
+ * allow it; the server stamps the sender so it cannot be spoofed.
+ *
+ * Presence channels (presence-*) also keep a cluster-wide member list.
+ * Members are users, not sockets: `member_added` goes out when a user's
+ * first tab joins and `member_removed` when their last tab leaves.
  */
 
 class ChannelManager {
   constructor() {
+    this.io = null;
     this.channels = new Map(); // channel -> Set of socket IDs
     this.userChannels = new Map(); // userId -> Set of channels
     this.channelMetadata = new Map(); // channel -> metadata
+    this.cooldowns = new Map(); // `${userId}|${channel or *}` -> { reason, until }
+
+    // Memory store until initializeHistory() selects the configured driver
+    this.history = new MemoryChannelHistoryStore({
+      maxEvents: config.channelHistory.maxEvents,
+      ttlMs: config.channelHistory.ttlMs
+    });
+
+    // Memory store until initializePresence() selects the configured driver
+    this.presence = new MemoryPresenceStore();
   }
 
   /**
-   * Channel naming conventions and patterns
+   * Cluster request events answered by every worker
    */
-  static CHANNEL_PATTERNS = {
-    // Public channels - accessible to all authenticated users
-    PUBLIC: /^public\.(.+)$/,
-    
-    // Private user channels - only accessible to the specific user
-    PRIVATE_USER: /^private-user\.(\d+)$/,
-    
-    // Thread presence channels - accessible to users who can view the thread
-    PRESENCE_THREAD: /^presence-thread\.(\d+)$/,
-    
-    // Forum channels - accessible based on forum permissions
-    FORUM: /^forum\.(\d+)$/,
-    
-    // Admin channels - only accessible to admin users
-    ADMIN: /^admin\.(.+)$/,
-    
-    // Moderator channels - accessible to moderators and admins
-    MODERATOR: /^moderator\.(.+)$/
+  static CLUSTER_EVENTS = {
+    SUBSCRIBERS: 'channels:subscribers',
+    COUNT: 'channels:count',
+    SNAPSHOT: 'channels:snapshot',
+    REVOKE: 'channels:revoke'
   };
 
   /**
-   * Role hierarchy for permission checking
+   * Attach to Socket.IO and answer channel queries from other workers
    */
-  static ROLE_HIERARCHY = {
-    'guest': 1,
-    'member': 2,
-    'senior_member': 3,
-    'verified_partner': 4,
-    'manufacturer': 4,
-    'supplier': 4,
-    'brand': 4,
-    'moderator': 5,
-    'admin': 6,
-    'super_admin': 7
-  };
+  initialize(io) {
+    this.io = io;
+    const nsp = io.of('/');
 
-  /**
-   * Authorize channel access for a socket
-   */
-  async authorize(socket, channel) {
-    try {
-      const userId = socket.userId;
-      const userRole = socket.userRole;
-      const userPermissions = socket.userPermissions || [];
-      
-      logger.debug('Channel authorization request', {
-        userId,
-        userRole,
-        channel,
-        socketId: socket.id
+    nsp.on(ChannelManager.CLUSTER_EVENTS.SUBSCRIBERS, (channel, ack) => {
+      ack({
+        nodeId: config.cluster.nodeId,
+        subscribers: Array.from(this.getChannelSubscribers(channel))
       });
+    });
 
-      // Check channel pattern and apply appropriate authorization
-      
-      // Public channels - always allowed for authenticated users
-      if (ChannelManager.CHANNEL_PATTERNS.PUBLIC.test(channel)) {
-        return this.authorizePublicChannel(socket, channel);
-      }
-      
-      // Private user channels
-      if (ChannelManager.CHANNEL_PATTERNS.PRIVATE_USER.test(channel)) {
-        return this.authorizePrivateUserChannel(socket, channel);
-      }
-      
-      // Thread presence channels
-      if (ChannelManager.CHANNEL_PATTERNS.PRESENCE_THREAD.test(channel)) {
-        return await this.authorizeThreadPresenceChannel(socket, channel);
-      }
-      
-      // Forum channels
-      if (ChannelManager.CHANNEL_PATTERNS.FORUM.test(channel)) {
-        return await this.authorizeForumChannel(socket, channel);
-      }
-      
-      // Admin channels
-      if (ChannelManager.CHANNEL_PATTERNS.ADMIN.test(channel)) {
-        return this.authorizeAdminChannel(socket, channel);
-      }
-      
-      // Moderator channels
-      if (ChannelManager.CHANNEL_PATTERNS.MODERATOR.test(channel)) {
-        return this.authorizeModeratorChannel(socket, channel);
-      }
-      
-      // Unknown channel pattern - deny by default
-      logger.security('Unknown channel pattern', {
-        userId,
-        channel,
-        socketId: socket.id
-      });
-      
-      return false;
-      
-    } catch (error) {
-      logger.errorWithStack('Channel authorization error', error, {
-        userId: socket.userId,
-        channel,
-        socketId: socket.id
+    nsp.on(ChannelManager.CLUSTER_EVENTS.COUNT, (channel, ack) => {
+      ack(this.getChannelSubscribers(channel).size);
+    });
+
+    nsp.on(ChannelManager.CLUSTER_EVENTS.SNAPSHOT, (ack) => {
+      ack(this.getLocalSnapshot());
+    });
+
+    nsp.on(ChannelManager.CLUSTER_EVENTS.REVOKE, (criteria, ack) => {
+      ack(this.revokeLocal(criteria));
+    });
+
+    channelRegistry.loadExtensions();
+
+    // Sockets following a forum whose rules changed may have lost access
+    forumAccessService.onRulesChanged((forumIds) => {
+      this.recheckAccess(forumIds.map(forumId => `forum.${forumId}`)).catch((error) => {
+        logger.errorWithStack('Forum access re-check failed', error, { forumIds });
       });
-      
-      return false;
-    }
+    });
+
+    logger.info('ChannelManager initialized', {
+      nodeId: config.cluster.nodeId,
+      clustered: this.isClustered(),
+      families: channelRegistry.list().map(family => family.name)
+    });
   }
 
   /**
-   * Authorize public channel access
+   * Switch to the configured channel history store
    */
-  authorizePublicChannel(socket, channel) {
-    // All authenticated users can access public channels
-    logger.debug('Public channel authorized', {
-      userId: socket.userId,
-      channel
+  async initializeHistory() {
+    const store = await createChannelHistoryStore();
+    const previous = this.history;
+
+    this.history = store;
+    await previous.close();
+
+    logger.info('Channel history initialized', {
+      driver: store.type,
+      maxEvents: config.channelHistory.maxEvents,
+      ttlMs: config.channelHistory.ttlMs
     });
-    
-    return true;
   }
 
   /**
-   * Authorize private user channel access
+   * Switch to the configured presence store
    */
-  authorizePrivateUserChannel(socket, channel) {
-    const match = channel.match(ChannelManager.CHANNEL_PATTERNS.PRIVATE_USER);
-    if (!match) return false;
-    
-    const targetUserId = parseInt(match[1]);
-    const authorized = socket.userId === targetUserId;
-    
-    if (!authorized) {
-      logger.security('Private user channel access denied', {
-        userId: socket.userId,
-        targetUserId,
-        channel
-      });
-    }
-    
-    return authorized;
+  async initializePresence() {
+    const store = await createPresenceStore();
+    const previous = this.presence;
+
+    this.presence = store;
+    await previous.close();
+
+    logger.info('Channel presence initialized', { driver: store.type });
   }
 
   /**
-   * Authorize thread presence channel access
+   * Whether the Socket.IO adapter can reach other workers
    */
-  async authorizeThreadPresenceChannel(socket, channel) {
-    const match = channel.match(ChannelManager.CHANNEL_PATTERNS.PRESENCE_THREAD);
-    if (!match) return false;
-    
-    const threadId = parseInt(match[1]);
-    
-    // TODO: Implement thread access checking with database
-    // For now, allow access for all authenticated users
-    // In production, this should check:
-    // 1. Thread exists
-    // 2. User has permission to view the thread
-    // 3. Thread's forum is accessible to user's role
-    
-    logger.debug('Thread presence channel authorized (mock)', {
-      userId: socket.userId,
-      threadId,
-      channel
-    });
-    
-    return true;
+  isClustered() {
+    return !!this.io && this.io.of('/').adapter instanceof ClusterAdapter;
   }
 
   /**
-   * Authorize forum channel access
+   * Ask every other worker a question and collect their answers.
+   * Workers that miss the adapter timeout are left out of the result.
    */
-  async authorizeForumChannel(socket, channel) {
-    const match = channel.match(ChannelManager.CHANNEL_PATTERNS.FORUM);
-    if (!match) return false;
-    
-    const forumId = parseInt(match[1]);
-    
-    // TODO: Implement forum access checking with database
-    // For now, allow access based on role hierarchy
-    const userLevel = ChannelManager.ROLE_HIERARCHY[socket.userRole] || 0;
-    const authorized = userLevel >= ChannelManager.ROLE_HIERARCHY['member'];
-    
-    if (!authorized) {
-      logger.security('Forum channel access denied', {
-        userId: socket.userId,
-        userRole: socket.userRole,
-        forumId,
-        channel
-      });
+  async queryCluster(event, ...args) {
+    if (!this.isClustered()) {
+      return { responses: [], complete: true };
     }
-    
-    return authorized;
+
+    return new Promise((resolve) => {
+      this.io.serverSideEmit(event, ...args, (error, responses) => {
+        if (error) {
+          logger.warn('Cluster channel query incomplete', {
+            event,
+            error: error.message,
+            responseCount: responses ? responses.length : 0
+          });
+        }
+
+        resolve({ responses: responses || [], complete: !error });
+      });
+    });
   }
 
   /**
-   * Authorize admin channel access
+   * Names of events clients may relay to each other
    */
-  authorizeAdminChannel(socket, channel) {
-    const userLevel = ChannelManager.ROLE_HIERARCHY[socket.userRole] || 0;
-    const authorized = userLevel >= ChannelManager.ROLE_HIERARCHY['admin'];
-    
-    if (!authorized) {
-      logger.security('Admin channel access denied', {
+  static CLIENT_EVENT_NAME = /^client-[A-Za-z0-9_.:-]{1,100}$/;
+
+  /**
+   * Most channels a client can resume in one handshake or resume event
+   */
+  static MAX_RESUME_CHANNELS = 100;
+
+  /**
+   * Authorize channel access for a socket
+   */
+  async authorize(socket, channel) {
+    try {
+      logger.debug('Channel authorization request', {
         userId: socket.userId,
         userRole: socket.userRole,
-        channel
+        channel,
+        socketId: socket.id
       });
+
+      const { allowed, channelData } = await channelRegistry.authorize(socket, channel);
+      
+      // Member info Laravel returned for a presence channel (broadcasting auth)
+      if (allowed && channelData) {
+        socket.channelData = socket.channelData || new Map();
+        socket.channelData.set(channel, channelData);
+      }
+      
+      return allowed;
+      
+    } catch (error) {
+      logger.errorWithStack('Channel authorization error', error, {
+        userId: socket.userId,
+        channel,
+        socketId: socket.id
+      });
+      
+      return false;
     }
-    
-    return authorized;
   }
 
   /**
-   * Authorize moderator channel access
+   * Count a subscribe attempt against the channel family's per-socket rate limit
+   * @returns {boolean} false when the socket is over the limit
    */
-  authorizeModeratorChannel(socket, channel) {
-    const userLevel = ChannelManager.ROLE_HIERARCHY[socket.userRole] || 0;
-    const authorized = userLevel >= ChannelManager.ROLE_HIERARCHY['moderator'];
-    
-    if (!authorized) {
-      logger.security('Moderator channel access denied', {
-        userId: socket.userId,
-        userRole: socket.userRole,
-        channel
-      });
-    }
-    
-    return authorized;
+  consumeSubscribeAttempt(socket, channel) {
+    return channelRegistry.consumeAttempt(socket, channel);
   }
 
   /**
@@ -291,6 +270,16 @@ class ChannelManager {
       }
     }
     
+    if (this.isPresenceChannel(channel)) {
+      this.leavePresence(socket, channel).catch((error) => {
+        logger.errorWithStack('Presence leave failed', error, { userId, socketId, channel });
+      });
+    }
+    
+    if (socket.channelData) {
+      socket.channelData.delete(channel);
+    }
+    
     // Remove from user's channels
     if (this.userChannels.has(userId)) {
       this.userChannels.get(userId).delete(channel);
@@ -309,6 +298,311 @@ class ChannelManager {
     });
   }
 
+  /**
+   * Whether a channel keeps a member list
+   */
+  isPresenceChannel(channel) {
+    const family = channelRegistry.getFamily(channel);
+    return !!family && family.presence;
+  }
+
+  /**
+   * Whether a channel's payloads are encrypted end to end
+   */
+  isEncryptedChannel(channel) {
+    const family = channelRegistry.getFamily(channel);
+    return !!family && family.encrypted;
+  }
+
+  /**
+   * Per-channel key of an encrypted channel (base64), null for other channels
+   */
+  getSharedSecret(channel) {
+    if (!this.isEncryptedChannel(channel)) return null;
+    
+    return channelSharedSecret(channel, config.pusher.encryptionMasterKey);
+  }
+
+  /**
+   * Member info a socket shows up with in a presence channel: the
+   * channel_data Laravel returned when authorizing it, or the socket's user
+   */
+  getPresenceMember(socket, channel) {
+    if (socket.channelData && socket.channelData.has(channel)) {
+      return socket.channelData.get(channel);
+    }
+    
+    return {
+      user_id: socket.userId,
+      user_info: {
+        name: socket.userName || null,
+        role: socket.userRole || null,
+        avatar: socket.userAvatar || null
+      }
+    };
+  }
+
+  /**
+   * Add a subscribed socket to a presence channel's members. Other members
+   * get `member_added` unless the user was already there in another tab.
+   * @returns {Promise<{me: Object, count: number, members: Array}>} Roster for `subscribed`
+   */
+  async joinPresence(socket, channel) {
+    const me = this.getPresenceMember(socket, channel);
+    const joined = await this.presence.join(channel, socket.id, me);
+
+    if (joined && joined.first) {
+      socket.to(channel).emit('member_added', {
+        channel,
+        ...me,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const members = await this.presence.getMembers(channel);
+
+    return { me, count: members.length, members };
+  }
+
+  /**
+   * Remove a socket from a presence channel's members. Remaining members
+   * get `member_removed` once the user's last tab has left.
+   */
+  async leavePresence(socket, channel) {
+    const left = await this.presence.leave(channel, socket.id, this.getPresenceMember(socket, channel).user_id);
+
+    if (left && left.last && this.io) {
+      this.io.to(channel).emit('member_removed', {
+        channel,
+        user_id: left.member.user_id,
+        user_info: left.member.user_info,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return left;
+  }
+
+  /**
+   * Get the members of a presence channel across every worker
+   */
+  async getPresenceMembers(channel) {
+    return this.presence.getMembers(channel);
+  }
+
+  /**
+   * Remove a socket from a channel it may no longer follow
+   * @param {Object} [options]
+   * @param {number} [options.retryAfterMs] - cooldown before the channel may be subscribed again
+   */
+  revoke(socket, channel, reason, { retryAfterMs = 0 } = {}) {
+    socket.leave(channel);
+    this.unsubscribe(socket, channel);
+    
+    socket.emit('subscription_revoked', {
+      channel,
+      reason,
+      retryAfterMs: retryAfterMs > 0 ? retryAfterMs : undefined,
+      timestamp: new Date().toISOString()
+    });
+    
+    logger.security('Channel subscription revoked', {
+      userId: socket.userId,
+      socketId: socket.id,
+      channel,
+      reason
+    });
+  }
+
+  /**
+   * Authorize this worker's subscribers of some channels again and revoke
+   * the subscriptions that are no longer allowed
+   * @returns {Promise<number>} Subscriptions revoked
+   */
+  async recheckAccess(channels) {
+    if (!this.io) return 0;
+    
+    const sockets = this.io.of('/').sockets;
+    let revoked = 0;
+    
+    for (const channel of channels) {
+      for (const socketId of Array.from(this.getChannelSubscribers(channel))) {
+        const socket = sockets.get(socketId);
+        if (!socket) continue;
+        
+        if (!(await this.authorize(socket, channel))) {
+          this.revoke(socket, channel, 'access_changed');
+          revoked++;
+        }
+      }
+    }
+    
+    return revoked;
+  }
+
+  /**
+   * Authorize a socket's channels again after its identity changed
+   * (reauthentication) and revoke the ones it may no longer follow. Cached
+   * decisions for the user are dropped first, so Laravel is asked again.
+   * @returns {Promise<Array<string>>} Channels revoked
+   */
+  async reauthorize(socket) {
+    channelAuthorizationService.invalidate({ userId: socket.userId });
+    
+    const revoked = [];
+    
+    for (const channel of Array.from(socket.rooms)) {
+      if (channel === socket.id) continue;
+      
+      if (!(await this.authorize(socket, channel))) {
+        this.revoke(socket, channel, 'access_changed');
+        revoked.push(channel);
+      }
+    }
+    
+    return revoked;
+  }
+
+  /**
+   * Revoke users' subscriptions on every worker and keep them from
+   * subscribing again until the cooldown ends. Cached Laravel authorization
+   * decisions of the users are dropped as well.
+   * @param {Object} criteria
+   * @param {Array<number>} criteria.userIds
+   * @param {Array<string>|null} criteria.channels - null for every channel
+   *   except the user's own private channel
+   * @param {string} criteria.reason - sent with `subscription_revoked`
+   * @param {number} criteria.cooldownMs
+   * @returns {Promise<{revoked: number, complete: boolean}>} Subscriptions revoked
+   */
+  async revokeSubscriptions(criteria) {
+    const local = this.revokeLocal(criteria);
+    const { responses, complete } = await this.queryCluster(ChannelManager.CLUSTER_EVENTS.REVOKE, criteria);
+    
+    for (const userId of criteria.userIds) {
+      channelAuthorizationService.invalidate({ userId, channels: criteria.channels });
+    }
+    
+    return {
+      revoked: responses.reduce((sum, count) => sum + count, local),
+      complete
+    };
+  }
+
+  /**
+   * Revoke matching subscriptions on this worker and record the cooldown
+   * @returns {number} Subscriptions revoked
+   */
+  revokeLocal({ userIds, channels, reason, cooldownMs }) {
+    const now = Date.now();
+    const sockets = this.io ? this.io.of('/').sockets : new Map();
+    let revoked = 0;
+    
+    // Drop cooldowns that have ended
+    for (const [key, cooldown] of this.cooldowns.entries()) {
+      if (cooldown.until <= now) {
+        this.cooldowns.delete(key);
+      }
+    }
+    
+    for (const userId of userIds) {
+      if (cooldownMs > 0) {
+        for (const channel of channels || ['*']) {
+          this.cooldowns.set(`${userId}|${channel}`, { reason, until: now + cooldownMs });
+        }
+      }
+      
+      const targets = channels ||
+        Array.from(this.getUserChannels(userId)).filter(channel => channel !== `private-user.${userId}`);
+      
+      for (const channel of targets) {
+        for (const socketId of Array.from(this.getChannelSubscribers(channel))) {
+          const socket = sockets.get(socketId);
+          if (!socket || String(socket.userId) !== String(userId)) continue;
+          
+          this.revoke(socket, channel, reason, { retryAfterMs: cooldownMs });
+          revoked++;
+        }
+      }
+    }
+    
+    return revoked;
+  }
+
+  /**
+   * Get the revocation cooldown keeping a user out of a channel
+   * @returns {{reason: string, retryAfterMs: number}|null}
+   */
+  getRevocationCooldown(userId, channel) {
+    const keys = [`${userId}|${channel}`];
+    if (channel !== `private-user.${userId}`) {
+      keys.push(`${userId}|*`);
+    }
+    
+    for (const key of keys) {
+      const cooldown = this.cooldowns.get(key);
+      if (cooldown && cooldown.until > Date.now()) {
+        return { reason: cooldown.reason, retryAfterMs: cooldown.until - Date.now() };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Relay a client-* event from a subscriber to the channel's other
+   * subscribers on every worker. The payload carries the sender's user ID
+   * (and member info on presence channels) as set by the server.
+   * @param {Object} payload - { channel, data }
+   * @returns {string|null} Error message, null once relayed
+   */
+  relayClientEvent(socket, event, payload) {
+    const { channel, data = null } = payload || {};
+    
+    if (!ChannelManager.CLIENT_EVENT_NAME.test(event)) {
+      return 'Invalid event name';
+    }
+    
+    if (typeof channel !== 'string' || !socket.rooms.has(channel)) {
+      return 'Not subscribed to channel';
+    }
+    
+    const family = channelRegistry.getFamily(channel);
+    if (!family || !family.clientEvents) {
+      return 'Client events are not allowed on this channel';
+    }
+    
+    if (Buffer.byteLength(JSON.stringify(data)) > family.clientEvents.maxPayloadBytes) {
+      return 'Payload too large';
+    }
+    
+    if (!channelRegistry.consumeClientEvent(socket, family)) {
+      logger.security('Client event rate limit exceeded', {
+        userId: socket.userId,
+        socketId: socket.id,
+        channel,
+        event
+      });
+      
+      return 'Rate limit exceeded';
+    }
+    
+    const sender = this.isPresenceChannel(channel)
+      ? this.getPresenceMember(socket, channel)
+      : { user_id: socket.userId };
+    
+    socket.to(channel).emit(event, {
+      channel,
+      data,
+      ...sender,
+      timestamp: new Date().toISOString()
+    });
+    
+    logger.debug('Client event relayed', { userId: socket.userId, channel, event });
+    
+    return null;
+  }
+
   /**
    * Unsubscribe socket from all channels
    */
@@ -329,12 +623,159 @@ class ChannelManager {
   }
 
   /**
-   * Get channel subscribers
+   * Get channel subscribers on this worker
    */
   getChannelSubscribers(channel) {
     return this.channels.get(channel) || new Set();
   }
 
+  /**
+   * Get channel subscribers on every worker
+   * @returns {Promise<{subscriberCount: number, nodes: Array, complete: boolean}>}
+   */
+  async getClusterChannelSubscribers(channel) {
+    const local = {
+      nodeId: config.cluster.nodeId,
+      subscribers: Array.from(this.getChannelSubscribers(channel))
+    };
+
+    const { responses, complete } = await this.queryCluster(
+      ChannelManager.CLUSTER_EVENTS.SUBSCRIBERS,
+      channel
+    );
+
+    const nodes = [local, ...responses].map(node => ({
+      nodeId: node.nodeId,
+      subscriberCount: node.subscribers.length,
+      subscribers: node.subscribers
+    }));
+
+    return {
+      subscriberCount: nodes.reduce((sum, node) => sum + node.subscriberCount, 0),
+      nodes,
+      complete
+    };
+  }
+
+  /**
+   * Count channel subscribers on every worker
+   * Runs on every broadcast, so workers answer with their count only.
+   */
+  async getClusterSubscriberCount(channel) {
+    const { responses } = await this.queryCluster(ChannelManager.CLUSTER_EVENTS.COUNT, channel);
+
+    return responses.reduce(
+      (sum, count) => sum + count,
+      this.getChannelSubscribers(channel).size
+    );
+  }
+
+  /**
+   * Assign the next sequence number of a channel to an event and keep it
+   * in the replay buffer
+   * @returns {Promise<Object>} Payload to emit, carrying `channel` and `seq`
+   */
+  async recordEvent(channel, event, data) {
+    try {
+      const entry = await this.history.append(channel, seq => ({
+        seq,
+        event,
+        data: { ...data, channel, seq },
+        timestamp: new Date().toISOString()
+      }));
+
+      return entry.data;
+    } catch (error) {
+      // Deliver unsequenced rather than drop the event
+      logger.errorWithStack('Failed to record channel event', error, { channel, event });
+      return data;
+    }
+  }
+
+  /**
+   * Get the last sequence number assigned on a channel
+   */
+  async getCurrentSeq(channel) {
+    return this.history.getCurrentSeq(channel);
+  }
+
+  /**
+   * Normalize client resume positions ({ channel: lastSeq }) from the
+   * handshake or a resume event, dropping anything that is not a sequence
+   */
+  parseResumePositions(positions) {
+    const parsed = new Map();
+
+    if (!positions || typeof positions !== 'object' || Array.isArray(positions)) {
+      return parsed;
+    }
+
+    for (const [channel, lastSeq] of Object.entries(positions).slice(0, ChannelManager.MAX_RESUME_CHANNELS)) {
+      const seq = Number(lastSeq);
+      if (Number.isSafeInteger(seq) && seq >= 0) {
+        parsed.set(channel, seq);
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Replay the events a socket missed on a channel since lastSeq.
+   * When the buffer no longer covers the gap the socket gets
+   * `resync_required` and should reload the channel state instead.
+   * The socket is already in the room, so live events may overtake or
+   * repeat the replay; clients order them by seq once the resume reply
+   * arrives (see docs/API.md, Channel Resume Events).
+   * @param {Object} [options]
+   * @param {Function} [options.emit] - emits replayed events (defaults to socket.emit)
+   * @returns {Promise<{status: string, seq: number, replayed: number}>}
+   */
+  async resume(socket, channel, lastSeq, { emit = (event, payload) => socket.emit(event, payload) } = {}) {
+    const { currentSeq, oldestSeq, entries } = await this.history.getSince(channel, lastSeq);
+
+    let reason = null;
+    if (lastSeq > currentSeq) {
+      // Counter restarted (buffer expired or store reset) since the client saw lastSeq
+      reason = 'sequence_reset';
+    } else if (lastSeq < currentSeq && (entries.length === 0 || entries[0].seq > lastSeq + 1)) {
+      reason = 'buffer_exceeded';
+    }
+
+    if (reason) {
+      socket.emit('resync_required', {
+        channel,
+        reason,
+        lastSeq,
+        currentSeq,
+        oldestSeq,
+        timestamp: new Date().toISOString()
+      });
+
+      logger.socketConnection(socket, 'resync_required', { channel, reason, lastSeq, currentSeq });
+
+      return { status: 'resync_required', seq: currentSeq, replayed: 0 };
+    }
+
+    for (const entry of entries) {
+      emit(entry.event, { ...entry.data, replayed: true });
+    }
+
+    if (entries.length > 0) {
+      logger.socketConnection(socket, 'channel_resumed', {
+        channel,
+        lastSeq,
+        replayed: entries.length
+      });
+    }
+
+    return {
+      status: 'resumed',
+      seq: entries.length > 0 ? entries[entries.length - 1].seq : currentSeq,
+      replayed: entries.length
+    };
+  }
+
   /**
    * Get user's subscribed channels
    */
@@ -357,45 +798,120 @@ class ChannelManager {
   }
 
   /**
-   * Get channel statistics
+   * Snapshot of this worker's channels for cluster stats
    */
-  getChannelStats() {
+  getLocalSnapshot() {
+    const channels = {};
+
+    for (const [channel, subscribers] of this.channels.entries()) {
+      channels[channel] = subscribers.size;
+    }
+
+    return {
+      nodeId: config.cluster.nodeId,
+      channels
+    };
+  }
+
+  /**
+   * Get channel type (its family name in the registry)
+   */
+  getChannelType(channel) {
+    const family = channelRegistry.getFamily(channel);
+    return family ? family.name : 'unknown';
+  }
+
+  /**
+   * Gather the channel snapshots of every worker
+   * @returns {Promise<{snapshots: Array, complete: boolean}>}
+   */
+  async getClusterSnapshots() {
+    const { responses, complete } = await this.queryCluster(ChannelManager.CLUSTER_EVENTS.SNAPSHOT);
+    return { snapshots: [this.getLocalSnapshot(), ...responses], complete };
+  }
+
+  /**
+   * Get the subscriber count of every channel across every worker
+   * @returns {Promise<{channels: Map, complete: boolean}>} channel -> subscriber count
+   */
+  async getClusterChannels() {
+    const { snapshots, complete } = await this.getClusterSnapshots();
+    const channels = new Map();
+
+    for (const snapshot of snapshots) {
+      for (const [channel, count] of Object.entries(snapshot.channels)) {
+        channels.set(channel, (channels.get(channel) || 0) + count);
+      }
+    }
+
+    return { channels, complete };
+  }
+
+  /**
+   * Get channel statistics merged across every worker
+   */
+  async getChannelStats() {
+    const { snapshots, complete } = await this.getClusterSnapshots();
+
+    const merged = new Map(); // channel -> subscriber count across nodes
+    const nodes = [];
+
+    for (const snapshot of snapshots) {
+      const entries = Object.entries(snapshot.channels);
+      let nodeSubscriptions = 0;
+
+      for (const [channel, count] of entries) {
+        merged.set(channel, (merged.get(channel) || 0) + count);
+        nodeSubscriptions += count;
+      }
+
+      nodes.push({
+        nodeId: snapshot.nodeId,
+        totalChannels: entries.length,
+        totalSubscriptions: nodeSubscriptions
+      });
+    }
+
     const stats = {
-      totalChannels: this.channels.size,
+      totalChannels: merged.size,
       totalSubscriptions: 0,
       channelsByType: {},
-      topChannels: []
+      topChannels: [],
+      nodeCount: nodes.length,
+      nodes,
+      complete
     };
-    
+
     // Count subscriptions and categorize channels
-    for (const [channel, subscribers] of this.channels.entries()) {
-      stats.totalSubscriptions += subscribers.size;
-      
+    for (const [channel, subscribers] of merged.entries()) {
+      stats.totalSubscriptions += subscribers;
+
       // Categorize by channel type
-      let type = 'unknown';
-      for (const [patternName, pattern] of Object.entries(ChannelManager.CHANNEL_PATTERNS)) {
-        if (pattern.test(channel)) {
-          type = patternName.toLowerCase();
-          break;
-        }
-      }
-      
+      const type = this.getChannelType(channel);
       stats.channelsByType[type] = (stats.channelsByType[type] || 0) + 1;
-      
+
       // Track top channels
       stats.topChannels.push({
         channel,
-        subscribers: subscribers.size,
+        subscribers,
         type
       });
     }
-    
+
     // Sort top channels by subscriber count
     stats.topChannels.sort((a, b) => b.subscribers - a.subscribers);
     stats.topChannels = stats.topChannels.slice(0, 10);
-    
+
     return stats;
   }
+
+  /**
+   * Close the channel history and presence stores
+   */
+  async close() {
+    await this.history.close();
+    await this.presence.close();
+  }
 }
 
 module.exports = new ChannelManager();
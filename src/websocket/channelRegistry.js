@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const channelConfig = require('../config/channels');
+const channelAuthorizationService = require('../services/channelAuthorizationService');
+const forumAccessService = require('../services/forumAccessService');
+
+/**
+ * Channel Registry
+ * Maps channel names to channel families (see config/channels.js) and
+ * authorizes subscriptions with the family's authorizer. The first family
+ * whose pattern matches a channel owns it; channels no family matches are
+ * denied.
+ *
+ * Authorizer types are factories: (options, family) -> async (socket, channel,
+ * match) returning a boolean or { allowed, reason, channelData }. Plugins can
+ * register their own types next to the built-in ones.
+ *
+ * In `broadcasting` mode (CHANNEL_AUTH_MODE) every private-* and presence-*
+ * channel is authorized by Laravel's broadcasting auth endpoint instead of
+ * its family's authorizer, and such channels no family matches fall back to
+ * the catch-all `private` and `presence` families.
+ *
+ * Besides the built-in families, families are loaded from a JSON file
+ * (CHANNEL_FAMILIES_FILE, patterns as strings) and from plugin modules
+ * (CHANNEL_PLUGINS) exporting either an array of families or a function
+ * called with the registry.
+ */
+
+class ChannelRegistry {
+  constructor() {
+    this.families = [];
+    this.fallbacks = [];
+    this.authorizers = new Map(); // type -> factory
+    this.attempts = new WeakMap(); // socket -> Map(`${kind}:${family}` -> { count, resetAt })
+
+    this.registerBuiltInAuthorizers();
+    this.broadcastingAuthorizer = this.authorizers.get('broadcasting')({});
+
+    for (const family of channelConfig.families) {
+      this.register(family);
+    }
+
+    if (config.channelAuthorization.mode === 'broadcasting') {
+      this.fallbacks = [
+        { name: 'private', pattern: /^private-/, authorizer: { type: 'broadcasting' }, private: true },
+        { name: 'presence', pattern: /^presence-/, authorizer: { type: 'broadcasting' }, presence: true, private: true }
+      ].map(family => this.compile(family));
+    }
+  }
+
+  /**
+   * Built-in authorizer types
+   */
+  registerBuiltInAuthorizers() {
+    // Any authenticated user
+    this.registerAuthorizer('public', () => async () => true);
+
+    // Role at least `minRole`
+    this.registerAuthorizer('role', ({ minRole }) => {
+      if (!channelConfig.roles[minRole]) {
+        throw new Error(`Unknown role: ${minRole}`);
+      }
+
+      return async (socket) => {
+        const authorized = this.roleLevel(socket.userRole) >= channelConfig.roles[minRole];
+        return { allowed: authorized, reason: authorized ? null : 'role' };
+      };
+    });
+
+    // Capture group `param` is the user's own ID
+    this.registerAuthorizer('owner', ({ param = 1 }) => async (socket, channel, match) => {
+      const authorized = String(socket.userId) === match[param];
+      return { allowed: authorized, reason: authorized ? null : 'not_owner' };
+    });
+
+    // Laravel knows who may see the underlying resource; capture groups are
+    // sent as `params` (e.g. thread_id)
+    this.registerAuthorizer('laravel', ({ params = [] }) => async (socket, channel, match) => {
+      const context = {};
+      params.forEach((name, index) => {
+        const value = match[index + 1];
+        context[name] = /^\d+$/.test(value) ? parseInt(value) : value;
+      });
+
+      return channelAuthorizationService.authorize(socket, channel, context);
+    });
+
+    // Laravel's broadcasting auth endpoint (/broadcasting/auth), as used by Echo
+    this.registerAuthorizer('broadcasting', () => async (socket, channel) => {
+      const { authorized, channelData } = await channelAuthorizationService.authorizeBroadcasting(socket, channel);
+      return { allowed: authorized, reason: authorized ? null : 'laravel', channelData };
+    });
+
+    // Per-forum rules (allowed roles, allow/deny lists, verified partners)
+    this.registerAuthorizer('forum_rules', () => async (socket, channel, match) => {
+      return forumAccessService.check({
+        userId: socket.userId,
+        role: socket.userRole,
+        isMember: this.roleLevel(socket.userRole) >= channelConfig.roles.member,
+        verifiedPartner: !!socket.userVerifiedPartner
+      }, parseInt(match[1]));
+    });
+
+    // Handler supplied by a plugin
+    this.registerAuthorizer('custom', ({ handler }) => {
+      if (typeof handler !== 'function') {
+        throw new Error('Custom authorizer needs a handler function');
+      }
+
+      return handler;
+    });
+  }
+
+  /**
+   * Add an authorizer type
+   * @param {string} type
+   * @param {Function} factory - (options, family) => async (socket, channel, match) => boolean|{allowed, reason, channelData}
+   */
+  registerAuthorizer(type, factory) {
+    this.authorizers.set(type, factory);
+  }
+
+  /**
+   * Add a channel family, replacing a family of the same name in place
+   * @param {Object} family - { name, pattern, authorizer, presence, private, rateLimit }
+   */
+  register(family) {
+    const compiled = this.compile(family);
+    const index = this.families.findIndex(existing => existing.name === family.name);
+
+    if (index === -1) {
+      this.families.push(compiled);
+    } else {
+      this.families[index] = compiled;
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Validate a family declaration and build its authorizer
+   */
+  compile(family) {
+    if (!family || !family.name || !family.pattern || !family.authorizer) {
+      throw new Error('Channel family needs a name, pattern and authorizer');
+    }
+
+    const factory = this.authorizers.get(family.authorizer.type);
+    if (!factory) {
+      throw new Error(`Unknown channel authorizer type: ${family.authorizer.type}`);
+    }
+
+    const rateLimit = family.rateLimit && family.rateLimit.max > 0
+      ? { max: family.rateLimit.max, windowMs: family.rateLimit.windowMs || 60 * 1000 }
+      : null;
+
+    // `clientEvents: true` takes the defaults from config.clientEvents
+    const clientEvents = family.clientEvents
+      ? {
+          maxPayloadBytes: family.clientEvents.maxPayloadBytes || config.clientEvents.maxPayloadBytes,
+          rateLimit: { ...config.clientEvents.rateLimit, ...family.clientEvents.rateLimit }
+        }
+      : null;
+
+    return {
+      name: family.name,
+      pattern: family.pattern instanceof RegExp ? family.pattern : new RegExp(family.pattern),
+      authorizer: family.authorizer,
+      authorize: factory(family.authorizer, family),
+      presence: !!family.presence,
+      private: !!family.private,
+      encrypted: !!family.encrypted,
+      rateLimit,
+      clientEvents
+    };
+  }
+
+  /**
+   * Load the families file and plugin modules from config.channels
+   */
+  loadExtensions({ familiesFile, plugins } = config.channels) {
+    if (familiesFile) {
+      const families = JSON.parse(fs.readFileSync(path.resolve(familiesFile), 'utf8'));
+
+      for (const family of families) {
+        this.register(family);
+      }
+
+      logger.info('Channel families loaded', { file: familiesFile, families: families.length });
+    }
+
+    for (const plugin of plugins) {
+      const extension = require(path.resolve(plugin));
+
+      if (typeof extension === 'function') {
+        extension(this);
+      } else if (Array.isArray(extension)) {
+        extension.forEach(family => this.register(family));
+      } else {
+        throw new Error(`Channel plugin must export a function or an array of families: ${plugin}`);
+      }
+
+      logger.info('Channel plugin loaded', { plugin });
+    }
+  }
+
+  /**
+   * Find the family owning a channel
+   * @returns {{family: Object, match: Array}|null}
+   */
+  match(channel) {
+    for (const family of [...this.families, ...this.fallbacks]) {
+      const match = channel.match(family.pattern);
+      if (match) {
+        return { family, match };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a channel's family, or null when no family owns it
+   */
+  getFamily(channel) {
+    const matched = this.match(channel);
+    return matched ? matched.family : null;
+  }
+
+  /**
+   * Get the level of a role in the hierarchy (0 for unknown roles)
+   */
+  roleLevel(role) {
+    return channelConfig.roles[role] || 0;
+  }
+
+  /**
+   * Authorize a socket for a channel with its family's authorizer
+   * @returns {Promise<{allowed: boolean, reason: string|null, family: string|null, channelData: Object|null}>}
+   *   channelData is the member info Laravel returned for a presence channel
+   */
+  async authorize(socket, channel) {
+    const matched = this.match(channel);
+
+    if (!matched) {
+      logger.security('Unknown channel pattern', {
+        userId: socket.userId,
+        channel,
+        socketId: socket.id
+      });
+
+      return { allowed: false, reason: 'unknown_channel', family: null, channelData: null };
+    }
+
+    const { family, match } = matched;
+
+    // Subscribers of encrypted channels need the per-channel key
+    if (family.encrypted && !config.pusher.encryptionMasterKey) {
+      logger.warn('Encrypted channel refused: no encryption master key configured', { channel });
+      return { allowed: false, reason: 'encryption_not_configured', family: family.name, channelData: null };
+    }
+
+    const authorize = channelAuthorizationService.usesBroadcastingAuth(channel)
+      ? this.broadcastingAuthorizer
+      : family.authorize;
+
+    const result = await authorize(socket, channel, match);
+    const allowed = typeof result === 'object' && result !== null ? !!result.allowed : result === true;
+    const reason = allowed ? null : ((result && result.reason) || 'denied');
+
+    if (!allowed) {
+      logger.security('Channel access denied', {
+        userId: socket.userId,
+        userRole: socket.userRole,
+        channel,
+        family: family.name,
+        reason
+      });
+    }
+
+    return { allowed, reason, family: family.name, channelData: (allowed && result.channelData) || null };
+  }
+
+  /**
+   * Count a subscribe attempt against the family's per-socket rate limit
+   * @returns {boolean} false when the socket is over the limit
+   */
+  consumeAttempt(socket, channel) {
+    const family = this.getFamily(channel);
+    if (!family || !family.rateLimit) return true;
+
+    if (!this.consume(socket, `subscribe:${family.name}`, family.rateLimit)) {
+      logger.security('Channel subscribe rate limit exceeded', {
+        userId: socket.userId,
+        socketId: socket.id,
+        channel,
+        family: family.name
+      });
+
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Count a client event against the family's per-socket client event limit
+   * @returns {boolean} false when the socket is over the limit
+   */
+  consumeClientEvent(socket, family) {
+    return this.consume(socket, `client:${family.name}`, family.clientEvents.rateLimit);
+  }
+
+  /**
+   * Count one hit in a socket's fixed window
+   * @returns {boolean} false when the window is already full
+   */
+  consume(socket, key, { max, windowMs }) {
+    if (!this.attempts.has(socket)) {
+      this.attempts.set(socket, new Map());
+    }
+
+    const windows = this.attempts.get(socket);
+    const now = Date.now();
+    let window = windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+
+    window.count++;
+
+    return window.count <= max;
+  }
+
+  /**
+   * Describe the registered families
+   */
+  list() {
+    return [...this.families, ...this.fallbacks].map(family => ({
+      name: family.name,
+      pattern: family.pattern.source,
+      authorizer: family.authorizer.type,
+      presence: family.presence,
+      private: family.private,
+      encrypted: family.encrypted,
+      rateLimit: family.rateLimit,
+      clientEvents: family.clientEvents
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new ChannelRegistry();
@@ -0,0 +1,203 @@
+const { EventEmitter } = require('events');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createRedisClient, closeRedisClient, redisKey } = require('../utils/redis');
+
+/**
+ * Cluster Adapter Layer
+ * Pluggable Socket.IO adapters so broadcasts, fetchSockets() and
+ * serverSideEmit() reach every worker of a PM2 cluster.
+ *
+ * Available adapters:
+ * - redis: pub/sub over the configured Redis server (production)
+ * - memory: in-process bus shared by several Server instances (tests)
+ * - none: Socket.IO default, single process only
+ *
+ * Packets are serialized as JSON, so payloads must not contain binary data.
+ */
+
+/**
+ * Redis pub/sub adapter
+ * Every node publishes on one channel per namespace and receives
+ * request responses on its own channel.
+ */
+class RedisClusterAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, pubClient, subClient, opts = {}) {
+    super(nsp, opts);
+
+    this.pubClient = pubClient;
+    this.subClient = subClient;
+    this.channel = redisKey('socket.io', nsp.name);
+    this.responseChannel = redisKey('socket.io-response', nsp.name, this.uid);
+
+    this.messageListener = (raw) => this.handleRawMessage(raw);
+    this.responseListener = (raw) => this.handleRawResponse(raw);
+
+    Promise.all([
+      this.subClient.subscribe(this.channel, this.messageListener),
+      this.subClient.subscribe(this.responseChannel, this.responseListener)
+    ])
+      .then(() => this.init())
+      .catch((error) => {
+        logger.errorWithStack('Redis adapter subscription failed', error, {
+          namespace: nsp.name
+        });
+      });
+  }
+
+  handleRawMessage(raw) {
+    try {
+      this.onMessage(JSON.parse(raw));
+    } catch (error) {
+      logger.errorWithStack('Invalid cluster message', error, { channel: this.channel });
+    }
+  }
+
+  handleRawResponse(raw) {
+    try {
+      this.onResponse(JSON.parse(raw));
+    } catch (error) {
+      logger.errorWithStack('Invalid cluster response', error, { channel: this.responseChannel });
+    }
+  }
+
+  async doPublish(message) {
+    await this.pubClient.publish(this.channel, JSON.stringify(message));
+    // Offsets are only used for connection state recovery, which pub/sub cannot provide
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    const channel = redisKey('socket.io-response', this.nsp.name, requesterUid);
+    await this.pubClient.publish(channel, JSON.stringify(response));
+  }
+
+  close() {
+    super.close();
+
+    return Promise.all([
+      this.subClient.unsubscribe(this.channel, this.messageListener),
+      this.subClient.unsubscribe(this.responseChannel, this.responseListener)
+    ]).catch(() => {});
+  }
+}
+
+/**
+ * In-process message bus
+ * Stands in for Redis so several Server instances in one process
+ * behave like separate cluster workers.
+ */
+class InMemoryClusterBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Deliver asynchronously, after a JSON round trip, to mimic a network hop
+   */
+  publish(channel, message) {
+    const payload = JSON.stringify(message);
+    setImmediate(() => this.emit(channel, JSON.parse(payload)));
+  }
+}
+
+/**
+ * Adapter backed by an InMemoryClusterBus
+ */
+class InMemoryClusterAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts = {}) {
+    super(nsp, opts);
+
+    this.bus = bus;
+    this.channel = `message:${nsp.name}`;
+    this.responseChannel = `response:${nsp.name}:${this.uid}`;
+
+    this.messageListener = (message) => this.onMessage(message);
+    this.responseListener = (response) => this.onResponse(response);
+
+    this.bus.on(this.channel, this.messageListener);
+    this.bus.on(this.responseChannel, this.responseListener);
+
+    this.init();
+  }
+
+  async doPublish(message) {
+    this.bus.publish(this.channel, message);
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    this.bus.publish(`response:${this.nsp.name}:${requesterUid}`, response);
+  }
+
+  close() {
+    super.close();
+
+    this.bus.off(this.channel, this.messageListener);
+    this.bus.off(this.responseChannel, this.responseListener);
+  }
+}
+
+/**
+ * Create the cluster adapter selected in config.cluster.adapter
+ *
+ * @param {Object} [options]
+ * @param {string} [options.type] - Override config.cluster.adapter
+ * @param {InMemoryClusterBus} [options.bus] - Shared bus for the memory adapter
+ * @returns {Promise<Object|null>} { type, adapter, close } or null when clustering is off
+ */
+async function createClusterAdapter(options = {}) {
+  const type = options.type || config.cluster.adapter;
+  const opts = {
+    heartbeatInterval: config.cluster.heartbeatInterval,
+    heartbeatTimeout: config.cluster.heartbeatTimeout
+  };
+
+  switch (type) {
+    case 'redis': {
+      const pubClient = await createRedisClient('adapter-pub');
+      const subClient = await createRedisClient('adapter-sub');
+
+      return {
+        type,
+        adapter: function (nsp) {
+          return new RedisClusterAdapter(nsp, pubClient, subClient, opts);
+        },
+        close: async () => {
+          await closeRedisClient(subClient);
+          await closeRedisClient(pubClient);
+        }
+      };
+    }
+
+    case 'memory': {
+      const bus = options.bus || new InMemoryClusterBus();
+
+      return {
+        type,
+        bus,
+        adapter: function (nsp) {
+          return new InMemoryClusterAdapter(nsp, bus, opts);
+        },
+        close: async () => {}
+      };
+    }
+
+    case 'none':
+    case '':
+      return null;
+
+    default:
+      throw new Error(`Unknown Socket.IO adapter: ${type}`);
+  }
+}
+
+module.exports = {
+  createClusterAdapter,
+  RedisClusterAdapter,
+  InMemoryClusterAdapter,
+  InMemoryClusterBus
+};
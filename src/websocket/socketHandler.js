@@ -1,6 +1,11 @@
 const logger = require('../utils/logger');
 const channelManager = require('./channelManager');
-const connectionManager = require('../services/ConnectionManager');
+const offlineQueueService = require('../services/offlineQueueService');
+const deliveryTracker = require('../services/deliveryTracker');
+const notificationService = require('../services/notificationService');
+const sanctumTokenService = require('../services/sanctumTokenService');
+const { authenticateToken, applyIdentity } = require('../middleware/auth');
+const { validatePreferencesUpdate } = require('../validation/preferencesValidation');
 const performanceMonitor = require('../utils/performanceMonitor');
 const errorHandler = require('../utils/errorHandler');
 
@@ -11,8 +16,9 @@ function socketHandler(socket, io, server) {
   const userId = socket.userId;
   const socketId = socket.id;
 
-  // Check connection limits and register connection
-  const connectionResult = connectionManager.addConnection(userId, socket);
+  // Connection limits are checked and the session registered by the
+  // admission middleware during the handshake (see server.setupSocketIO)
+  const connectionResult = socket.connectionResult;
 
   if (!connectionResult.allowed) {
     logger.warn('Connection rejected', {
@@ -46,22 +52,128 @@ function socketHandler(socket, io, server) {
     remoteAddress: socket.handshake.address
   });
 
+  // token_expiring shortly before the token's exp, session_expired at it
+  sanctumTokenService.watchExpiry(socket);
+
+  // Last sequence seen per channel before the reconnect ({ channel: lastSeq });
+  // each position is used by the first subscription to that channel
+  const resumePositions = channelManager.parseResumePositions(socket.handshake.auth?.resume);
+
+  // Replays to this socket send tracked notifications with an ack
+  const replayEmit = deliveryTracker.createSocketEmitter(socket);
+
+  const takeResumePosition = (channel, lastSeq) => {
+    const explicit = channelManager.parseResumePositions({ [channel]: lastSeq }).get(channel);
+    const position = explicit !== undefined ? explicit : resumePositions.get(channel);
+
+    resumePositions.delete(channel);
+    return position;
+  };
+
+  /**
+   * Authorize and join a channel, then replay what the client missed since
+   * lastSeq. Resolves to null when the socket may not join the channel, to
+   * { status: 'revoked' } while a revocation cooldown keeps the user out and
+   * to { status: 'rate_limited' } when it tried too often.
+   * Presence channels also resolve the member list, encrypted channels the
+   * per-channel key.
+   */
+  const subscribeToChannel = async (channel, lastSeq) => {
+    const cooldown = channelManager.getRevocationCooldown(userId, channel);
+    if (cooldown) {
+      return { status: 'revoked', ...cooldown };
+    }
+
+    if (!channelManager.consumeSubscribeAttempt(socket, channel)) {
+      return { status: 'rate_limited' };
+    }
+
+    const authorized = await channelManager.authorize(socket, channel);
+    if (!authorized) {
+      return null;
+    }
+
+    const sharedSecret = channelManager.getSharedSecret(channel) || undefined;
+
+    // Join before reading the buffer so no event falls between replay and live
+    // delivery; clients hold live events until the reply and drop repeated seqs
+    socket.join(channel);
+    channelManager.subscribe(socket, channel);
+
+    const presence = channelManager.isPresenceChannel(channel)
+      ? await channelManager.joinPresence(socket, channel)
+      : undefined;
+
+    const position = takeResumePosition(channel, lastSeq);
+    if (position === undefined) {
+      return { status: 'subscribed', seq: await channelManager.getCurrentSeq(channel), replayed: 0, presence, sharedSecret };
+    }
+
+    return { ...(await channelManager.resume(socket, channel, position, { emit: replayEmit })), presence, sharedSecret };
+  };
+
   // Auto-subscribe to user's private channel
   const userChannel = `private-user.${userId}`;
   socket.join(userChannel);
+  channelManager.subscribe(socket, userChannel);
 
-  // Send connection confirmation
-  socket.emit('connected', {
-    socketId,
-    userId,
-    timestamp: new Date().toISOString(),
-    channels: [userChannel]
-  });
+  const userChannelPosition = takeResumePosition(userChannel);
+
+  // Resume the private channel, replay events missed while offline and
+  // re-send unacknowledged notifications, then send connection confirmation
+  Promise.resolve(userChannelPosition === undefined
+    ? null
+    : channelManager.resume(socket, userChannel, userChannelPosition, { emit: replayEmit }))
+    .catch((error) => {
+      logger.errorWithStack('Channel resume error', error, {
+        socketId,
+        userId,
+        channel: userChannel
+      });
+      return null;
+    })
+    .then((resumed) => offlineQueueService.replay(socket, {
+      // Queued events the channel buffer already replayed are not sent twice
+      deliveredThrough: resumed && resumed.status === 'resumed' ? { [userChannel]: resumed.seq } : {},
+      emit: replayEmit
+    }))
+    .catch((error) => {
+      logger.errorWithStack('Offline replay error', error, {
+        socketId,
+        userId
+      });
+      return { replayed: 0, remaining: 0 };
+    })
+    .then(async (missed) => {
+      try {
+        missed.redelivered = await deliveryTracker.redeliverPending(socket, replayEmit);
+      } catch (error) {
+        logger.errorWithStack('Notification redelivery error', error, {
+          socketId,
+          userId
+        });
+        missed.redelivered = 0;
+      }
+      return missed;
+    })
+    .then(({ replayed, remaining, redelivered }) => {
+      socket.emit('connected', {
+        socketId,
+        userId,
+        timestamp: new Date().toISOString(),
+        channels: [userChannel],
+        missedNotifications: {
+          replayed,
+          remaining,
+          redelivered
+        }
+      });
+    });
 
   // Handle channel subscription
   socket.on('subscribe', async (data) => {
     try {
-      const { channel } = data;
+      const { channel, lastSeq } = data;
 
       if (!channel) {
         socket.emit('subscription_error', {
@@ -70,25 +182,45 @@ function socketHandler(socket, io, server) {
         return;
       }
 
-      logger.socketConnection(socket, 'subscribe_request', { channel });
+      logger.socketConnection(socket, 'subscribe_request', { channel, lastSeq });
 
-      // Check authorization with channel manager
-      const authorized = await channelManager.authorize(socket, channel);
+      // Check authorization, join and resume from the last seen sequence
+      const result = await subscribeToChannel(channel, lastSeq);
 
-      if (authorized) {
-        // Join Socket.IO room
-        socket.join(channel);
+      if (result && result.status === 'revoked') {
+        socket.emit('subscription_error', {
+          channel,
+          error: 'Subscription revoked',
+          reason: result.reason,
+          retryAfterMs: result.retryAfterMs
+        });
 
-        // Track subscription in channel manager
-        channelManager.subscribe(socket, channel);
+        logger.socketConnection(socket, 'subscription_denied', { channel, reason: result.reason });
+      } else if (result && result.status === 'rate_limited') {
+        socket.emit('subscription_error', {
+          channel,
+          error: 'Rate limit exceeded'
+        });
+
+        logger.socketConnection(socket, 'subscription_rate_limited', { channel });
+      } else if (result) {
+        // Only resumed subscriptions report what was replayed
+        let resume = null;
+        if (result.status !== 'subscribed') {
+          resume = { status: result.status, replayed: result.replayed };
+        }
 
         socket.emit('subscribed', {
           channel,
           status: 'success',
+          seq: result.seq,
+          resume,
+          presence: result.presence,
+          sharedSecret: result.sharedSecret,
           timestamp: new Date().toISOString()
         });
 
-        logger.socketConnection(socket, 'subscribed', { channel });
+        logger.socketConnection(socket, 'subscribed', { channel, seq: result.seq });
       } else {
         socket.emit('subscription_error', {
           channel,
@@ -111,6 +243,36 @@ function socketHandler(socket, io, server) {
     }
   });
 
+  // Handle resuming several channels at once after a reconnect.
+  // Channels the socket has not joined yet are subscribed first.
+  socket.on('resume', async (data = {}) => {
+    const positions = channelManager.parseResumePositions(data.channels);
+    const results = {};
+
+    for (const [channel, lastSeq] of positions) {
+      try {
+        if (socket.rooms.has(channel)) {
+          results[channel] = await channelManager.resume(socket, channel, lastSeq, { emit: replayEmit });
+        } else {
+          results[channel] = await subscribeToChannel(channel, lastSeq) || { status: 'unauthorized' };
+        }
+      } catch (error) {
+        logger.errorWithStack('Channel resume error', error, {
+          socketId,
+          userId,
+          channel
+        });
+
+        results[channel] = { status: 'error' };
+      }
+    }
+
+    socket.emit('resumed', {
+      channels: results,
+      timestamp: new Date().toISOString()
+    });
+  });
+
   // Handle channel unsubscription
   socket.on('unsubscribe', (data) => {
     try {
@@ -142,25 +304,22 @@ function socketHandler(socket, io, server) {
   });
 
   // Handle notification acknowledgment
-  socket.on('notification_read', async (data) => {
+  socket.on('notification_read', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
     try {
       const { notificationId } = data;
 
       if (!notificationId) {
-        return;
+        return reply({ success: false, error: 'notificationId is required' });
       }
 
       logger.socketConnection(socket, 'notification_read', { notificationId });
 
-      // TODO: Update notification status in database
-      // TODO: Broadcast to user's other devices
+      // Persists the read; every device (this one included) is synced via notification.read
+      const result = await notificationService.markAsRead(String(notificationId), userId);
 
-      // Broadcast to user's other devices
-      socket.to(`private-user.${userId}`).emit('notification_read', {
-        notificationId,
-        readBy: userId,
-        timestamp: new Date().toISOString()
-      });
+      reply(result);
 
     } catch (error) {
       logger.errorWithStack('Notification read error', error, {
@@ -168,6 +327,76 @@ function socketHandler(socket, io, server) {
         userId,
         notificationId: data.notificationId
       });
+
+      reply({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Handle reading notification preferences
+  socket.on('get_preferences', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : (result) => socket.emit('preferences', result);
+
+    try {
+      reply({ success: true, preferences: await notificationService.getPreferences(userId) });
+
+    } catch (error) {
+      logger.errorWithStack('Get preferences error', error, {
+        socketId,
+        userId
+      });
+
+      reply({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Handle preference updates; every device is synced via notification.preferences_updated
+  socket.on('update_preferences', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : (result) => socket.emit('preferences', result);
+
+    try {
+      const validation = validatePreferencesUpdate(data);
+      if (!validation.isValid) {
+        return reply({ success: false, error: 'Invalid preferences', details: validation.errors });
+      }
+
+      logger.socketConnection(socket, 'update_preferences', {
+        fields: Object.keys(validation.data)
+      });
+
+      reply({
+        success: true,
+        preferences: await notificationService.updatePreferences(userId, validation.data)
+      });
+
+    } catch (error) {
+      logger.errorWithStack('Update preferences error', error, {
+        socketId,
+        userId
+      });
+
+      reply({ success: false, error: 'Internal error' });
+    }
+  });
+
+  // Handle paging through notifications missed while offline
+  socket.on('get_missed_notifications', async (data = {}) => {
+    try {
+      const page = await offlineQueueService.getPage(userId, {
+        cursor: data.cursor,
+        limit: data.limit
+      });
+
+      socket.emit('missed_notifications', page);
+
+    } catch (error) {
+      logger.errorWithStack('Missed notifications error', error, {
+        socketId,
+        userId
+      });
+
+      socket.emit('missed_notifications_error', {
+        error: 'Internal error'
+      });
     }
   });
 
@@ -198,6 +427,34 @@ function socketHandler(socket, io, server) {
     }
   });
 
+  // Relay client-* events to the other subscribers of a channel
+  socket.onAny((event, payload, ack) => {
+    if (typeof event !== 'string' || !event.startsWith('client-')) return;
+
+    const reply = [payload, ack].find(arg => typeof arg === 'function');
+
+    try {
+      const error = channelManager.relayClientEvent(socket, event, typeof payload === 'function' ? null : payload);
+
+      if (reply) {
+        reply(error ? { success: false, error } : { success: true });
+      } else if (error) {
+        socket.emit('client_event_error', {
+          event,
+          channel: payload && payload.channel,
+          error
+        });
+      }
+
+    } catch (error) {
+      logger.errorWithStack('Client event error', error, {
+        socketId,
+        userId,
+        event
+      });
+    }
+  });
+
   // Handle typing indicators (for future chat features)
   socket.on('typing_start', (data) => {
     try {
@@ -239,6 +496,67 @@ function socketHandler(socket, io, server) {
     }
   });
 
+  // Swap in a fresh token without reconnecting (e.g. after token_expiring).
+  // The token must belong to the same user; role and permissions are
+  // updated and every channel is authorized again under the new token.
+  socket.on('reauthenticate', async (data = {}, ack) => {
+    const reply = typeof ack === 'function'
+      ? ack
+      : (response) => socket.emit(response.success ? 'reauthenticated' : 'reauthentication_error', response);
+
+    try {
+      const { token } = data;
+
+      if (typeof token !== 'string' || token.length === 0) {
+        reply({ success: false, error: 'token is required' });
+        return;
+      }
+
+      const identity = await authenticateToken(token);
+
+      if (String(identity.user.id) !== String(userId)) {
+        logger.security('Reauthentication rejected: token belongs to another user', {
+          userId,
+          socketId,
+          tokenUserId: identity.user.id
+        });
+
+        reply({ success: false, error: 'Token belongs to another user' });
+        return;
+      }
+
+      applyIdentity(socket, identity, token);
+      sanctumTokenService.watchExpiry(socket);
+
+      const revoked = await channelManager.reauthorize(socket);
+
+      logger.auth('Socket reauthenticated', {
+        userId,
+        socketId,
+        role: socket.userRole,
+        tokenType: socket.tokenType,
+        revoked
+      });
+
+      reply({
+        success: true,
+        role: socket.userRole,
+        permissions: socket.userPermissions,
+        expiresAt: socket.tokenExpiresAt ? new Date(socket.tokenExpiresAt).toISOString() : null,
+        revoked
+      });
+
+    } catch (error) {
+      logger.auth('Reauthentication failed', {
+        userId,
+        socketId,
+        error: error.message
+      });
+
+      reply({ success: false, error: `Authentication failed: ${error.message}` });
+    }
+  });
+
   // Handle errors
   socket.on('error', (error) => {
     logger.errorWithStack('Socket error', error, {
@@ -251,6 +569,7 @@ function socketHandler(socket, io, server) {
   socket.on('disconnect', (reason) => {
     // Clean up channel subscriptions
     channelManager.unsubscribeAll(socket);
+    sanctumTokenService.unwatchExpiry(socket);
 
     logger.socketConnection(socket, 'disconnected', {
       reason,
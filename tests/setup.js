@@ -0,0 +1,9 @@
+/**
+ * Jest setup
+ * Keeps test runs quiet and independent of a local .env.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+
+jest.setTimeout(10000);
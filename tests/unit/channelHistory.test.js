@@ -0,0 +1,58 @@
+const { MemoryChannelHistoryStore } = require('../../src/stores/channelHistory');
+
+function entry(seq) {
+  return { seq, event: 'thread.updated', data: { seq } };
+}
+
+describe('MemoryChannelHistoryStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryChannelHistoryStore({ maxEvents: 3, ttlMs: 60000 });
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('numbers events per channel starting at 1', async () => {
+    await store.append('forum.1', entry);
+    await store.append('forum.1', entry);
+    await store.append('forum.2', entry);
+
+    expect(await store.getCurrentSeq('forum.1')).toBe(2);
+    expect(await store.getCurrentSeq('forum.2')).toBe(1);
+    expect(await store.getCurrentSeq('forum.3')).toBe(0);
+  });
+
+  it('returns the events after lastSeq', async () => {
+    for (let i = 0; i < 3; i++) {
+      await store.append('forum.1', entry);
+    }
+
+    const { currentSeq, oldestSeq, entries } = await store.getSince('forum.1', 1);
+    expect(currentSeq).toBe(3);
+    expect(oldestSeq).toBe(1);
+    expect(entries.map(e => e.seq)).toEqual([2, 3]);
+  });
+
+  it('keeps only the last maxEvents events', async () => {
+    for (let i = 0; i < 5; i++) {
+      await store.append('forum.1', entry);
+    }
+
+    const { currentSeq, oldestSeq, entries } = await store.getSince('forum.1', 0);
+    expect(currentSeq).toBe(5);
+    expect(oldestSeq).toBe(3);
+    expect(entries.map(e => e.seq)).toEqual([3, 4, 5]);
+  });
+
+  it('drops channels idle longer than the TTL', async () => {
+    await store.append('forum.1', entry);
+    store.channels.get('forum.1').lastActivity = Date.now() - 120000;
+
+    store.cleanup();
+
+    expect(await store.getSince('forum.1', 0)).toEqual({ currentSeq: 0, oldestSeq: null, entries: [] });
+  });
+});
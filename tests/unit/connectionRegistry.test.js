@@ -0,0 +1,55 @@
+const { MemoryConnectionRegistry } = require('../../src/stores/connectionRegistry');
+
+describe('MemoryConnectionRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MemoryConnectionRegistry();
+  });
+
+  it('counts attempts within their window', async () => {
+    expect(await registry.recordAttempt(42, 60000)).toBe(1);
+    expect(await registry.recordAttempt('42', 60000)).toBe(2);
+    expect(await registry.getAttemptCount(42)).toBe(2);
+
+    await registry.recordAttempt(7, -1);
+    expect(await registry.getAttemptCount(7)).toBe(0);
+    expect(await registry.countAttempts()).toBe(1);
+  });
+
+  it('lets one socket own a user session at a time', async () => {
+    const first = await registry.claimSession(42, { socketId: 'a' }, 60000);
+    const second = await registry.claimSession(42, { socketId: 'b' }, 60000);
+
+    expect(first).toEqual({ claimed: true, existing: null });
+    expect(second).toEqual({ claimed: false, existing: { socketId: 'a' } });
+    expect(await registry.countSessions()).toBe(1);
+  });
+
+  it('refreshes and releases sessions for their owner only', async () => {
+    await registry.claimSession(42, { socketId: 'a' }, 60000);
+
+    expect(await registry.refreshSession(42, 'b', 60000)).toBe(false);
+    expect(await registry.refreshSession(42, 'a', 60000)).toBe(true);
+    expect((await registry.getSession(42)).lastActivity).toEqual(expect.any(String));
+
+    expect(await registry.releaseSession(42, 'b')).toBe(false);
+    expect(await registry.releaseSession(42, 'a')).toBe(true);
+    expect(await registry.getSession(42)).toBeNull();
+  });
+
+  it('frees sessions that were not refreshed in time', async () => {
+    await registry.claimSession(42, { socketId: 'a' }, -1);
+
+    expect(await registry.getSession(42)).toBeNull();
+    expect(await registry.refreshSession(42, 'a', 60000)).toBe(false);
+    expect((await registry.claimSession(42, { socketId: 'b' }, 60000)).claimed).toBe(true);
+  });
+
+  it('does not hand out its stored session objects', async () => {
+    await registry.claimSession(42, { socketId: 'a' }, 60000);
+
+    (await registry.getSession(42)).socketId = 'changed';
+    expect((await registry.getSession(42)).socketId).toBe('a');
+  });
+});
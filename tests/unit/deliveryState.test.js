@@ -0,0 +1,115 @@
+const { MemoryDeliveryStateStore } = require('../../src/stores/deliveryState');
+const deliveryTracker = require('../../src/services/deliveryTracker');
+
+function record(id, userId = 1) {
+  return {
+    id,
+    userId,
+    channel: `private-user.${userId}`,
+    event: 'notification.sent',
+    payload: { id, title: 'New reply' },
+    state: 'pending',
+    attempts: 0,
+    queued: false,
+    createdAt: new Date().toISOString()
+  };
+}
+
+describe('MemoryDeliveryStateStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryDeliveryStateStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('lists a user\'s pending records, oldest first, up to the limit', async () => {
+    await store.create(record('n1'), 60000);
+    await store.create(record('n2'), 60000);
+    await store.create(record('n3', 2), 60000);
+
+    expect((await store.listPending(1, 10)).map(r => r.id)).toEqual(['n1', 'n2']);
+    expect((await store.listPending(1, 1)).map(r => r.id)).toEqual(['n1']);
+  });
+
+  it('updates records and drops them from the pending index', async () => {
+    await store.create(record('n1'), 60000);
+
+    const updated = await store.update('n1', { state: 'delivered' });
+    await store.removePending(1, 'n1');
+
+    expect(updated.state).toBe('delivered');
+    expect(await store.listPending(1, 10)).toEqual([]);
+    expect(await store.update('missing', { state: 'read' })).toBeNull();
+  });
+
+  it('expires records after their TTL', async () => {
+    await store.create(record('n1'), -1);
+
+    expect(await store.get('n1')).toBeNull();
+
+    store.cleanup();
+    expect(store.records.size).toBe(0);
+    expect(store.pending.size).toBe(0);
+  });
+
+  it('counts and resets counters', async () => {
+    await store.increment('sent');
+    await store.increment('sent', 2);
+
+    expect(await store.getCounters()).toEqual({ sent: 3 });
+
+    await store.resetCounters();
+    expect(await store.getCounters()).toEqual({});
+  });
+});
+
+describe('DeliveryTracker', () => {
+  beforeEach(() => {
+    deliveryTracker.store = new MemoryDeliveryStateStore();
+  });
+
+  afterEach(async () => {
+    await deliveryTracker.close();
+  });
+
+  it('drops the payload once a notification is delivered', async () => {
+    await deliveryTracker.store.create(record('n1'), 60000);
+
+    expect(await deliveryTracker.markDelivered('n1')).toBe(true);
+
+    const stored = await deliveryTracker.getStatus('n1');
+    expect(stored.state).toBe('delivered');
+    expect(stored.payload).toBeNull();
+  });
+
+  it('flags re-sends as redelivered', () => {
+    const emitted = [];
+    const io = {
+      to: () => ({
+        timeout: () => ({
+          emit: (event, payload) => emitted.push(payload)
+        })
+      })
+    };
+    const pending = record('n1');
+
+    deliveryTracker.attempt(io, pending);
+    deliveryTracker.attempt(io, pending);
+
+    expect(emitted[0].redelivered).toBeUndefined();
+    expect(emitted[1]).toEqual({ id: 'n1', title: 'New reply', redelivered: true });
+  });
+
+  it('only lets the owner mark a notification read, and never moves backwards', async () => {
+    await deliveryTracker.store.create(record('n1'), 60000);
+
+    expect(await deliveryTracker.markRead('n1', 2)).toBe(false);
+    expect(await deliveryTracker.markRead('n1', 1)).toBe(true);
+    expect(await deliveryTracker.markDelivered('n1')).toBe(false);
+    expect((await deliveryTracker.getStatus('n1')).state).toBe('read');
+  });
+});
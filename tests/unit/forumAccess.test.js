@@ -0,0 +1,97 @@
+const forumAccessService = require('../../src/services/forumAccessService');
+const { normalizeRule } = require('../../src/stores/forumAccessRules');
+
+const member = { userId: 42, role: 'member', isMember: true, verifiedPartner: false };
+
+function rule(forumId, overrides = {}) {
+  return {
+    forumId,
+    allowedRoles: [],
+    allowedUsers: [],
+    deniedUsers: [],
+    verifiedPartnersOnly: false,
+    ...overrides
+  };
+}
+
+describe('normalizeRule', () => {
+  it('converts Laravel rows, including JSON columns sent as strings', () => {
+    expect(normalizeRule({
+      forum_id: '3',
+      allowed_roles: '["moderator"]',
+      allowed_user_ids: ['42'],
+      denied_user_ids: null,
+      verified_partners_only: '0'
+    })).toEqual(rule(3, { allowedRoles: ['moderator'], allowedUsers: [42] }));
+  });
+});
+
+describe('ForumAccessService', () => {
+  let changed;
+
+  beforeEach(() => {
+    changed = [];
+    forumAccessService.rules = new Map();
+    forumAccessService.loaded = false;
+    forumAccessService.lastError = null;
+    forumAccessService.onRulesChanged(forumIds => changed.push(...forumIds));
+  });
+
+  function useSource(loadAll) {
+    forumAccessService.source = { type: 'laravel', loadAll, close: async () => {} };
+  }
+
+  it('denies every forum until the rules have been loaded', async () => {
+    useSource(jest.fn().mockRejectedValue(new Error('Laravel unavailable')));
+
+    await forumAccessService.refresh();
+
+    expect(forumAccessService.check(member, 1)).toEqual({ allowed: false, reason: 'rules_unavailable' });
+    expect(forumAccessService.getStats()).toMatchObject({ loaded: false, lastError: 'Laravel unavailable' });
+  });
+
+  it('keeps the last loaded rules when a refresh fails', async () => {
+    const loadAll = jest.fn().mockResolvedValueOnce([rule(1, { deniedUsers: [42] })]);
+    useSource(loadAll);
+
+    await forumAccessService.refresh();
+    loadAll.mockRejectedValueOnce(new Error('timeout'));
+    await forumAccessService.refresh();
+
+    expect(forumAccessService.check(member, 1)).toEqual({ allowed: false, reason: 'denied_user' });
+    expect(forumAccessService.check(member, 2)).toEqual({ allowed: true, reason: null });
+  });
+
+  it('reports the forums whose rule changed on refresh', async () => {
+    const loadAll = jest.fn()
+      .mockResolvedValueOnce([rule(1), rule(2)])
+      .mockResolvedValueOnce([rule(1), rule(3)]);
+    useSource(loadAll);
+
+    await forumAccessService.refresh();
+    changed = [];
+    await forumAccessService.refresh();
+
+    expect(changed.sort()).toEqual([2, 3]);
+  });
+
+  it('evaluates denied users, allowed users, roles and verified partners', () => {
+    forumAccessService.loaded = true;
+    forumAccessService.setRule(1, { allowed_roles: ['moderator'], allowed_user_ids: [42] });
+    forumAccessService.setRule(2, { allowed_roles: ['moderator'] });
+    forumAccessService.setRule(3, { verified_partners_only: true });
+
+    const guest = { userId: 7, role: 'guest', isMember: false };
+
+    expect(forumAccessService.check(member, 1).allowed).toBe(true);
+    expect(forumAccessService.check(member, 2)).toEqual({ allowed: false, reason: 'role' });
+    expect(forumAccessService.check({ ...member, role: 'moderator' }, 2).allowed).toBe(true);
+    expect(forumAccessService.check(member, 3)).toEqual({ allowed: false, reason: 'not_verified_partner' });
+    expect(forumAccessService.check({ ...member, verifiedPartner: true }, 3).allowed).toBe(true);
+    expect(forumAccessService.check(guest, 4)).toEqual({ allowed: false, reason: 'role' });
+    expect(changed).toEqual([1, 2, 3]);
+
+    forumAccessService.setRule(2, null);
+    expect(forumAccessService.check(member, 2).allowed).toBe(true);
+  });
+});
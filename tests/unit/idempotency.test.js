@@ -0,0 +1,123 @@
+const express = require('express');
+const request = require('supertest');
+
+const idempotency = require('../../src/middleware/idempotency');
+const { MemoryIdempotencyStore } = require('../../src/stores/idempotency');
+
+function fingerprint(body) {
+  return idempotency.fingerprint({ body });
+}
+
+describe('MemoryIdempotencyStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryIdempotencyStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('reserves a key once and hands out the entry afterwards', async () => {
+    expect(await store.reserve('k1', 'f1', 60000)).toBeNull();
+    expect(await store.reserve('k1', 'f1', 60000)).toEqual({ state: 'in_progress', fingerprint: 'f1' });
+
+    await store.complete('k1', { state: 'completed', fingerprint: 'f1', status: 200, body: {} }, 60000);
+    expect((await store.reserve('k1', 'f1', 60000)).state).toBe('completed');
+  });
+
+  it('frees released and expired keys', async () => {
+    await store.reserve('k1', 'f1', 60000);
+    await store.release('k1');
+    expect(await store.reserve('k1', 'f1', 60000)).toBeNull();
+
+    await store.reserve('k2', 'f2', -1);
+    expect(await store.reserve('k2', 'f2', 60000)).toBeNull();
+  });
+});
+
+describe('IdempotencyMiddleware fingerprint', () => {
+  const broadcast = {
+    channels: ['forum.1'],
+    event: 'thread.created',
+    data: { thread_id: 7, timestamp: '2025-07-19T10:30:00Z', server_time: 1 }
+  };
+
+  it('ignores volatile timestamp fields at any depth', () => {
+    const retry = {
+      ...broadcast,
+      data: { ...broadcast.data, timestamp: '2025-07-19T10:30:05Z', server_time: 2 }
+    };
+
+    expect(fingerprint(retry)).toBe(fingerprint(broadcast));
+    expect(fingerprint({ broadcasts: [{ ...broadcast, data: { thread_id: 7, timestamp: 'a' } }] }))
+      .toBe(fingerprint({ broadcasts: [{ ...broadcast, data: { thread_id: 7, timestamp: 'b' } }] }));
+  });
+
+  it('does not depend on key order', () => {
+    expect(fingerprint({ event: 'e', channels: ['a'] })).toBe(fingerprint({ channels: ['a'], event: 'e' }));
+  });
+
+  it('covers the data, multi broadcasts and scheduling fields', () => {
+    const base = fingerprint(broadcast);
+
+    expect(fingerprint({ ...broadcast, data: { thread_id: 8 } })).not.toBe(base);
+    expect(fingerprint({ ...broadcast, delay_ms: 1000 })).not.toBe(base);
+    expect(fingerprint({ ...broadcast, deliver_at: '2025-07-20T00:00:00Z' })).not.toBe(base);
+    expect(fingerprint({ broadcasts: [broadcast] })).not.toBe(fingerprint({ broadcasts: [broadcast, broadcast] }));
+  });
+});
+
+describe('IdempotencyMiddleware', () => {
+  let app;
+  let handled;
+
+  beforeEach(() => {
+    idempotency.store = new MemoryIdempotencyStore();
+    handled = 0;
+
+    app = express();
+    app.use(express.json());
+    app.post('/broadcast', idempotency.middleware(), (req, res) => {
+      handled++;
+      res.json({ success: true, eventId: req.eventId });
+    });
+  });
+
+  afterEach(async () => {
+    await idempotency.store.close();
+  });
+
+  const send = (body, headers = {}) => request(app)
+    .post('/broadcast')
+    .set({ 'Idempotency-Key': 'key-1', ...headers })
+    .send(body);
+
+  it('replays the stored response for a retry', async () => {
+    const first = await send({ channel: 'a', event: 'e', data: { x: 1, timestamp: 1 } });
+    const retry = await send({ channel: 'a', event: 'e', data: { x: 1, timestamp: 2 } });
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(handled).toBe(1);
+  });
+
+  it('rejects a key reused for a different body', async () => {
+    await send({ channel: 'a', event: 'e', data: { x: 1 } });
+    const reused = await send({ channel: 'a', event: 'e', data: { x: 2 } });
+
+    expect(reused.status).toBe(422);
+    expect(handled).toBe(1);
+  });
+
+  it('scopes keys to the caller', async () => {
+    await send({ channel: 'a', event: 'e' }, { 'X-WebSocket-API-Key': 'first' });
+    const other = await send({ channel: 'b', event: 'e' }, { 'X-WebSocket-API-Key': 'second' });
+
+    expect(other.status).toBe(200);
+    expect(handled).toBe(2);
+  });
+});
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const config = require('../../src/config');
+const jwksService = require('../../src/services/jwksService');
+const { validateJwtToken } = require('../../src/middleware/auth');
+
+function rsaKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+}
+
+function ecKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  // No alg: ES256 is implied by the key type
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid } };
+}
+
+function sign(key, alg, payload = { user_id: 42 }) {
+  return jwt.sign(payload, key.privateKey, { algorithm: alg, keyid: key.kid, expiresIn: '5m' });
+}
+
+describe('JwksService', () => {
+  const jwtConfig = { ...config.jwt };
+  const rsa = rsaKey('rsa-2025');
+  const ec = ecKey('ec-2025');
+  let dir;
+
+  function publish(...keys) {
+    fs.writeFileSync(config.jwt.jwksFile, JSON.stringify({ keys: keys.map(key => key.jwk) }));
+  }
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+    Object.assign(config.jwt, {
+      jwksFile: path.join(dir, 'jwks.json'),
+      jwksUrl: '',
+      jwksMinRefreshInterval: 0,
+      allowSharedSecret: false
+    });
+
+    publish(rsa, ec);
+    jwksService.keys = new Map();
+    jwksService.lastAttemptAt = 0;
+    await jwksService.refresh();
+  });
+
+  afterEach(() => {
+    Object.assign(config.jwt, jwtConfig);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseKeySet', () => {
+    it('skips keys without a kid, for encryption or with other algorithms', () => {
+      const keys = jwksService.parseKeySet({
+        keys: [
+          rsa.jwk,
+          { ...ec.jwk, kid: undefined },
+          { ...ec.jwk, kid: 'enc', use: 'enc' },
+          { ...rsa.jwk, kid: 'hs', alg: 'HS256' },
+          { kty: 'RSA', kid: 'broken', n: 'AQAB' }
+        ]
+      });
+
+      expect(Array.from(keys.keys())).toEqual(['rsa-2025']);
+      expect(keys.get('rsa-2025').alg).toBe('RS256');
+    });
+
+    it('rejects documents without a usable key', () => {
+      expect(() => jwksService.parseKeySet({})).toThrow(/no keys array/);
+      expect(() => jwksService.parseKeySet({ keys: [{ ...rsa.jwk, use: 'enc' }] })).toThrow(/no usable signing keys/);
+    });
+  });
+
+  it('verifies RS256 and ES256 tokens with the key their kid names', async () => {
+    expect((await validateJwtToken(sign(rsa, 'RS256'))).user_id).toBe(42);
+    expect((await validateJwtToken(sign(ec, 'ES256'))).user_id).toBe(42);
+  });
+
+  it('rejects a token signed with another key under a known kid', async () => {
+    const impostor = rsaKey('rsa-2025');
+
+    await expect(validateJwtToken(sign(impostor, 'RS256'))).rejects.toThrow(/invalid signature/);
+  });
+
+  it('rejects shared secret tokens unless allowed', async () => {
+    const token = jwt.sign({ user_id: 42 }, config.jwt.secret, { algorithm: 'HS256' });
+
+    await expect(validateJwtToken(token)).rejects.toThrow(/Shared secret tokens are disabled/);
+  });
+
+  it('picks up a rotated key on its first token', async () => {
+    const rotated = ecKey('ec-2026');
+    publish(ec, rotated);
+
+    expect((await jwksService.getKey('ec-2026')).alg).toBe('ES256');
+    expect(jwksService.keys.has('rsa-2025')).toBe(false);
+  });
+
+  it('does not reload for unknown kids within the minimum interval', async () => {
+    config.jwt.jwksMinRefreshInterval = 60000;
+    publish(ecKey('ec-2026'));
+
+    await expect(jwksService.getKey('ec-2026')).rejects.toThrow(/Unknown key ID/);
+    await expect(jwksService.getKey(undefined)).rejects.toThrow(/no key ID/);
+  });
+
+  it('keeps the previous keys when a refresh fails', async () => {
+    fs.writeFileSync(config.jwt.jwksFile, '{ not json');
+
+    await jwksService.refresh();
+
+    expect(jwksService.getStats()).toMatchObject({ enabled: true, lastError: expect.any(String) });
+    expect((await jwksService.getKey('rsa-2025')).kid).toBe('rsa-2025');
+  });
+});
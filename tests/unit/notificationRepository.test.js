@@ -0,0 +1,90 @@
+const { MemoryNotificationRepository } = require('../../src/stores/notificationRepository');
+
+function notification(id, createdAt, extra = {}) {
+  return {
+    id,
+    userId: 42,
+    type: 'forum.reply',
+    data: { priority: 'normal' },
+    createdAt,
+    ...extra
+  };
+}
+
+describe('MemoryNotificationRepository', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = new MemoryNotificationRepository();
+  });
+
+  it('keeps the existing notification when an id is created again', async () => {
+    const first = await repository.create(notification('n1', '2025-07-19T10:00:00.000Z'));
+    const again = await repository.create(notification('n1', '2025-07-19T11:00:00.000Z', {
+      data: { priority: 'high' }
+    }));
+
+    expect(again).toBe(first);
+    expect(again.data.priority).toBe('normal');
+    expect(first.userId).toBe('42');
+  });
+
+  it('only finds notifications of their owner', async () => {
+    await repository.create(notification('n1', '2025-07-19T10:00:00.000Z'));
+
+    expect(await repository.find('n1', '42')).not.toBeNull();
+    expect(await repository.find('n1', '7')).toBeNull();
+  });
+
+  it('lists newest first and pages after a cursor', async () => {
+    await repository.create(notification('a', '2025-07-19T10:00:00.000Z'));
+    await repository.create(notification('b', '2025-07-19T11:00:00.000Z'));
+    await repository.create(notification('c', '2025-07-19T11:00:00.000Z'));
+
+    const page = await repository.list(42, { limit: 2 });
+    expect(page.map(n => n.id)).toEqual(['c', 'b']);
+
+    const next = await repository.list(42, { limit: 2, after: page[1] });
+    expect(next.map(n => n.id)).toEqual(['a']);
+  });
+
+  it('filters by type, priority, read state and date', async () => {
+    await repository.create(notification('a', '2025-07-18T10:00:00.000Z'));
+    await repository.create(notification('b', '2025-07-19T10:00:00.000Z', {
+      type: 'forum.mention',
+      data: { priority: 'high' }
+    }));
+    await repository.markAsRead('a', 42);
+
+    const ids = async query => (await repository.list(42, { limit: 10, ...query })).map(n => n.id);
+
+    expect(await ids({ type: ['forum.mention'] })).toEqual(['b']);
+    expect(await ids({ priority: 'normal' })).toEqual(['a']);
+    expect(await ids({ read: false })).toEqual(['b']);
+    expect(await ids({ from: new Date('2025-07-19T00:00:00Z') })).toEqual(['b']);
+    expect(await ids({ to: new Date('2025-07-19T00:00:00Z') })).toEqual(['a']);
+  });
+
+  it('marks notifications read once and counts unread ones', async () => {
+    await repository.create(notification('a', '2025-07-19T10:00:00.000Z'));
+    await repository.create(notification('b', '2025-07-19T11:00:00.000Z'));
+    await repository.create(notification('c', '2025-07-19T12:00:00.000Z'));
+
+    const read = await repository.markAsRead('a', 42);
+    expect(read.alreadyRead).toBe(false);
+    expect(await repository.markAsRead('a', 42)).toEqual({ readAt: read.readAt, alreadyRead: true });
+    expect(await repository.markAsRead('a', 7)).toBeNull();
+    expect(await repository.countUnread(42)).toBe(2);
+
+    expect((await repository.markAllAsRead(42)).count).toBe(2);
+    expect(await repository.countUnread(42)).toBe(0);
+  });
+
+  it('deletes notifications of their owner only', async () => {
+    await repository.create(notification('a', '2025-07-19T10:00:00.000Z'));
+
+    expect(await repository.delete('a', 7)).toBe(false);
+    expect(await repository.delete('a', 42)).toBe(true);
+    expect(await repository.find('a', 42)).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+const { MemoryOfflineQueueStore } = require('../../src/stores/offlineQueue');
+
+const OPTIONS = { maxSize: 3, retentionMs: 60000 };
+
+function entry(event, queuedAt = new Date().toISOString()) {
+  return { channel: 'private-user.1', event, data: { event }, queuedAt };
+}
+
+describe('MemoryOfflineQueueStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryOfflineQueueStore();
+  });
+
+  it('assigns increasing ids per user', async () => {
+    const first = await store.append(1, entry('a'), OPTIONS);
+    const second = await store.append(1, entry('b'), OPTIONS);
+    const other = await store.append(2, entry('c'), OPTIONS);
+
+    expect([first.id, second.id, other.id]).toEqual([1, 2, 1]);
+  });
+
+  it('drops the oldest entries beyond maxSize', async () => {
+    for (const event of ['a', 'b', 'c', 'd']) {
+      await store.append(1, entry(event), OPTIONS);
+    }
+
+    const entries = await store.list(1, { limit: 10, retentionMs: OPTIONS.retentionMs });
+    expect(entries.map(e => e.event)).toEqual(['b', 'c', 'd']);
+  });
+
+  it('pages with the after cursor and removes acknowledged entries', async () => {
+    for (const event of ['a', 'b', 'c']) {
+      await store.append(1, entry(event), OPTIONS);
+    }
+
+    const page = await store.list(1, { after: 1, limit: 1, retentionMs: OPTIONS.retentionMs });
+    expect(page.map(e => e.id)).toEqual([2]);
+
+    expect(await store.removeUpTo(1, 2)).toBe(2);
+    expect(await store.count(1, OPTIONS)).toBe(1);
+  });
+
+  it('leaves out and prunes entries past the retention window', async () => {
+    await store.append(1, entry('old', new Date(Date.now() - 120000).toISOString()), { maxSize: 10, retentionMs: 600000 });
+    await store.append(1, entry('new'), { maxSize: 10, retentionMs: 600000 });
+
+    expect((await store.list(1, { limit: 10, retentionMs: 60000 })).map(e => e.event)).toEqual(['new']);
+    expect(await store.prune(60000)).toBe(1);
+    expect(await store.count(1, { retentionMs: 600000 })).toBe(1);
+  });
+});
@@ -0,0 +1,101 @@
+const preferencesService = require('../../src/services/preferencesService');
+const { MemoryPreferencesStore } = require('../../src/stores/notificationPreferences');
+
+// 23:30 in Berlin (summer time), 21:30 UTC
+const LATE_EVENING = new Date('2025-07-19T21:30:00Z');
+
+function withQuietHours(overrides = {}) {
+  return preferencesService.withDefaults({
+    timezone: 'Europe/Berlin',
+    quiet_hours: { enabled: true, start: '22:00', end: '07:00', ...overrides }
+  });
+}
+
+describe('MemoryPreferencesStore', () => {
+  it('stores preferences by user id', async () => {
+    const store = new MemoryPreferencesStore();
+
+    expect(await store.get(42)).toBeNull();
+
+    await store.set(42, { timezone: 'UTC' });
+    await store.setMany([{ userId: 7, preferences: { timezone: 'Europe/Berlin' } }]);
+
+    expect(await store.get('42')).toEqual({ timezone: 'UTC' });
+    expect(await store.get(7)).toEqual({ timezone: 'Europe/Berlin' });
+  });
+});
+
+describe('PreferencesService', () => {
+  beforeEach(() => {
+    preferencesService.store = new MemoryPreferencesStore();
+  });
+
+  it('returns the defaults for a user without preferences', async () => {
+    expect(await preferencesService.get(42)).toEqual(preferencesService.defaults());
+  });
+
+  it('merges updates and removes type rules set to null', async () => {
+    await preferencesService.update(42, { types: { 'forum.*': 'mute', 'forum.mention': 'allow' } });
+    const updated = await preferencesService.update(42, {
+      types: { 'forum.*': null },
+      channels: { queued: false }
+    });
+
+    expect(updated.types).toEqual({ 'forum.mention': 'allow' });
+    expect(updated.channels).toEqual({ realtime: true, queued: false });
+    expect(updated.updated_at).not.toBeNull();
+  });
+
+  it('replaces the preferences of many users', async () => {
+    await preferencesService.update(42, { channels: { realtime: false } });
+
+    const count = await preferencesService.replaceMany([
+      { user_id: 42, preferences: { types: { 'forum.reply': 'mute', 'forum.mention': null } } },
+      { user_id: 7, preferences: { timezone: 'Europe/Berlin' } }
+    ]);
+
+    expect(count).toBe(2);
+
+    const replaced = await preferencesService.get(42);
+    expect(replaced.types).toEqual({ 'forum.reply': 'mute' });
+    expect(replaced.channels.realtime).toBe(true);
+    expect((await preferencesService.get(7)).timezone).toBe('Europe/Berlin');
+  });
+
+  it('picks the exact, then longest prefix, then wildcard type rule', () => {
+    const preferences = preferencesService.withDefaults({
+      types: { '*': 'mute', 'forum.*': 'allow', 'forum.thread.*': 'mute', 'forum.thread.locked': 'allow' }
+    });
+
+    expect(preferencesService.getTypeRule(preferences, 'forum.thread.locked')).toBe('allow');
+    expect(preferencesService.getTypeRule(preferences, 'forum.thread.created')).toBe('mute');
+    expect(preferencesService.getTypeRule(preferences, 'forum.reply')).toBe('allow');
+    expect(preferencesService.getTypeRule(preferences, 'billing.invoice')).toBe('mute');
+  });
+
+  it('checks quiet hours in the user time zone, across midnight', () => {
+    expect(preferencesService.isQuietTime(withQuietHours(), LATE_EVENING)).toBe(true);
+    expect(preferencesService.isQuietTime(withQuietHours({ start: '23:45' }), LATE_EVENING)).toBe(false);
+    expect(preferencesService.isQuietTime(withQuietHours({ start: '23:00', end: '23:59' }), LATE_EVENING)).toBe(true);
+    expect(preferencesService.isQuietTime(withQuietHours({ enabled: false }), LATE_EVENING)).toBe(false);
+  });
+
+  it('evaluates mutes, quiet hours and channel opt-outs', () => {
+    const muted = preferencesService.withDefaults({ types: { 'forum.*': 'mute' } });
+    expect(preferencesService.evaluate(muted, { type: 'forum.reply' }))
+      .toEqual({ deliver: false, realtime: false, queue: false, reason: 'muted' });
+
+    expect(preferencesService.evaluate(withQuietHours(), { type: 'forum.reply' }, LATE_EVENING))
+      .toEqual({ deliver: true, realtime: false, queue: true, reason: 'quiet_hours' });
+
+    expect(preferencesService.evaluate(withQuietHours(), { type: 'forum.reply', priority: 'urgent' }, LATE_EVENING))
+      .toEqual({ deliver: true, realtime: true, queue: true, reason: null });
+
+    expect(preferencesService.evaluate(withQuietHours({ allow_urgent: false }), { priority: 'urgent' }, LATE_EVENING).realtime)
+      .toBe(false);
+
+    const optedOut = preferencesService.withDefaults({ channels: { realtime: false, queued: false } });
+    expect(preferencesService.evaluate(optedOut, { type: 'forum.reply' }))
+      .toEqual({ deliver: false, realtime: false, queue: false, reason: 'opted_out' });
+  });
+});
@@ -0,0 +1,52 @@
+const { MemoryPresenceStore } = require('../../src/stores/presence');
+
+const CHANNEL = 'presence-thread.7';
+
+const alice = { user_id: 1, user_info: { name: 'Alice' } };
+const bob = { user_id: 2, user_info: { name: 'Bob' } };
+
+describe('MemoryPresenceStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryPresenceStore();
+  });
+
+  it('reports only the first tab of a user as joining', async () => {
+    expect(await store.join(CHANNEL, 'tab-1', alice)).toEqual({ first: true });
+    expect(await store.join(CHANNEL, 'tab-2', alice)).toEqual({ first: false });
+    expect(await store.join(CHANNEL, 'tab-3', bob)).toEqual({ first: true });
+  });
+
+  it('ignores a socket joining twice', async () => {
+    await store.join(CHANNEL, 'tab-1', alice);
+
+    expect(await store.join(CHANNEL, 'tab-1', alice)).toBeNull();
+    expect((await store.leave(CHANNEL, 'tab-1', 1)).last).toBe(true);
+  });
+
+  it('reports only the last tab of a user as leaving', async () => {
+    await store.join(CHANNEL, 'tab-1', alice);
+    await store.join(CHANNEL, 'tab-2', alice);
+
+    expect(await store.leave(CHANNEL, 'tab-1', 1)).toEqual({ last: false, member: alice });
+    expect(await store.leave(CHANNEL, 'tab-2', 1)).toEqual({ last: true, member: alice });
+    expect(await store.leave(CHANNEL, 'tab-2', 1)).toBeNull();
+    expect(await store.leave('presence-other', 'tab-1', 1)).toBeNull();
+  });
+
+  it('lists one member per user in join order', async () => {
+    await store.join(CHANNEL, 'tab-1', bob);
+    await store.join(CHANNEL, 'tab-2', alice);
+    await store.join(CHANNEL, 'tab-3', bob);
+
+    expect(await store.getMembers(CHANNEL)).toEqual([bob, alice]);
+
+    await store.leave(CHANNEL, 'tab-1', 2);
+    await store.leave(CHANNEL, 'tab-2', 1);
+    await store.leave(CHANNEL, 'tab-3', 2);
+
+    expect(await store.getMembers(CHANNEL)).toEqual([]);
+    expect(store.channels.size).toBe(0);
+  });
+});
@@ -0,0 +1,124 @@
+const express = require('express');
+const request = require('supertest');
+
+const config = require('../../src/config');
+const channelManager = require('../../src/websocket/channelManager');
+const pusherRoutes = require('../../src/routes/pusher');
+const { md5, signRequest, signaturesMatch } = require('../../src/utils/pusher');
+
+const APP = { appId: '3', key: '278d425bdf160c739803', secret: '7ad3773142a6692b25b8' };
+
+describe('signRequest', () => {
+  // Worked example from Pusher's HTTP API reference
+  it('matches the Pusher reference signature', () => {
+    const body = '{"name":"foo","channels":["project-3"],"data":"{\\"some\\":\\"data\\"}"}';
+
+    expect(md5(body)).toBe('ec365a775a4cd0599faeb73354201b6f');
+    expect(signRequest(APP.secret, 'POST', '/apps/3/events', {
+      auth_key: APP.key,
+      auth_timestamp: '1353088179',
+      auth_version: '1.0',
+      body_md5: md5(body)
+    })).toBe('da454824c97ba181a32ccc17a72625ba02771f50b50e1e7430e47a1f3f457e6c');
+  });
+
+  it('ignores auth_signature and the order and case of parameter names', () => {
+    const signature = signRequest(APP.secret, 'get', '/apps/3/channels', { b: '2', A: '1' });
+
+    expect(signRequest(APP.secret, 'GET', '/apps/3/channels', { a: '1', b: '2', auth_signature: 'x' }))
+      .toBe(signature);
+  });
+
+  it('compares signatures of any length safely', () => {
+    expect(signaturesMatch('abc', 'abc')).toBe(true);
+    expect(signaturesMatch('abc', 'abd')).toBe(false);
+    expect(signaturesMatch('abc', 'ab')).toBe(false);
+  });
+});
+
+describe('Pusher HTTP API signature check', () => {
+  const pusherConfig = { ...config.pusher };
+  const path = '/apps/3/channels/presence-thread.7/users';
+  let app;
+
+  beforeEach(() => {
+    Object.assign(config.pusher, APP);
+    jest.spyOn(channelManager, 'getPresenceMembers').mockResolvedValue([{ user_id: 42 }]);
+
+    app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+    app.use(pusherRoutes);
+  });
+
+  afterEach(() => {
+    Object.assign(config.pusher, pusherConfig);
+    jest.restoreAllMocks();
+  });
+
+  function signedQuery(overrides = {}) {
+    const params = {
+      auth_key: APP.key,
+      auth_timestamp: String(Math.floor(Date.now() / 1000)),
+      auth_version: '1.0',
+      ...overrides
+    };
+
+    return { ...params, auth_signature: signRequest(APP.secret, 'GET', path, params) };
+  }
+
+  it('accepts a correctly signed request', async () => {
+    const res = await request(app).get(path).query(signedQuery());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ users: [{ id: 42 }] });
+  });
+
+  it('rejects a wrong signature', async () => {
+    const res = await request(app).get(path).query({ ...signedQuery(), auth_signature: '0'.repeat(64) });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid signature');
+  });
+
+  it('rejects a tampered query', async () => {
+    const res = await request(app).get(path).query({ ...signedQuery(), info: 'user_count' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects an unknown key and an expired timestamp', async () => {
+    const unknownKey = await request(app).get(path).query(signedQuery({ auth_key: 'other' }));
+    const expired = await request(app).get(path).query(signedQuery({ auth_timestamp: '1353088179' }));
+
+    expect(unknownKey.body.message).toBe('Unknown auth_key');
+    expect(expired.body.message).toBe('Timestamp expired');
+  });
+
+  it('rejects a body that does not match body_md5', async () => {
+    const eventsPath = '/apps/3/events';
+    const params = {
+      auth_key: APP.key,
+      auth_timestamp: String(Math.floor(Date.now() / 1000)),
+      auth_version: '1.0',
+      body_md5: md5('{"name":"other"}')
+    };
+
+    const res = await request(app)
+      .post(eventsPath)
+      .query({ ...params, auth_signature: signRequest(APP.secret, 'POST', eventsPath, params) })
+      .send({ name: 'thread.created', channel: 'forum.1', data: '{}' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Body hash does not match');
+  });
+
+  it('answers unknown apps with 404', async () => {
+    const res = await request(app).get('/apps/4/channels').query(signedQuery());
+
+    expect(res.status).toBe(404);
+  });
+});
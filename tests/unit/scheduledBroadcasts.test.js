@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MemoryScheduleStore, FileScheduleStore } = require('../../src/stores/scheduledBroadcasts');
+
+const NOW = Date.parse('2025-07-19T10:00:00Z');
+
+function schedule(id, offsetMs) {
+  return {
+    id,
+    broadcasts: [{ channel: 'forum.1', event: 'thread.created', data: { id } }],
+    deliverAt: new Date(NOW + offsetMs).toISOString(),
+    createdAt: new Date(NOW).toISOString(),
+    status: 'pending'
+  };
+}
+
+describe('MemoryScheduleStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryScheduleStore();
+  });
+
+  it('lists pending schedules earliest first', async () => {
+    await store.add(schedule('late', 2000));
+    await store.add(schedule('early', 1000));
+
+    expect((await store.list({ limit: 10 })).map(s => s.id)).toEqual(['early', 'late']);
+    expect((await store.list({ limit: 1 })).map(s => s.id)).toEqual(['early']);
+  });
+
+  it('cancels pending schedules only', async () => {
+    await store.add(schedule('s1', 1000));
+
+    const cancelled = await store.cancel('s1', { cancelledAt: 'now' });
+    expect(cancelled).toMatchObject({ id: 's1', status: 'cancelled', cancelledAt: 'now' });
+    expect(await store.cancel('s1', {})).toBeNull();
+    expect(await store.cancel('missing', {})).toBeNull();
+    expect(await store.list({ limit: 10 })).toEqual([]);
+  });
+
+  it('hands out each due schedule once', async () => {
+    await store.add(schedule('due', -1000));
+    await store.add(schedule('later', 60000));
+
+    expect((await store.claimDue(NOW, 10)).map(s => s.id)).toEqual(['due']);
+    expect(await store.claimDue(NOW, 10)).toEqual([]);
+    expect((await store.get('due')).status).toBe('firing');
+    expect(await store.cancel('due', {})).toBeNull();
+  });
+
+  it('respects the claim limit', async () => {
+    await store.add(schedule('a', -3000));
+    await store.add(schedule('b', -2000));
+
+    expect((await store.claimDue(NOW, 1)).map(s => s.id)).toEqual(['a']);
+    expect((await store.claimDue(NOW, 1)).map(s => s.id)).toEqual(['b']);
+  });
+
+  it('keeps finished schedules for their retention', async () => {
+    await store.add(schedule('kept', -1000));
+    await store.add(schedule('dropped', -1000));
+    await store.claimDue(NOW, 10);
+
+    await store.finish('kept', { status: 'sent' }, 60000);
+    await store.finish('dropped', { status: 'failed' }, -1);
+
+    expect((await store.get('kept')).status).toBe('sent');
+    expect(await store.get('dropped')).toBeNull();
+  });
+});
+
+describe('FileScheduleStore', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-'));
+    file = path.join(dir, 'schedules.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reloads schedules and retries ones interrupted while firing', async () => {
+    const first = new FileScheduleStore(file);
+    await first.add(schedule('interrupted', -1000));
+    await first.add(schedule('waiting', 60000));
+    await first.claimDue(NOW, 10);
+    await first.close();
+
+    const second = new FileScheduleStore(file);
+    expect((await second.get('interrupted')).status).toBe('pending');
+    expect((await second.list({ limit: 10 })).map(s => s.id)).toEqual(['interrupted', 'waiting']);
+    await second.close();
+  });
+
+  it('releases the lock on close', async () => {
+    const store = new FileScheduleStore(file);
+    expect(fs.readFileSync(`${file}.lock`, 'utf8')).toBe(String(process.pid));
+
+    await store.close();
+    expect(fs.existsSync(`${file}.lock`)).toBe(false);
+  });
+
+  it('refuses a file locked by another live process', () => {
+    fs.writeFileSync(`${file}.lock`, String(process.ppid));
+
+    expect(() => new FileScheduleStore(file)).toThrow(/in use by process/);
+  });
+
+  it('takes over a lock left by a dead process', async () => {
+    // Far above any real pid_max, so never alive
+    fs.writeFileSync(`${file}.lock`, '999999999');
+
+    const store = new FileScheduleStore(file);
+    expect(fs.readFileSync(`${file}.lock`, 'utf8')).toBe(String(process.pid));
+    await store.close();
+  });
+});